@@ -197,6 +197,7 @@ import { CharacterContextMenu, BulkEditOverlay } from "./scripts/BulkEditOverlay
 import { loadMancerModels } from "./scripts/mancer-settings.js";
 import { hasPendingFileAttachment, populateFileAttachment } from "./scripts/chats.js";
 import { replaceVariableMacros } from "./scripts/variables.js";
+import { getWhisperTitle, isMessageVisibleTo, setMemberMemoryPrompt } from "./scripts/group-whispers.js";
 
 //exporting functions and vars for mods
 export {
@@ -309,6 +310,7 @@ export const event_types = {
     OAI_PRESET_CHANGED_BEFORE: 'oai_preset_changed_before',
     OAI_PRESET_CHANGED_AFTER: 'oai_preset_changed_after',
     WORLDINFO_SETTINGS_UPDATED: 'worldinfo_settings_updated',
+    WORLDINFO_FORCE_ACTIVATE: 'worldinfo_force_activate',
     CHARACTER_EDITED: 'character_edited',
     CHARACTER_PAGE_LOADED: 'character_page_loaded',
     CHARACTER_GROUP_OVERLAY_STATE_CHANGE_BEFORE: 'character_group_overlay_state_change_before',
@@ -318,6 +320,10 @@ export const event_types = {
     FORCE_SET_BACKGROUND: 'force_set_background',
     CHAT_DELETED: 'chat_deleted',
     GROUP_CHAT_DELETED: 'group_chat_deleted',
+    FILE_ATTACHMENT_DELETED: 'file_attachment_deleted',
+    SCHEDULED_JOBS_UPDATED: 'scheduled_jobs_updated',
+    USER_COMMANDS_UPDATED: 'user_commands_updated',
+    GROUP_SCENE_UPDATED: 'group_scene_updated',
 }
 
 export const eventSource = new EventEmitter();
@@ -1583,10 +1589,12 @@ function getMessageFromTemplate({
         'bookmark_link': bookmarkLink,
         'force_avatar': !!forceAvatar,
         'timestamp': timestamp,
+        'whisper': Array.isArray(extra?.visible_to),
     });
     mes.find('.avatar img').attr('src', avatarImg);
     mes.find('.ch_name .name_text').text(characterName);
     mes.find('.mes_bias').html(bias);
+    mes.find('.mes_whisper').attr('title', getWhisperTitle(extra?.visible_to));
     mes.find('.timestamp').text(timestamp).attr('title', `${extra?.api ? extra.api + ' - ' : ''}${extra?.model ?? ''}`);
     mes.find('.mesIDDisplay').text(`#${mesId}`);
     tokenCount && mes.find('.tokenCounterDisplay').text(`${tokenCount}t`);
@@ -1841,6 +1849,12 @@ function addOneMessage(mes, { type = "normal", insertAfter = null, scroll = true
         swipeMessage.find('.mes_text').append(messageText);
         appendMediaToMessage(mes, swipeMessage);
         swipeMessage.attr('title', title);
+        // Swipes of group messages can come from different members
+        if (mes.force_avatar && !mes.is_user) {
+            swipeMessage.attr('ch_name', characterName);
+            swipeMessage.find('.ch_name .name_text').text(characterName);
+            swipeMessage.find('.avatar img').attr('src', avatarImg);
+        }
         swipeMessage.find('.timestamp').text(timestamp).attr('title', `${params.extra.api} - ${params.extra.model}`);
         if (power_user.timestamp_model_icon && params.extra?.api) {
             insertSVGIcon(swipeMessage, params.extra);
@@ -2582,7 +2596,7 @@ class StreamingProcessor {
 
             if ((this.type == 'swipe' || this.type === 'continue') && Array.isArray(chat[messageId]['swipes'])) {
                 chat[messageId]['swipes'][chat[messageId]['swipe_id']] = processedText;
-                chat[messageId]['swipe_info'][chat[messageId]['swipe_id']] = { 'send_date': chat[messageId]['send_date'], 'gen_started': chat[messageId]['gen_started'], 'gen_finished': chat[messageId]['gen_finished'], 'extra': JSON.parse(JSON.stringify(chat[messageId]['extra'])) };
+                chat[messageId]['swipe_info'][chat[messageId]['swipe_id']] = { 'send_date': chat[messageId]['send_date'], 'gen_started': chat[messageId]['gen_started'], 'gen_finished': chat[messageId]['gen_finished'], 'extra': JSON.parse(JSON.stringify(chat[messageId]['extra'])), ...getSwipeSpeaker(chat[messageId]) };
             }
 
             let formattedText = messageFormatting(
@@ -2668,7 +2682,7 @@ class StreamingProcessor {
         if (this.type !== 'swipe' && this.type !== 'impersonate') {
             if (Array.isArray(chat[messageId]['swipes']) && chat[messageId]['swipes'].length === 1 && chat[messageId]['swipe_id'] === 0) {
                 chat[messageId]['swipes'][0] = chat[messageId]['mes'];
-                chat[messageId]['swipe_info'][0] = { 'send_date': chat[messageId]['send_date'], 'gen_started': chat[messageId]['gen_started'], 'gen_finished': chat[messageId]['gen_finished'], 'extra': JSON.parse(JSON.stringify(chat[messageId]['extra'])) };
+                chat[messageId]['swipe_info'][0] = { 'send_date': chat[messageId]['send_date'], 'gen_started': chat[messageId]['gen_started'], 'gen_finished': chat[messageId]['gen_finished'], 'extra': JSON.parse(JSON.stringify(chat[messageId]['extra'])), ...getSwipeSpeaker(chat[messageId]) };
             }
         }
     }
@@ -2805,7 +2819,7 @@ export async function generateRaw(prompt, api, instructOverride) {
     return message;
 }
 
-async function Generate(type, { automatic_trigger, force_name2, resolve, reject, quiet_prompt, quietToLoud, skipWIAN, force_chid, signal, quietImage } = {}, dryRun = false) {
+async function Generate(type, { automatic_trigger, force_name2, resolve, reject, quiet_prompt, quietToLoud, skipWIAN, force_chid, force_candidates, signal, quietImage } = {}, dryRun = false) {
     console.log('Generate entered');
     setGenerationProgress(0);
     generation_started = new Date();
@@ -2860,7 +2874,7 @@ async function Generate(type, { automatic_trigger, force_name2, resolve, reject,
     }
 
     if (selected_group && !is_group_generating && !dryRun) {
-        generateGroupWrapper(false, type, { resolve, reject, quiet_prompt, force_chid, signal: abortController.signal, quietImage });
+        generateGroupWrapper(false, type, { resolve, reject, quiet_prompt, force_chid, force_candidates, signal: abortController.signal, quietImage });
         return;
     } else if (selected_group && !is_group_generating && dryRun) {
         const characterIndexMap = new Map(characters.map((char, index) => [char.avatar, index]));
@@ -2988,6 +3002,9 @@ async function Generate(type, { automatic_trigger, force_name2, resolve, reject,
             setExtensionPrompt('DEPTH_PROMPT', depthPromptText, extension_prompt_types.IN_CHAT, depthPromptDepth);
         }
 
+        // Private memory notes of the group member
+        setMemberMemoryPrompt(selected_group ? characters[this_chid]?.avatar : '');
+
         // Parse example messages
         if (!mesExamples.startsWith('<START>')) {
             mesExamples = '<START>\n' + mesExamples.trim();
@@ -3017,6 +3034,11 @@ async function Generate(type, { automatic_trigger, force_name2, resolve, reject,
             coreChat.pop();
         }
 
+        // Whispers are only seen by their recipients
+        if (selected_group) {
+            coreChat = coreChat.filter(x => isMessageVisibleTo(x, characters[this_chid]?.avatar));
+        }
+
         coreChat = coreChat.map(chatItem => {
             let message = chatItem.mes;
             let regexType = chatItem.is_user ? regex_placement.USER_INPUT : regex_placement.AI_OUTPUT;
@@ -3111,7 +3133,7 @@ async function Generate(type, { automatic_trigger, force_name2, resolve, reject,
         setFloatingPrompt();
         // Add WI to prompt (and also inject WI to AN value via hijack)
 
-        let { worldInfoString, worldInfoBefore, worldInfoAfter, worldInfoDepth } = await getWorldInfoPrompt(chat2, this_max_context);
+        let { worldInfoString, worldInfoBefore, worldInfoAfter, worldInfoDepth } = await getWorldInfoPrompt(chat2, this_max_context, coreChat.slice().reverse(), dryRun || type === 'quiet');
 
         if (skipWIAN !== true) {
             console.log('skipWIAN not active, adding WIAN')
@@ -3813,6 +3835,11 @@ async function Generate(type, { automatic_trigger, force_name2, resolve, reject,
                     if (data?.response) {
                         toastr.error(data.response, 'API Error');
                     }
+
+                    // Quiet prompts are awaited by the caller, e.g. /gen
+                    if (type === 'quiet') {
+                        reject(new Error(data?.response || 'The API returned an error.'));
+                    }
                 }
                 console.debug('/savechat called by /Generate');
 
@@ -3987,7 +4014,13 @@ export function replaceBiasMarkup(str) {
     return (str ?? '').replace(/\{\{[\s\S]*?\}\}/gm, '');
 }
 
-export async function sendMessageAsUser(textareaText, messageBias) {
+/**
+ * Sends a message from the user.
+ * @param {string} textareaText Message text
+ * @param {string} messageBias Bias of the reply
+ * @param {object} extra Extra data of the message, e.g. the recipients of a whisper
+ */
+export async function sendMessageAsUser(textareaText, messageBias, extra = {}) {
     textareaText = getRegexedString(textareaText, regex_placement.USER_INPUT);
 
     chat[chat.length] = {};
@@ -3995,7 +4028,7 @@ export async function sendMessageAsUser(textareaText, messageBias) {
     chat[chat.length - 1]['is_user'] = true;
     chat[chat.length - 1]['send_date'] = getMessageTimeStamp();
     chat[chat.length - 1]['mes'] = substituteParams(textareaText);
-    chat[chat.length - 1]['extra'] = {};
+    chat[chat.length - 1]['extra'] = { ...extra };
 
     if (power_user.message_token_count_enabled) {
         chat[chat.length - 1]['extra']['token_count'] = getTokenCount(chat[chat.length - 1]['mes'], 0);
@@ -4612,6 +4645,7 @@ async function saveReply(type, getMessage, _, title) {
             gen_started: item["gen_started"],
             gen_finished: item["gen_finished"],
             extra: JSON.parse(JSON.stringify(item["extra"])),
+            ...getSwipeSpeaker(item),
         };
     } else {
         item["swipe_id"] = 0;
@@ -4622,12 +4656,46 @@ async function saveReply(type, getMessage, _, title) {
             gen_started: chat[chat.length - 1]["gen_started"],
             gen_finished: chat[chat.length - 1]["gen_finished"],
             extra: JSON.parse(JSON.stringify(chat[chat.length - 1]["extra"])),
+            ...getSwipeSpeaker(chat[chat.length - 1]),
         };
     }
     statMesProcess(chat[chat.length - 1], type, characters, this_chid, oldMessage);
     return { type, getMessage };
 }
 
+/**
+ * Gets the speaker of a group chat message, to be stored with its swipe.
+ * @param {object} message Chat message
+ * @returns {object} Name and avatar of the speaker, empty if the message is not from a group member
+ */
+function getSwipeSpeaker(message) {
+    if (!message?.original_avatar) {
+        return {};
+    }
+
+    return {
+        name: message.name,
+        force_avatar: message.force_avatar,
+        original_avatar: message.original_avatar,
+    };
+}
+
+/**
+ * Sets the speaker of the current swipe on the message. Swipes of group messages can come from different members.
+ * @param {object} message Chat message
+ */
+function applySwipeSpeaker(message) {
+    const speaker = message?.swipe_info?.[message.swipe_id];
+
+    if (!speaker?.original_avatar) {
+        return;
+    }
+
+    message.name = speaker.name;
+    message.force_avatar = speaker.force_avatar;
+    message.original_avatar = speaker.original_avatar;
+}
+
 function saveImageToMessage(img, mes) {
     if (mes && img.image) {
         if (typeof mes.extra !== 'object') {
@@ -7005,6 +7073,7 @@ function swipe_left() {      // when we swipe left..but no generation.
         chat[chat.length - 1]['mes'] = chat[chat.length - 1]['swipes'][chat[chat.length - 1]['swipe_id']];
         chat[chat.length - 1]['send_date'] = chat[chat.length - 1].swipe_info[chat[chat.length - 1]['swipe_id']]?.send_date || chat[chat.length - 1].send_date; //load the last mes box with the latest generation
         chat[chat.length - 1]['extra'] = JSON.parse(JSON.stringify(chat[chat.length - 1].swipe_info[chat[chat.length - 1]['swipe_id']]?.extra || chat[chat.length - 1].extra));
+        applySwipeSpeaker(chat[chat.length - 1]);
 
         if (chat[chat.length - 1].extra) {
             // if message has memory attached - remove it to allow regen
@@ -7142,7 +7211,7 @@ const swipe_right = () => {
         chat[chat.length - 1]['swipes'] = [];                         // empty the array
         chat[chat.length - 1]['swipe_info'] = [];
         chat[chat.length - 1]['swipes'][0] = chat[chat.length - 1]['mes'];  //assign swipe array with last message from chat
-        chat[chat.length - 1]['swipe_info'][0] = { 'send_date': chat[chat.length - 1]['send_date'], 'gen_started': chat[chat.length - 1]['gen_started'], 'gen_finished': chat[chat.length - 1]['gen_finished'], 'extra': JSON.parse(JSON.stringify(chat[chat.length - 1]['extra'])) };
+        chat[chat.length - 1]['swipe_info'][0] = { 'send_date': chat[chat.length - 1]['send_date'], 'gen_started': chat[chat.length - 1]['gen_started'], 'gen_finished': chat[chat.length - 1]['gen_finished'], 'extra': JSON.parse(JSON.stringify(chat[chat.length - 1]['extra'])), ...getSwipeSpeaker(chat[chat.length - 1]) };
         //assign swipe info array with last message from chat
     }
     if (chat.length === 1 && chat[0]['swipe_id'] !== undefined && chat[0]['swipe_id'] === chat[0]['swipes'].length - 1) {    // if swipe_right is called on the last alternate greeting, loop back around
@@ -7172,6 +7241,7 @@ const swipe_right = () => {
         chat[chat.length - 1]['mes'] = chat[chat.length - 1]['swipes'][chat[chat.length - 1]['swipe_id']]; //load the last mes box with the latest generation
         chat[chat.length - 1]['send_date'] = chat[chat.length - 1]?.swipe_info[chat[chat.length - 1]['swipe_id']]?.send_date || chat[chat.length - 1]['send_date']; //update send date
         chat[chat.length - 1]['extra'] = JSON.parse(JSON.stringify(chat[chat.length - 1].swipe_info[chat[chat.length - 1]['swipe_id']]?.extra || chat[chat.length - 1].extra || []));
+        applySwipeSpeaker(chat[chat.length - 1]);
         run_swipe_right = true; //then prepare to do normal right swipe to show next message
     }
 
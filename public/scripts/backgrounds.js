@@ -312,7 +312,16 @@ async function autoBackgroundCommand() {
 
     const list = options.map(option => `- ${option.text}`).join('\n');
     const prompt = stringFormat(autoBgPrompt, list);
-    const reply = await generateQuietPrompt(prompt, false, false);
+    let reply;
+
+    try {
+        reply = await generateQuietPrompt(prompt, false, false);
+    } catch (error) {
+        console.error(error);
+        toastr.warning('Could not generate the background choice. Please try again.');
+        return;
+    }
+
     const fuse = new Fuse(options, { keys: ['text'] });
     const bestMatch = fuse.search(reply, { limit: 1 });
 
@@ -470,6 +479,16 @@ function onBackgroundFilterInput() {
     });
 }
 
+/**
+ * Locks the background of the current chat to a file from the backgrounds folder.
+ * @param {string} file Background file name
+ */
+export function setChatBackground(file) {
+    saveBackgroundMetadata(`url("${getBackgroundPath(file)}")`);
+    setCustomBackground();
+    highlightLockedBackground();
+}
+
 export function initBackgrounds() {
     eventSource.on(event_types.CHAT_CHANGED, onChatChanged);
     eventSource.on(event_types.FORCE_SET_BACKGROUND, forceSetBackground);
@@ -0,0 +1,265 @@
+import {
+    callPopup,
+    characters,
+    getRequestHeaders,
+    openCharacterChat,
+    reloadCurrentChat,
+    renderTemplate,
+    saveChatConditional,
+    this_chid,
+} from "../script.js";
+import { humanizedDateTime } from "./RossAscends-mods.js";
+import { editGroup, groups, openGroupChat, selected_group } from "./group-chats.js";
+import { escapeHtml, timestampToMoment } from "./utils.js";
+
+/**
+ * Gets the request body fields that identify the current chat on the server.
+ * @returns {object|null} Chat identifier or null if no chat is open
+ */
+function getCurrentChatRef() {
+    if (selected_group) {
+        const group = groups.find(x => x.id === selected_group);
+        return group?.chat_id ? { group_chat_id: group.chat_id } : null;
+    }
+
+    if (this_chid !== undefined && characters[this_chid]?.chat) {
+        return { avatar_url: characters[this_chid].avatar, file_name: characters[this_chid].chat };
+    }
+
+    return null;
+}
+
+/**
+ * Sends a request to the chat history API.
+ * @param {string} action Endpoint name
+ * @param {object} params Additional request parameters
+ * @returns {Promise<Response>} Server response
+ */
+async function historyRequest(action, params = {}) {
+    return await fetch(`/api/chats/history/${action}`, {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ ...getCurrentChatRef(), ...params }),
+    });
+}
+
+/**
+ * Gets a short text preview of a chat message.
+ * @param {object} message Chat message
+ * @returns {string} Preview HTML
+ */
+function formatDiffMessage(message) {
+    if (!message) {
+        return '';
+    }
+
+    // Chat header line
+    if (message.chat_metadata !== undefined && message.mes === undefined) {
+        return '<i>Chat metadata</i>';
+    }
+
+    return `<b>${escapeHtml(message.name ?? '')}:</b> ${escapeHtml(message.mes ?? '')}`;
+}
+
+/**
+ * Renders the difference between two revisions.
+ * @param {JQuery<HTMLElement>} panel History panel
+ * @param {object[]} diff Diff entries
+ */
+function renderDiff(panel, diff) {
+    const diffBlock = panel.find('#chat_history_diff').empty();
+    const changes = diff.filter(x => x.type !== 'same');
+
+    if (!changes.length) {
+        diffBlock.append('<small>No changes.</small>');
+        return;
+    }
+
+    for (const entry of changes) {
+        const item = $('<div class="chat_history_diff_entry"></div>').addClass(`chat_history_diff_${entry.type}`);
+        const index = entry.afterIndex ?? entry.beforeIndex;
+        item.append(`<small class="chat_history_diff_type">${entry.type} #${index}</small>`);
+
+        if (entry.type === 'changed') {
+            item.append(`<div class="chat_history_diff_before">${formatDiffMessage(entry.before)}</div>`);
+            item.append(`<div class="chat_history_diff_after">${formatDiffMessage(entry.after)}</div>`);
+        } else {
+            item.append(`<div>${formatDiffMessage(entry.after ?? entry.before)}</div>`);
+        }
+
+        diffBlock.append(item);
+    }
+}
+
+/**
+ * Shows the changes made in a revision.
+ * @param {JQuery<HTMLElement>} panel History panel
+ * @param {object[]} revisions Revisions, newest first
+ * @param {number} index Index of the selected revision
+ */
+async function showRevisionDiff(panel, revisions, index) {
+    const revision = revisions[index];
+    const compareWith = String(panel.find('#chat_history_compare').val());
+    const other = compareWith === 'latest' ? revisions[0] : revisions[index + 1];
+
+    panel.find('.chat_history_revision').removeClass('selected');
+    panel.find(`.chat_history_revision[data-id="${revision.id}"]`).addClass('selected');
+
+    if (!other || other.id === revision.id) {
+        panel.find('#chat_history_diff').empty().append(`<small>${compareWith === 'latest' ? 'This is the latest revision.' : 'This is the oldest revision.'}</small>`);
+        return;
+    }
+
+    const from = Math.min(revision.id, other.id);
+    const to = Math.max(revision.id, other.id);
+    const response = await historyRequest('diff', { from, to });
+
+    if (!response.ok) {
+        toastr.error('Could not compare the revisions.');
+        return;
+    }
+
+    renderDiff(panel, await response.json());
+}
+
+/**
+ * Restores the chat to a revision, either in place or as a new chat file.
+ * @param {number} revisionId Revision ID
+ * @param {boolean} fork Save the revision as a new chat instead of overwriting the current one
+ */
+async function restoreRevision(revisionId, fork) {
+    const params = { revision: revisionId, fork };
+
+    if (fork) {
+        const name = await callPopup('Enter the name of the new chat:', 'input', `Revision #${revisionId} - ${humanizedDateTime()}`);
+
+        if (!name) {
+            return;
+        }
+
+        params.new_name = String(name).trim();
+    } else {
+        const confirm = await callPopup('<h3>Restore this revision?</h3>The current chat will be replaced. Its current state stays in the history.', 'confirm');
+
+        if (!confirm) {
+            return;
+        }
+    }
+
+    const response = await historyRequest('restore', params);
+
+    if (response.status === 409) {
+        toastr.warning('A chat with this name already exists.');
+        return;
+    }
+
+    if (!response.ok) {
+        toastr.error('Could not restore the revision.');
+        return;
+    }
+
+    const data = await response.json();
+
+    if (!fork) {
+        await reloadCurrentChat();
+    } else if (selected_group) {
+        const group = groups.find(x => x.id === selected_group);
+        group.chats.push(data.file_name);
+        await editGroup(group.id, true, false);
+        await openGroupChat(group.id, data.file_name);
+    } else {
+        await openCharacterChat(data.file_name);
+    }
+
+    toastr.success(fork ? `Revision saved as "${data.file_name}".` : 'Revision restored.');
+}
+
+/**
+ * Renders the list of revisions into the panel.
+ * @param {JQuery<HTMLElement>} panel History panel
+ * @param {object[]} revisions Revisions, newest first
+ */
+function renderRevisions(panel, revisions) {
+    const list = panel.find('#chat_history_revisions').empty();
+    panel.find('#chat_history_status').text(`${revisions.length} revisions.`);
+
+    revisions.forEach((revision, index) => {
+        const date = timestampToMoment(revision.timestamp);
+        const item = $(`
+            <div class="chat_history_revision flex-container flexFlowColumn" data-id="${revision.id}">
+                <div class="flex-container justifySpaceBetween">
+                    <b>#${revision.id}</b>
+                    <small>${escapeHtml(date.format('LL LT'))}</small>
+                </div>
+                <small>${revision.count} messages, +${revision.added} / -${revision.removed}</small>
+                <div class="flex-container">
+                    <div class="chat_history_restore menu_button menu_button_icon" title="Replace the current chat with this revision">
+                        <i class="fa-solid fa-clock-rotate-left"></i>
+                        <span>Restore</span>
+                    </div>
+                    <div class="chat_history_fork menu_button menu_button_icon" title="Save this revision as a new chat">
+                        <i class="fa-solid fa-code-branch"></i>
+                        <span>Fork</span>
+                    </div>
+                </div>
+            </div>`);
+
+        item.on('click', () => showRevisionDiff(panel, revisions, index));
+        item.find('.chat_history_restore').on('click', async (e) => {
+            e.stopPropagation();
+            $('#dialogue_popup_ok').trigger('click');
+            await restoreRevision(revision.id, false);
+        });
+        item.find('.chat_history_fork').on('click', async (e) => {
+            e.stopPropagation();
+            $('#dialogue_popup_ok').trigger('click');
+            await restoreRevision(revision.id, true);
+        });
+
+        list.append(item);
+    });
+}
+
+/**
+ * Opens the revision history panel for the current chat.
+ */
+export async function openChatHistory() {
+    if (!getCurrentChatRef()) {
+        toastr.info('Open a chat to see its history.');
+        return;
+    }
+
+    // Make sure the latest state is recorded
+    await saveChatConditional();
+
+    const response = await historyRequest('list');
+
+    if (!response.ok) {
+        toastr.error('Could not load the chat history.');
+        return;
+    }
+
+    const revisions = await response.json();
+    const panel = $(renderTemplate('chatHistory'));
+
+    if (!revisions.length) {
+        panel.find('#chat_history_status').text('No revisions recorded for this chat yet.');
+    } else {
+        renderRevisions(panel, revisions);
+    }
+
+    panel.find('#chat_history_compare').on('change', () => {
+        const selectedId = Number(panel.find('.chat_history_revision.selected').data('id'));
+        const index = revisions.findIndex(x => x.id === selectedId);
+
+        if (index !== -1) {
+            showRevisionDiff(panel, revisions, index);
+        }
+    });
+
+    await callPopup(panel, 'text', '', { wide: true, large: true, okButton: 'Close' });
+}
+
+jQuery(function () {
+    $('#option_chat_history').on('click', () => openChatHistory());
+});
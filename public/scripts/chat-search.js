@@ -0,0 +1,250 @@
+import {
+    callPopup,
+    characters,
+    getRequestHeaders,
+    openCharacterChat,
+    renderTemplate,
+    selectCharacterById,
+    showMoreMessages,
+    this_chid,
+} from "../script.js";
+import { groups, openGroupById, openGroupChat, selected_group } from "./group-chats.js";
+import { registerSlashCommand } from "./slash-commands.js";
+import { escapeHtml, timestampToMoment, waitUntilCondition } from "./utils.js";
+
+const MAX_SHOW_MORE_ATTEMPTS = 1000;
+
+/**
+ * Requests a search across all chat files on the server.
+ * @param {object} params Search parameters
+ * @param {string} params.query Text to find
+ * @param {string} params.name Sender name
+ * @param {string} params.from Lower date bound (YYYY-MM-DD)
+ * @param {string} params.to Upper date bound (YYYY-MM-DD)
+ * @param {boolean} params.current Limit the search to the current character or group
+ * @returns {Promise<{total: number, results: object[]}>} Search results
+ */
+async function searchChats({ query, name, from, to, current }) {
+    const body = {
+        query: query,
+        name: name,
+        dateFrom: from ? new Date(`${from}T00:00:00`).getTime() : null,
+        dateTo: to ? new Date(`${to}T23:59:59.999`).getTime() : null,
+    };
+
+    if (current && selected_group) {
+        body.group_id = selected_group;
+    } else if (current && this_chid !== undefined && characters[this_chid]) {
+        body.avatar_url = characters[this_chid].avatar;
+    }
+
+    const response = await fetch('/api/chats/search', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+        throw new Error(`Search request failed: ${response.statusText}`);
+    }
+
+    return await response.json();
+}
+
+/**
+ * Gets the display name of the chat owner for a search result.
+ * @param {object} result Search result
+ * @returns {string} Character or group name
+ */
+function getResultOwnerName(result) {
+    if (result.type === 'group') {
+        const group = groups.find(x => Array.isArray(x.chats) && x.chats.includes(result.file_name));
+        return group ? group.name : result.owner;
+    }
+
+    const character = characters.find(x => x.avatar === `${result.owner}.png`);
+    return character ? character.name : result.owner;
+}
+
+/**
+ * Opens the chat that contains the message and scrolls to it.
+ * @param {object} result Search result
+ */
+async function jumpToSearchResult(result) {
+    if (result.type === 'group') {
+        const group = groups.find(x => Array.isArray(x.chats) && x.chats.includes(result.file_name));
+
+        if (!group) {
+            toastr.warning('The group that owns this chat was not found.');
+            return;
+        }
+
+        if (selected_group !== group.id) {
+            await openGroupById(group.id);
+        }
+
+        if (group.chat_id !== result.file_name) {
+            await openGroupChat(group.id, result.file_name);
+        }
+    } else {
+        const characterId = characters.findIndex(x => x.avatar === `${result.owner}.png`);
+
+        if (characterId === -1) {
+            toastr.warning('The character that owns this chat was not found.');
+            return;
+        }
+
+        if (selected_group || Number(this_chid) !== characterId) {
+            await selectCharacterById(String(characterId));
+        }
+
+        if (characters[characterId].chat !== result.file_name) {
+            await openCharacterChat(result.file_name);
+        }
+    }
+
+    await scrollToMessage(result.mesId);
+}
+
+/**
+ * Scrolls the chat to the message, loading truncated messages if needed.
+ * @param {number} messageId Message ID
+ */
+export async function scrollToMessage(messageId) {
+    const selector = `#chat .mes[mesid="${messageId}"]`;
+
+    try {
+        await waitUntilCondition(() => document.querySelector('#chat .mes') !== null, 5000);
+    } catch {
+        console.debug('Chat did not render in time');
+    }
+
+    for (let i = 0; i < MAX_SHOW_MORE_ATTEMPTS && !document.querySelector(selector) && $('#show_more_messages').length; i++) {
+        showMoreMessages();
+    }
+
+    const element = $(selector);
+
+    if (!element.length) {
+        toastr.warning(`Message #${messageId} was not found in the chat.`);
+        return;
+    }
+
+    element[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    element.addClass('flash animated');
+    setTimeout(() => element.removeClass('flash animated'), 2000);
+}
+
+/**
+ * Renders the search results into the panel.
+ * @param {JQuery<HTMLElement>} panel Search panel
+ * @param {{total: number, results: object[]}} data Search results
+ */
+function renderSearchResults(panel, data) {
+    const resultsBlock = panel.find('#chat_search_results').empty();
+    const shown = data.results.length;
+    panel.find('#chat_search_status').text(data.total > shown ? `Found ${data.total} messages, showing ${shown} newest.` : `Found ${data.total} messages.`);
+
+    for (const result of data.results) {
+        const date = timestampToMoment(result.timestamp ?? result.send_date);
+        const item = $(`
+            <div class="chat_search_result flex-container flexFlowColumn" title="Open the chat and jump to this message">
+                <div class="flex-container justifySpaceBetween">
+                    <b class="chat_search_result_name">${escapeHtml(result.name)}</b>
+                    <small class="chat_search_result_date">${escapeHtml(date.isValid() ? date.format('LL LT') : result.send_date)}</small>
+                </div>
+                <small class="chat_search_result_chat">${escapeHtml(getResultOwnerName(result))} – ${escapeHtml(result.file_name)} #${result.mesId}</small>
+                <div class="chat_search_result_text">${escapeHtml(result.snippet)}</div>
+            </div>`);
+
+        item.on('click', async () => {
+            $('#dialogue_popup_ok').trigger('click');
+            await jumpToSearchResult(result);
+        });
+
+        resultsBlock.append(item);
+    }
+}
+
+/**
+ * Reads the search parameters from the panel and runs the search.
+ * @param {JQuery<HTMLElement>} panel Search panel
+ */
+async function runPanelSearch(panel) {
+    const params = {
+        query: String(panel.find('#chat_search_query').val()),
+        name: String(panel.find('#chat_search_name').val()),
+        from: String(panel.find('#chat_search_from').val()),
+        to: String(panel.find('#chat_search_to').val()),
+        current: !!panel.find('#chat_search_current').prop('checked'),
+    };
+
+    if (!params.query.trim() && !params.name.trim() && !params.from && !params.to) {
+        panel.find('#chat_search_status').text('Enter the text, sender name or dates to search for.');
+        return;
+    }
+
+    panel.find('#chat_search_status').text('Searching...');
+
+    try {
+        const data = await searchChats(params);
+        renderSearchResults(panel, data);
+        return data;
+    } catch (error) {
+        console.error('Chat search failed', error);
+        panel.find('#chat_search_status').text('Search failed. Check the server console for details.');
+    }
+}
+
+/**
+ * Opens the chat search panel, optionally running a search right away.
+ * @param {object} [params] Initial search parameters
+ */
+export async function openChatSearch(params = {}) {
+    const panel = $(renderTemplate('chatSearch', {
+        query: params.query ?? '',
+        name: params.name ?? '',
+        from: params.from ?? '',
+        to: params.to ?? '',
+        current: params.current ?? false,
+    }));
+
+    panel.find('#chat_search_button').on('click', () => runPanelSearch(panel));
+    panel.find('input').on('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            runPanelSearch(panel);
+        }
+    });
+
+    const popupPromise = callPopup(panel, 'text', '', { wide: true, large: true, okButton: 'Close' });
+    const hasParams = params.query || params.name || params.from || params.to;
+    const data = hasParams ? await runPanelSearch(panel) : null;
+
+    // Jump straight to the only match
+    if (params.jump && data && data.results.length === 1) {
+        $('#dialogue_popup_ok').trigger('click');
+        await jumpToSearchResult(data.results[0]);
+    }
+
+    await popupPromise;
+}
+
+async function searchCommandCallback(args, value) {
+    const params = {
+        query: value ?? '',
+        name: args?.name ?? '',
+        from: args?.from ?? '',
+        to: args?.to ?? '',
+        current: args?.scope === 'current',
+        jump: true,
+    };
+
+    await openChatSearch(params);
+    return '';
+}
+
+jQuery(function () {
+    $('#option_search_chats').on('click', () => openChatSearch());
+    registerSlashCommand('search', searchCommandCallback, ['findchat'], '<span class="monospace">name=sender from=YYYY-MM-DD to=YYYY-MM-DD scope=all/current (text)</span> – searches messages in all chats and shows the results. Jumps straight to the message if there is only one match, e.g. <tt>/search name=Alice from=2023-10-01 the old lighthouse</tt>', true, true);
+});
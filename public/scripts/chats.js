@@ -4,18 +4,44 @@ import {
     addCopyToCodeBlocks,
     appendMediaToMessage,
     callPopup,
+    characters,
     chat,
+    chat_metadata,
     eventSource,
     event_types,
     getCurrentChatId,
+    getRequestHeaders,
     hideSwipeButtons,
     name2,
+    renderTemplate,
     saveChatDebounced,
+    saveSettingsDebounced,
     showSwipeButtons,
+    this_chid,
 } from "../script.js";
-import { getBase64Async, humanFileSize, saveBase64AsFile } from "./utils.js";
+import { extension_settings, saveMetadataDebounced } from "./extensions.js";
+import { selected_group } from "./group-chats.js";
+import { getBase64Async, humanFileSize, saveBase64AsFile, timestampToMoment } from "./utils.js";
 
 const fileSizeLimit = 1024 * 1024 * 1; // 1 MB
+const dataBankFileSizeLimit = 1024 * 1024 * 10; // 10 MB
+
+/**
+ * @typedef {object} FileAttachment
+ * @property {string} url File URL relative to the public folder
+ * @property {string} name Original file name
+ * @property {number} size File size in bytes
+ * @property {number} created Upload timestamp
+ */
+
+/**
+ * Data bank scopes. Global files are used in every chat, character files in all chats with the character.
+ */
+const dataBankScopes = {
+    global: { title: 'Global', description: 'Available in all chats.' },
+    character: { title: 'Character', description: 'Available in all chats with the current character.' },
+    chat: { title: 'Chat', description: 'Available only in the current chat.' },
+};
 
 /**
  * Mark message as hidden (system message).
@@ -108,15 +134,16 @@ export async function populateFileAttachment(message, inputId = 'file_form_input
 /**
  * Validates file to make sure it is not binary or not image.
  * @param {File} file File object
+ * @param {number} sizeLimit Maximum size of a text file in bytes
  * @returns {Promise<boolean>} True if file is valid, false otherwise.
  */
-async function validateFile(file) {
+async function validateFile(file, sizeLimit = fileSizeLimit) {
     const fileText = await file.text();
     const isImage = file.type.startsWith('image/');
     const isBinary = /^[\x00-\x08\x0E-\x1F\x7F-\xFF]*$/.test(fileText);
 
-    if (!isImage && file.size > fileSizeLimit) {
-        toastr.error(`File is too big. Maximum size is ${humanFileSize(fileSizeLimit)}.`);
+    if (!isImage && file.size > sizeLimit) {
+        toastr.error(`File is too big. Maximum size is ${humanFileSize(sizeLimit)}.`);
         return false;
     }
 
@@ -245,6 +272,245 @@ function embedMessageFile(messageId, messageBlock) {
     }
 }
 
+/**
+ * Gets the list of data bank files for the scope.
+ * @param {string} scope Data bank scope
+ * @param {boolean} create Store an empty list if the scope has no files yet
+ * @returns {FileAttachment[]|null} Files of the scope or null if the scope is not available in the current chat
+ */
+function getScopeAttachments(scope, create = true) {
+    let storage = null;
+    let key = '';
+
+    switch (scope) {
+        case 'global':
+            storage = extension_settings;
+            key = 'attachments';
+            break;
+        case 'character':
+            if (!selected_group && characters[this_chid]?.avatar) {
+                storage = extension_settings.character_attachments ??= {};
+                key = characters[this_chid].avatar;
+            }
+            break;
+        case 'chat':
+            if (getCurrentChatId()) {
+                storage = chat_metadata;
+                key = 'attachments';
+            }
+            break;
+    }
+
+    if (!storage) {
+        return null;
+    }
+
+    if (!Array.isArray(storage[key])) {
+        if (!create) {
+            return [];
+        }
+
+        storage[key] = [];
+    }
+
+    return storage[key];
+}
+
+/**
+ * Saves the storage of the data bank scope.
+ * @param {string} scope Data bank scope
+ */
+function saveScopeAttachments(scope) {
+    if (scope === 'chat') {
+        saveMetadataDebounced();
+    } else {
+        saveSettingsDebounced();
+    }
+}
+
+/**
+ * Gets all data bank files available in the current chat.
+ * @returns {(FileAttachment & {scope: string})[]} Files with their scopes
+ */
+export function getDataBankAttachments() {
+    const result = [];
+
+    for (const scope of Object.keys(dataBankScopes)) {
+        const attachments = getScopeAttachments(scope, false) ?? [];
+        result.push(...attachments.map(x => ({ ...x, scope })));
+    }
+
+    return result;
+}
+
+/**
+ * Uploads a file to the data bank.
+ * @param {File} file File to upload
+ * @param {string} scope Data bank scope
+ * @returns {Promise<boolean>} True if the file was added
+ */
+async function uploadDataBankFile(file, scope) {
+    if (file.type === 'application/pdf' || file.name.toLowerCase().endsWith('.pdf')) {
+        toastr.warning('Extract the text from the PDF document and upload it as a text file.', 'PDF files are not supported');
+        return false;
+    }
+
+    const isValid = await validateFile(file, dataBankFileSizeLimit);
+
+    if (!isValid) {
+        return false;
+    }
+
+    const attachments = getScopeAttachments(scope);
+
+    if (!attachments) {
+        toastr.warning('This data bank scope is not available in the current chat.');
+        return false;
+    }
+
+    const base64Data = (await getBase64Async(file)).split(',')[1] ?? '';
+    const slug = file.name.replace(/[^a-z0-9_.-]/gi, '_').toLowerCase();
+    const response = await fetch('/api/files/upload', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ name: `${Date.now()}_${slug}`, data: base64Data }),
+    });
+
+    if (!response.ok) {
+        toastr.error('Could not upload the file.');
+        return false;
+    }
+
+    const data = await response.json();
+    attachments.push({ url: data.path, name: file.name, size: file.size, created: Date.now() });
+    saveScopeAttachments(scope);
+    return true;
+}
+
+/**
+ * Deletes a file from the data bank and from the server.
+ * @param {string} scope Data bank scope
+ * @param {number} index Index of the file in the scope
+ * @returns {Promise<boolean>} True if the file was deleted
+ */
+async function deleteDataBankFile(scope, index) {
+    const attachments = getScopeAttachments(scope, false);
+    const attachment = attachments?.[index];
+
+    if (!attachment) {
+        return false;
+    }
+
+    const confirm = await callPopup(`Are you sure you want to delete "${attachment.name}" from the data bank?`, 'confirm');
+
+    if (!confirm) {
+        return false;
+    }
+
+    const response = await fetch('/api/files/delete', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ path: attachment.url }),
+    });
+
+    // Already deleted files are removed from the list too
+    if (!response.ok && response.status !== 404) {
+        toastr.error('Could not delete the file.');
+        return false;
+    }
+
+    attachments.splice(index, 1);
+    saveScopeAttachments(scope);
+    await eventSource.emit(event_types.FILE_ATTACHMENT_DELETED, attachment.url);
+    return true;
+}
+
+/**
+ * Opens a data bank file in a modal.
+ * @param {FileAttachment} attachment Data bank file
+ */
+async function viewDataBankFile(attachment) {
+    const response = await fetch(attachment.url);
+
+    if (!response.ok) {
+        toastr.error('Could not load the file.');
+        return;
+    }
+
+    const modalTemplate = $('<div><pre><code></code></pre></div>');
+    modalTemplate.find('code').addClass('txt').text(await response.text());
+    modalTemplate.addClass('file_modal');
+    addCopyToCodeBlocks(modalTemplate);
+
+    callPopup(modalTemplate, 'text', '', { wide: true, large: true, okButton: 'Close' });
+}
+
+/**
+ * Renders the data bank contents into the container.
+ * @param {JQuery<HTMLElement>} container Data bank popup container
+ */
+function renderDataBank(container) {
+    const scopes = Object.entries(dataBankScopes).map(([id, scope]) => {
+        const attachments = getScopeAttachments(id, false);
+        return {
+            id,
+            title: scope.title,
+            description: attachments ? scope.description : 'Not available in the current chat.',
+            available: !!attachments,
+            attachments: (attachments ?? []).map((x, index) => ({
+                index,
+                name: x.name,
+                size: humanFileSize(x.size),
+                date: timestampToMoment(x.created).format('LL LT'),
+            })),
+        };
+    });
+
+    container.empty().append(renderTemplate('dataBank', { scopes }));
+    const fileInput = container.find('.data_bank_file_input');
+
+    container.find('.data_bank_upload').on('click', function () {
+        const scope = $(this).closest('.data_bank_scope').data('scope');
+        fileInput.off('change').on('change', async () => {
+            const file = fileInput.prop('files')[0];
+            fileInput.val('');
+
+            if (file && await uploadDataBankFile(file, scope)) {
+                renderDataBank(container);
+            }
+        }).trigger('click');
+    });
+
+    // Nested popups are not supported, so the data bank is closed first
+    container.find('.data_bank_view').on('click', async function () {
+        const scope = $(this).closest('.data_bank_scope').data('scope');
+        const index = Number($(this).closest('.data_bank_attachment').data('index'));
+        const attachment = getScopeAttachments(scope, false)?.[index];
+
+        if (attachment) {
+            $('#dialogue_popup_ok').trigger('click');
+            await viewDataBankFile(attachment);
+        }
+    });
+
+    container.find('.data_bank_delete').on('click', async function () {
+        const scope = $(this).closest('.data_bank_scope').data('scope');
+        const index = Number($(this).closest('.data_bank_attachment').data('index'));
+        $('#dialogue_popup_ok').trigger('click');
+        await deleteDataBankFile(scope, index);
+        await openDataBank();
+    });
+}
+
+/**
+ * Opens the data bank manager.
+ */
+export async function openDataBank() {
+    const container = $('<div class="data_bank_container"></div>');
+    renderDataBank(container);
+    await callPopup(container, 'text', '', { wide: true, okButton: 'Close' });
+}
+
 jQuery(function () {
     $(document).on('click', '.mes_hide', async function () {
         const messageBlock = $(this).closest('.mes');
@@ -275,6 +541,8 @@ jQuery(function () {
         $('#file_form_input').trigger('click');
     });
 
+    $('#option_data_bank').on('click', () => openDataBank());
+
     $(document).on('click', '.mes_embed', function () {
         const messageBlock = $(this).closest('.mes');
         const messageId = Number(messageBlock.attr('mesid'));
@@ -0,0 +1,265 @@
+/**
+ * Slash command scripts bound to app events (/on). Bindings are stored in the settings and run with the event data as scoped variables.
+ */
+
+import { characters, chat, eventSource, event_types, saveSettingsDebounced, sendSystemMessage, system_message_types, this_chid } from "../script.js";
+import { extension_settings } from "./extensions.js";
+import { groups, isCandidateSwipe, selected_group } from "./group-chats.js";
+import { ARGUMENT_TYPE, executeSlashCommands, registerSlashCommand } from "./slash-commands.js";
+import { matchesTextFilter } from "./utils.js";
+import { popVariableScope, pushVariableScope } from "./variables.js";
+
+/**
+ * @typedef {object} EventScript
+ * @property {number} id Binding id
+ * @property {string} event Event type, a value of event_types
+ * @property {string} script Commands to run
+ * @property {string} character Run only for this character name, empty for any
+ * @property {string} group Run only in the group with this name, empty for any
+ * @property {string} match Run only if the message matches this text or /regex/, empty for any
+ */
+
+/**
+ * Ids of the bindings that are running, to prevent a script from triggering itself.
+ * @type {Set<number>}
+ */
+const runningScripts = new Set();
+
+/**
+ * Gets the stored event bindings.
+ * @returns {EventScript[]} Bindings
+ */
+function getEventScripts() {
+    return extension_settings.event_scripts ??= [];
+}
+
+/**
+ * Gets the event type from its value or key, e.g. "message_received" or "MESSAGE_RECEIVED".
+ * @param {string} name Event name
+ * @returns {string|null} Event type or null if it doesn't exist
+ */
+function findEventType(name) {
+    const value = String(name ?? '').trim();
+    const types = Object.values(event_types);
+
+    return types.find(x => x === value.toLowerCase()) ?? event_types[value.toUpperCase()] ?? null;
+}
+
+/**
+ * Gets the chat message referenced by the event, if its first argument is a message id.
+ * @param {string} event Event type
+ * @param {any[]} args Event arguments
+ * @returns {{id: number, message: object}|null} Message with its id
+ */
+function getEventMessage(event, args) {
+    const id = Number(args[0]);
+
+    if (!/message/.test(event) || !Number.isInteger(id) || !chat[id]) {
+        return null;
+    }
+
+    return { id, message: chat[id] };
+}
+
+/**
+ * Converts the event arguments to a JSON list. Elements and values that can't be converted are replaced with null.
+ * @param {any[]} args Event arguments
+ * @returns {string} JSON list
+ */
+function serializeEventArgs(args) {
+    try {
+        return JSON.stringify(args, (_, value) => (value instanceof HTMLElement ? null : value));
+    } catch {
+        return JSON.stringify(args.map(x => (typeof x === 'object' ? null : x)));
+    }
+}
+
+/**
+ * Gets the scoped variables of an event.
+ * @param {string} event Event type
+ * @param {any[]} args Event arguments
+ * @returns {Object<string, any>} Variables
+ */
+function getEventVariables(event, args) {
+    const variables = { event, args: serializeEventArgs(args) };
+    const eventMessage = getEventMessage(event, args);
+
+    if (eventMessage) {
+        variables.messageid = eventMessage.id;
+        variables.message = eventMessage.message.mes ?? '';
+        variables.name = eventMessage.message.name ?? '';
+        variables.isuser = String(!!eventMessage.message.is_user);
+    }
+
+    if (event === event_types.CHAT_CHANGED) {
+        variables.chatid = args[0] ?? '';
+    }
+
+    return variables;
+}
+
+/**
+ * Checks if the binding filters allow the event.
+ * @param {EventScript} binding Event binding
+ * @param {Object<string, any>} variables Event variables
+ * @returns {boolean} True if the script should run
+ */
+function matchesFilters(binding, variables) {
+    if (binding.group) {
+        const group = groups.find(x => x.id === selected_group);
+
+        if (!group || group.name.toLowerCase() !== binding.group.toLowerCase()) {
+            return false;
+        }
+    }
+
+    if (binding.character) {
+        // Message events are filtered by the speaker, other events by the open character
+        const name = variables.messageid !== undefined ? variables.name : characters[this_chid]?.name;
+
+        if (String(name ?? '').toLowerCase() !== binding.character.toLowerCase()) {
+            return false;
+        }
+    }
+
+    if (binding.match) {
+        if (variables.message === undefined || !matchesTextFilter(binding.match, variables.message)) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Runs the scripts bound to the event.
+ * @param {string} event Event type
+ * @param {any[]} args Event arguments
+ */
+async function onEvent(event, args) {
+    // Only the first reply of a parallel group turn is received as a message
+    if (event === event_types.MESSAGE_RECEIVED && isCandidateSwipe(args[0])) {
+        return;
+    }
+
+    const bindings = getEventScripts().filter(x => x.event === event && !runningScripts.has(x.id));
+
+    if (bindings.length === 0) {
+        return;
+    }
+
+    const variables = getEventVariables(event, args);
+
+    for (const binding of bindings) {
+        if (!matchesFilters(binding, variables)) {
+            continue;
+        }
+
+        runningScripts.add(binding.id);
+        pushVariableScope(variables);
+
+        try {
+            await executeSlashCommands(binding.script);
+        } catch (error) {
+            console.error(`Event script #${binding.id} for "${event}" failed`, error);
+        } finally {
+            popVariableScope();
+            runningScripts.delete(binding.id);
+        }
+    }
+}
+
+/**
+ * Binds a script to an event.
+ * @param {object} args Named arguments
+ * @param {any} value Commands to run
+ * @returns {string|number} Binding id
+ */
+function onCallback(args, value) {
+    const event = findEventType(args.event);
+    const script = String(value ?? '').trim();
+
+    if (!event) {
+        toastr.warning(`Unknown event "${args.event ?? ''}". Use /listevents to see the available events.`, 'Invalid event');
+        return '';
+    }
+
+    if (!script) {
+        toastr.warning('No commands to run were provided.', 'Invalid command');
+        return '';
+    }
+
+    const eventScripts = getEventScripts();
+    const id = eventScripts.reduce((max, x) => Math.max(max, x.id), 0) + 1;
+
+    eventScripts.push({
+        id,
+        event,
+        script,
+        character: String(args.character ?? ''),
+        group: String(args.group ?? ''),
+        match: String(args.match ?? ''),
+    });
+
+    saveSettingsDebounced();
+    return id;
+}
+
+/**
+ * Removes an event binding, or all bindings of an event.
+ * @param {object} args Named arguments
+ * @param {string} value Binding id
+ * @returns {string} Empty string
+ */
+function offCallback(args, value) {
+    const eventScripts = getEventScripts();
+    const event = args.event ? findEventType(args.event) : null;
+    const id = Number(value);
+    const remaining = eventScripts.filter(x => event ? x.event !== event : x.id !== id);
+
+    if (remaining.length === eventScripts.length) {
+        toastr.warning('No matching event scripts found.', 'Nothing to remove');
+        return '';
+    }
+
+    extension_settings.event_scripts = remaining;
+    saveSettingsDebounced();
+    return '';
+}
+
+/**
+ * Shows the event bindings and the available events in a system message.
+ * @returns {string} Empty string
+ */
+function listEventsCallback() {
+    const bindings = getEventScripts().map(x => {
+        const filters = [
+            x.character && `character: ${x.character}`,
+            x.group && `group: ${x.group}`,
+            x.match && `match: ${x.match}`,
+        ].filter(x => x).join(', ');
+        return `#${x.id} **${x.event}**${filters ? ` (${filters})` : ''}: \`${x.script}\``;
+    });
+
+    const bindingsString = bindings.length > 0 ? bindings.join('\n\n') : 'No event scripts';
+    const eventsString = Object.values(event_types).join(', ');
+
+    const converter = new showdown.Converter();
+    const message = `### Event scripts:\n${bindingsString}\n\n### Available events:\n${eventsString}`;
+    const htmlMessage = DOMPurify.sanitize(converter.makeHtml(message));
+
+    sendSystemMessage(system_message_types.GENERIC, htmlMessage);
+    return '';
+}
+
+export function registerEventScriptCommands() {
+    registerSlashCommand('on', onCallback, [], '<span class="monospace">event=name [character=name] [group=name] [match=text or /regex/] {: commands :}</span> – run the commands every time the event happens and pass the id of the binding down the pipe, e.g. <tt>/on event=message_received character=Narrator match=/dice/i {: /echo {{getvar::name}} rolled :}</tt>. The event data is available as scoped variables: event, args (JSON list), and for message events messageid, message, name and isuser. Character filters the message speaker, or the open character for other events. Use /listevents to see the events.', true, true, { named: [{ name: 'event', type: ARGUMENT_TYPE.ENUM, enumList: () => [...Object.values(event_types), ...Object.keys(event_types)], required: true }, { name: 'character', type: ARGUMENT_TYPE.CHARACTER }] });
+    registerSlashCommand('off', offCallback, [], '<span class="monospace">[event=name] (id)</span> – remove an event script by its id, or all scripts of the event, e.g. <tt>/off 2</tt>', true, true);
+    registerSlashCommand('listevents', listEventsCallback, [], ' – list the event scripts and the available events', true, true);
+}
+
+jQuery(() => {
+    for (const event of Object.values(event_types)) {
+        eventSource.on(event, (...args) => onEvent(event, args));
+    }
+});
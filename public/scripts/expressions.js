@@ -0,0 +1,452 @@
+/**
+ * Safe evaluator of arithmetic, string and boolean expressions for STscript.
+ * Expressions are parsed by hand and never passed to eval.
+ *
+ * Operators, from the lowest precedence: || (or), && (and), ! (not),
+ * comparisons (== != < <= > >=), + -, * / %, unary minus, ^ (power).
+ * && and || short-circuit: the skipped side is parsed, but its variables and functions are not evaluated.
+ * Strings are written in single or double quotes, other words are variable names.
+ */
+
+/**
+ * Functions available in expressions.
+ * @type {Object<string, (...args: any[]) => any>}
+ */
+const EXPRESSION_FUNCTIONS = {
+    min: (...args) => Math.min(...args.map(Number)),
+    max: (...args) => Math.max(...args.map(Number)),
+    round: (x, digits = 0) => Math.round(Number(x) * 10 ** Number(digits)) / 10 ** Number(digits),
+    floor: (x) => Math.floor(Number(x)),
+    ceil: (x) => Math.ceil(Number(x)),
+    abs: (x) => Math.abs(Number(x)),
+    sqrt: (x) => Math.sqrt(Number(x)),
+    // random() is a fraction from 0 to 1, random(max) and random(min, max) are whole numbers including the bounds
+    random: (a, b) => {
+        if (a === undefined) {
+            return Math.random();
+        }
+        const [min, max] = b === undefined ? [0, Number(a)] : [Number(a), Number(b)];
+        return Math.floor(Math.random() * (max - min + 1)) + min;
+    },
+    len: (x) => String(x).length,
+    upper: (x) => String(x).toUpperCase(),
+    lower: (x) => String(x).toLowerCase(),
+    trim: (x) => String(x).trim(),
+    contains: (x, y) => String(x).toLowerCase().includes(String(y).toLowerCase()),
+    startswith: (x, y) => String(x).startsWith(String(y)),
+    endswith: (x, y) => String(x).endsWith(String(y)),
+    replace: (x, y, z) => String(x).split(String(y)).join(String(z)),
+    substr: (x, start, length) => String(x).substr(Number(start), length === undefined ? undefined : Number(length)),
+    concat: (...args) => args.join(''),
+    number: (x) => Number(x),
+    string: (x) => String(x),
+    if: (condition, a, b) => (condition ? a : b),
+};
+
+const KEYWORD_OPERATORS = { and: '&&', or: '||', not: '!' };
+
+/**
+ * Error in an expression, with the position where it was found.
+ */
+export class ExpressionError extends Error {
+    /**
+     * @param {string} message Error description
+     * @param {number} position Position in the expression (0-based)
+     */
+    constructor(message, position) {
+        super(`${message} at position ${position + 1}.`);
+        this.name = 'ExpressionError';
+        this.position = position;
+    }
+}
+
+/**
+ * @typedef {object} Token
+ * @property {'number'|'string'|'name'|'operator'} type Token type
+ * @property {any} value Token value
+ * @property {number} position Position in the expression
+ */
+
+/**
+ * Splits an expression into tokens.
+ * @param {string} text Expression
+ * @returns {Token[]} Tokens
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        const number = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(text.slice(i));
+        if (number) {
+            tokens.push({ type: 'number', value: Number(number[0]), position: i });
+            i += number[0].length;
+            continue;
+        }
+
+        if (char === '"' || char === "'") {
+            let value = '';
+            let j = i + 1;
+
+            while (j < text.length && text[j] !== char) {
+                if (text[j] === '\\' && j + 1 < text.length) {
+                    j++;
+                }
+                value += text[j];
+                j++;
+            }
+
+            if (j >= text.length) {
+                throw new ExpressionError('Unclosed string', i);
+            }
+
+            tokens.push({ type: 'string', value, position: i });
+            i = j + 1;
+            continue;
+        }
+
+        const name = /^[a-z_][\w.]*/i.exec(text.slice(i));
+        if (name) {
+            const keyword = KEYWORD_OPERATORS[name[0].toLowerCase()];
+            tokens.push(keyword ? { type: 'operator', value: keyword, position: i } : { type: 'name', value: name[0], position: i });
+            i += name[0].length;
+            continue;
+        }
+
+        const operator = /^(==|!=|<=|>=|&&|\|\||[-+*/%^<>!(),=])/.exec(text.slice(i));
+        if (operator) {
+            // A single = compares too, assignments are not supported
+            tokens.push({ type: 'operator', value: operator[0] === '=' ? '==' : operator[0], position: i });
+            i += operator[0].length;
+            continue;
+        }
+
+        throw new ExpressionError(`Unexpected character "${char}"`, i);
+    }
+
+    return tokens;
+}
+
+/**
+ * Checks if the value can be used as a number.
+ * @param {any} value Value
+ * @returns {boolean} True for numbers, booleans and numeric strings
+ */
+function isNumeric(value) {
+    return typeof value === 'number' || typeof value === 'boolean' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+}
+
+/**
+ * Compares two values as numbers if both are numeric, otherwise as strings.
+ * @param {any} a Left value
+ * @param {any} b Right value
+ * @returns {number} Negative if a < b, positive if a > b, zero if equal
+ */
+function compareValues(a, b) {
+    if (isNumeric(a) && isNumeric(b)) {
+        return Number(a) - Number(b);
+    }
+
+    return String(a).localeCompare(String(b));
+}
+
+class ExpressionParser {
+    /**
+     * @param {Token[]} tokens Expression tokens
+     * @param {number} length Length of the expression
+     * @param {(name: string) => any} resolveName Gets the value of a variable, undefined if it doesn't exist
+     */
+    constructor(tokens, length, resolveName) {
+        this.tokens = tokens;
+        this.length = length;
+        this.resolveName = resolveName;
+        this.index = 0;
+        // Parsing the skipped side of && or ||
+        this.skipping = 0;
+    }
+
+    get token() {
+        return this.tokens[this.index];
+    }
+
+    /**
+     * Consumes the current token if it is the operator.
+     * @param {...string} operators Expected operators
+     * @returns {string|null} Matched operator
+     */
+    accept(...operators) {
+        const token = this.token;
+
+        if (token?.type === 'operator' && operators.includes(token.value)) {
+            this.index++;
+            return token.value;
+        }
+
+        return null;
+    }
+
+    /**
+     * @param {string} operator Required operator
+     */
+    expect(operator) {
+        if (!this.accept(operator)) {
+            throw new ExpressionError(`Expected "${operator}"`, this.token?.position ?? this.length);
+        }
+    }
+
+    parse() {
+        if (this.tokens.length === 0) {
+            throw new ExpressionError('Empty expression', 0);
+        }
+
+        const value = this.parseOr();
+
+        if (this.token) {
+            throw new ExpressionError(`Unexpected "${this.token.value}"`, this.token.position);
+        }
+
+        return value;
+    }
+
+    /**
+     * Parses an operand without evaluating it.
+     * @param {() => any} parseOperand Operand parser
+     */
+    skip(parseOperand) {
+        this.skipping++;
+
+        try {
+            parseOperand();
+        } finally {
+            this.skipping--;
+        }
+    }
+
+    parseOr() {
+        let value = this.parseAnd();
+
+        while (this.accept('||')) {
+            if (value) {
+                this.skip(() => this.parseAnd());
+            } else {
+                value = this.parseAnd();
+            }
+        }
+
+        return value;
+    }
+
+    parseAnd() {
+        let value = this.parseNot();
+
+        while (this.accept('&&')) {
+            if (value) {
+                value = this.parseNot();
+            } else {
+                this.skip(() => this.parseNot());
+            }
+        }
+
+        return value;
+    }
+
+    parseNot() {
+        if (this.accept('!')) {
+            return !this.parseNot();
+        }
+
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        let value = this.parseAdditive();
+        let operator;
+
+        while ((operator = this.accept('==', '!=', '<', '<=', '>', '>='))) {
+            const difference = compareValues(value, this.parseAdditive());
+
+            switch (operator) {
+                case '==': value = difference === 0; break;
+                case '!=': value = difference !== 0; break;
+                case '<': value = difference < 0; break;
+                case '<=': value = difference <= 0; break;
+                case '>': value = difference > 0; break;
+                case '>=': value = difference >= 0; break;
+            }
+        }
+
+        return value;
+    }
+
+    parseAdditive() {
+        let value = this.parseMultiplicative();
+        let operator;
+
+        while ((operator = this.accept('+', '-'))) {
+            const right = this.parseMultiplicative();
+
+            // Joins strings unless both sides are numbers
+            if (operator === '+' && (!isNumeric(value) || !isNumeric(right))) {
+                value = String(value) + String(right);
+            } else {
+                value = operator === '+' ? Number(value) + Number(right) : Number(value) - Number(right);
+            }
+        }
+
+        return value;
+    }
+
+    parseMultiplicative() {
+        let value = this.parseUnary();
+        let operator;
+
+        while ((operator = this.accept('*', '/', '%'))) {
+            const right = Number(this.parseUnary());
+
+            switch (operator) {
+                case '*': value = Number(value) * right; break;
+                case '/': value = Number(value) / right; break;
+                case '%': value = Number(value) % right; break;
+            }
+        }
+
+        return value;
+    }
+
+    parseUnary() {
+        if (this.accept('-')) {
+            return -Number(this.parseUnary());
+        }
+
+        if (this.accept('+')) {
+            return Number(this.parseUnary());
+        }
+
+        return this.parsePower();
+    }
+
+    parsePower() {
+        const base = this.parsePrimary();
+
+        // Right associative: 2^3^2 = 2^9
+        if (this.accept('^')) {
+            return Number(base) ** Number(this.parseUnary());
+        }
+
+        return base;
+    }
+
+    parsePrimary() {
+        const token = this.token;
+
+        if (!token) {
+            throw new ExpressionError('Unexpected end of expression', this.length);
+        }
+
+        if (this.accept('(')) {
+            const value = this.parseOr();
+            this.expect(')');
+            return value;
+        }
+
+        if (token.type === 'number' || token.type === 'string') {
+            this.index++;
+            return token.value;
+        }
+
+        if (token.type === 'name') {
+            this.index++;
+            return this.token?.type === 'operator' && this.token.value === '(' ? this.parseCall(token) : this.parseName(token);
+        }
+
+        throw new ExpressionError(`Unexpected "${token.value}"`, token.position);
+    }
+
+    /**
+     * @param {Token} token Function name token
+     */
+    parseCall(token) {
+        const fnName = String(token.value).toLowerCase();
+        const fn = Object.hasOwn(EXPRESSION_FUNCTIONS, fnName) ? EXPRESSION_FUNCTIONS[fnName] : null;
+
+        if (!fn) {
+            throw new ExpressionError(`Unknown function "${token.value}"`, token.position);
+        }
+
+        this.expect('(');
+        const args = [];
+
+        if (!this.accept(')')) {
+            do {
+                args.push(this.parseOr());
+            } while (this.accept(','));
+
+            this.expect(')');
+        }
+
+        return this.skipping ? undefined : fn(...args);
+    }
+
+    /**
+     * @param {Token} token Variable name token
+     */
+    parseName(token) {
+        const name = String(token.value);
+
+        switch (name.toLowerCase()) {
+            case 'true': return true;
+            case 'false': return false;
+            case 'pi': return Math.PI;
+        }
+
+        if (this.skipping) {
+            return undefined;
+        }
+
+        const value = this.resolveName(name);
+
+        if (value === undefined) {
+            throw new ExpressionError(`Unknown variable "${name}"`, token.position);
+        }
+
+        // Numeric variables are stored as text
+        return typeof value === 'string' && isNumeric(value) ? Number(value) : value;
+    }
+}
+
+/**
+ * Evaluates an expression.
+ * @param {string} text Expression
+ * @param {(name: string) => any} resolveName Gets the value of a variable, undefined if it doesn't exist
+ * @returns {any} Result
+ * @throws {ExpressionError} If the expression is invalid
+ */
+export function evaluateExpression(text, resolveName) {
+    const expression = String(text);
+    const parser = new ExpressionParser(tokenize(expression), expression.length, resolveName);
+    return parser.parse();
+}
+
+/**
+ * Formats the result of an expression to be passed down the pipe.
+ * @param {any} value Result
+ * @returns {string|number} Formatted value
+ */
+export function formatExpressionResult(value) {
+    if (typeof value === 'boolean') {
+        return String(value);
+    }
+
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+        return String(value);
+    }
+
+    return value;
+}
@@ -163,6 +163,14 @@ const extension_settings = {
     variables: {
         global: {},
     },
+    /** @type {object[]} */
+    attachments: [],
+    /** @type {Record<string, object[]>} */
+    character_attachments: {},
+    /** @type {Record<string, object>} */
+    user_commands: {},
+    /** @type {object[]} */
+    event_scripts: [],
 };
 
 let modules = [];
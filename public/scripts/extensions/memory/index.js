@@ -327,7 +327,13 @@ async function forceSummarizeChat() {
     }
 
     toastr.info('Summarizing chat...', 'Please wait');
-    const value = await summarizeChatMain(context, true, skipWIAN);
+    let value;
+
+    try {
+        value = await summarizeChatMain(context, true, skipWIAN);
+    } catch (error) {
+        console.error(error);
+    }
 
     if (!value) {
         toastr.warning('Failed to summarize chat');
@@ -2,6 +2,8 @@ import { saveSettingsDebounced, callPopup, getRequestHeaders, substituteParams,
 import { getContext, extension_settings } from "../../extensions.js";
 import { initScrollHeight, resetScrollHeight, getSortableDelay } from "../../utils.js";
 import { executeSlashCommands, registerSlashCommand } from "../../slash-commands.js";
+import { reloadUserCommands } from "../../user-commands.js";
+import { JOB_TYPES, cancelScheduledJob, getScheduledJobs } from "../../scheduler.js";
 import { ContextMenu } from "./src/ContextMenu.js";
 import { MenuItem } from "./src/MenuItem.js";
 import { MenuHeader } from "./src/MenuHeader.js";
@@ -382,6 +384,36 @@ async function moduleWorker() {
     if (extension_settings.quickReply.selectedPreset) {
         selected_preset = extension_settings.quickReply.selectedPreset;
     }
+    // Keep the remaining time of the timers up to date
+    if ($('#quickReplyScheduledJobs').is(':visible') && getScheduledJobs().some(x => x.type === JOB_TYPES.TIMER)) {
+        renderScheduledJobs();
+    }
+}
+
+/**
+ * Renders the list of the scripts scheduled in the current chat.
+ */
+function renderScheduledJobs() {
+    const container = $('#quickReplyScheduledJobs').empty();
+    const jobs = getScheduledJobs();
+
+    if (jobs.length === 0) {
+        container.append('<small><i>No scheduled scripts in this chat.</i></small>');
+        return;
+    }
+
+    for (const job of jobs) {
+        const when = job.type === JOB_TYPES.TIMER
+            ? moment(job.runAt).fromNow()
+            : `every ${job.interval} messages, next in ${job.interval - (job.count ?? 0)}`;
+        const item = $('<div class="quickReplyScheduledJob flex-container flexnowrap alignitemscenter"></div>');
+        const description = $('<div class="flex1 flex-container flexFlowColumn flexNoGap"></div>');
+        description.append($('<small></small>').text(`#${job.id} – ${when}`));
+        description.append($('<small class="quickReplyScheduledJobScript"></small>').text(job.script));
+        item.append(description);
+        item.append($('<div class="menu_button fa-solid fa-xmark" title="Cancel the job"></div>').on('click', () => cancelScheduledJob(job.id)));
+        container.append(item);
+    }
 }
 
 async function saveQuickReplyPreset() {
@@ -397,6 +429,7 @@ async function saveQuickReplyPreset() {
         quickReplySlots: extension_settings.quickReply.quickReplySlots,
         numberOfSlots: extension_settings.quickReply.numberOfSlots,
         AutoInputInject: extension_settings.quickReply.AutoInputInject,
+        userCommands: extension_settings.quickReply.userCommands,
         selectedPreset: name,
     }
 
@@ -441,6 +474,7 @@ async function updateQuickReplyPreset() {
         quickReplySlots: extension_settings.quickReply.quickReplySlots,
         numberOfSlots: extension_settings.quickReply.numberOfSlots,
         AutoInputInject: extension_settings.quickReply.AutoInputInject,
+        userCommands: extension_settings.quickReply.userCommands,
         selectedPreset: name,
     }
 
@@ -471,6 +505,23 @@ async function updateQuickReplyPreset() {
     }
 }
 
+/**
+ * Saves the commands defined with /define scope=preset to the selected preset.
+ * @param {string} scope Scope of the changed definitions
+ */
+async function onUserCommandsUpdated(scope) {
+    if (scope !== 'preset') {
+        return;
+    }
+
+    if (!$("#quickReplyPresets").val()) {
+        toastr.info('Select or save a Quick Reply preset to keep the preset commands.', 'No preset selected');
+        return;
+    }
+
+    await updateQuickReplyPreset();
+}
+
 async function onQuickReplyNumberOfSlotsInput() {
     const $input = $('#quickReplyNumberOfSlots');
     let numberOfSlots = Number($input.val());
@@ -555,6 +606,7 @@ async function applyQuickReplyPreset(name) {
     loadSettings('init')
     addQuickReplyBar();
     moduleWorker();
+    reloadUserCommands();
 
     $(`#quickReplyPresets option[value="${name}"]`).prop('selected', true);
     console.debug('QR Preset applied: ' + name);
@@ -709,6 +761,8 @@ jQuery(async () => {
                         <span>Update</span>
                     </div>
                 </div>
+                <label>Scheduled scripts (/schedule, /every):</label>
+                <div id="quickReplyScheduledJobs" class="flex-container flexFlowColumn marginBot10"></div>
                 <label for="quickReplyNumberOfSlots">Number of slots:</label>
             </div>
             <div class="flex-container flexGap5 flexnowrap">
@@ -754,6 +808,9 @@ jQuery(async () => {
     eventSource.on(event_types.MESSAGE_SENT, onMessageSent);
     eventSource.on(event_types.CHAT_CHANGED, onChatChanged);
     eventSource.on(event_types.APP_READY, onAppReady);
+    eventSource.on(event_types.SCHEDULED_JOBS_UPDATED, renderScheduledJobs);
+    eventSource.on(event_types.USER_COMMANDS_UPDATED, onUserCommandsUpdated);
+    renderScheduledJobs();
 });
 
 jQuery(() => {
@@ -1,9 +1,11 @@
 import { substituteParams } from "../../../script.js";
 import { extension_settings } from "../../extensions.js";
+import { regexFromString } from "../../utils.js";
 export {
     regex_placement,
     getRegexedString,
-    runRegexScript
+    runRegexScript,
+    regexFromString,
 }
 
 const regex_placement = {
@@ -19,24 +21,6 @@ const regex_replace_strategy = {
     OVERLAY: 1
 }
 
-// Originally from: https://github.com/IonicaBizau/regex-parser.js/blob/master/lib/index.js
-function regexFromString(input) {
-    try {
-        // Parse input
-        var m = input.match(/(\/?)(.+)\1([a-z]*)/i);
-
-        // Invalid flags
-        if (m[3] && !/^(?!.*?(.).*?\1)[gmixXsuUAJ]+$/.test(m[3])) {
-            return RegExp(input);
-        }
-
-        // Create the regular expression
-        return new RegExp(m[2], m[3]);
-    } catch {
-        return;
-    }
-}
-
 // Parent function to fetch a regexed version of a raw string
 function getRegexedString(rawString, placement, { characterOverride, isMarkdown, isPrompt } = {}) {
     let finalString = rawString;
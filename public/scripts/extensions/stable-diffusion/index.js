@@ -144,6 +144,7 @@ const promptTemplates = {
 const helpString = [
     `${m('(argument)')} – requests to generate an image. Supported arguments: ${m(j(Object.values(triggerWords).flat()))}.`,
     `Anything else would trigger a "free mode" to make generate whatever you prompted. Example: '/imagine apple tree' would generate a picture of an apple tree.`,
+    `The prompt and the path of the image are passed down the pipe as ${m('{{pipe.prompt}}')} and ${m('{{pipe.image}}')}, failures can be caught with ${m('/try')}.`,
 ].join(' ');
 
 const defaultPrefix = 'best quality, absurdres, aesthetic,';
@@ -293,7 +294,7 @@ function processTriggers(chat, _, abort) {
         }
 
         abort(true);
-        setTimeout(() => generatePicture('sd', subject, message), 1);
+        setTimeout(() => generatePicture('sd', subject, message).catch(error => console.error(error)), 1);
     } catch {
         console.log('SD: Failed to process triggers.');
         return;
@@ -1662,10 +1663,11 @@ async function generatePicture(_, trigger, message, callback) {
         context.deactivateSendButtons();
         hideSwipeButtons();
 
-        await sendGenerationRequest(generationType, prompt, characterName, callback);
+        // Passed down the pipe of /imagine, e.g. {{pipe.image}}
+        return await sendGenerationRequest(generationType, prompt, characterName, callback);
     } catch (err) {
         console.trace(err);
-        throw new Error('SD prompt text generation failed.')
+        throw new Error(`SD image generation failed. ${err?.message ?? ''}`.trim());
     }
     finally {
         restoreOriginalDimensions(dimensions);
@@ -1823,7 +1825,7 @@ async function sendGenerationRequest(generationType, prompt, characterName = nul
     } catch (err) {
         console.error(err);
         toastr.error('Image generation failed. Please try again.' + '\n\n' + String(err), 'Image Generation');
-        return;
+        throw err;
     }
 
     if (currentChatId !== getCurrentChatId()) {
@@ -1835,6 +1837,7 @@ async function sendGenerationRequest(generationType, prompt, characterName = nul
     const filename = `${characterName}_${humanizedDateTime()}`;
     const base64Image = await saveBase64AsFile(result.data, characterName, filename, result.format);
     callback ? callback(prompt, base64Image, generationType) : sendMessage(prompt, base64Image, generationType);
+    return { prompt, image: base64Image };
 }
 
 /**
@@ -2431,7 +2434,7 @@ $("#sd_dropdown [id]").on("click", function () {
 
     if (param) {
         console.log("doing /sd " + param)
-        generatePicture('sd', param);
+        generatePicture('sd', param).catch(error => console.error(error));
     }
 });
 
@@ -1,22 +1,46 @@
-import { eventSource, event_types, extension_prompt_types, getCurrentChatId, getRequestHeaders, is_send_press, saveSettingsDebounced, setExtensionPrompt, substituteParams } from "../../../script.js";
+import { callPopup, eventSource, event_types, extension_prompt_types, getCurrentChatId, getRequestHeaders, is_send_press, saveSettingsDebounced, setExtensionPrompt, substituteParams } from "../../../script.js";
 import { ModuleWorkerWrapper, extension_settings, getContext, renderExtensionTemplate } from "../../extensions.js";
 import { collapseNewlines, power_user, ui_mode } from "../../power-user.js";
 import { SECRET_KEYS, secret_state } from "../../secrets.js";
-import { debounce, getStringHash as calculateHash, waitUntilCondition, onlyUnique } from "../../utils.js";
+import { debounce, getStringHash as calculateHash, waitUntilCondition, onlyUnique, splitRecursive, humanFileSize, timestampToMoment } from "../../utils.js";
+import { getSortedEntries } from "../../world-info.js";
+import { getDataBankAttachments } from "../../chats.js";
 
 const MODULE_NAME = 'vectors';
 
 export const EXTENSION_PROMPT_TAG = '3_vectors';
+export const EXTENSION_PROMPT_TAG_DB = '4_vectors_data_bank';
+
+/**
+ * Sources served by local embedding servers. The server knows their default URLs.
+ */
+const LOCAL_SOURCES = ['llamacpp', 'ooba', 'koboldcpp', 'ollama'];
 
 const settings = {
     enabled: false,
     source: 'transformers',
+    local_sources: {},
     template: `Past events: {{text}}`,
     depth: 2,
     position: extension_prompt_types.IN_PROMPT,
     protect: 5,
     insert: 3,
     query: 2,
+    hybrid_search: false,
+    hybrid_weight: 0.3,
+
+    // For World Info
+    enabled_world_info: false,
+    score_threshold: 0.25,
+    max_entries: 5,
+
+    // For data bank files
+    enabled_files: false,
+    file_template: `Related information:\n{{text}}`,
+    file_position: extension_prompt_types.IN_PROMPT,
+    file_depth: 4,
+    chunk_size: 500,
+    chunk_count: 5,
 };
 
 const moduleWorker = new ModuleWorkerWrapper(synchronizeChat);
@@ -149,6 +173,241 @@ function getStringHash(str) {
     return hash;
 }
 
+/**
+ * Gets the collection ID for the vectorized entries of a World Info file
+ * @param {string} world World Info name
+ * @returns {string} Collection ID
+ */
+function getWorldInfoCollectionId(world) {
+    return `world_${getStringHash(world)}`;
+}
+
+/**
+ * Makes the collection contain exactly the given World Info entries
+ * @param {string} collectionId Collection ID
+ * @param {object[]} entries Vectorized entries of the World Info file
+ */
+async function synchronizeWorldInfoCollection(collectionId, entries) {
+    const items = entries.map(x => ({ text: String(x.content), hash: getStringHash(x.content) }))
+        .filter((x, i, arr) => arr.findIndex(y => y.hash === x.hash) === i);
+    const hashesInCollection = await getSavedHashes(collectionId);
+
+    const newItems = items.filter(x => !hashesInCollection.includes(x.hash));
+    const deletedHashes = hashesInCollection.filter(x => !items.some(y => y.hash === x));
+
+    if (newItems.length > 0) {
+        console.log(`Vectors: Found ${newItems.length} new World Info entries in ${collectionId}`);
+        await insertVectorItems(collectionId, newItems);
+    }
+
+    if (deletedHashes.length > 0) {
+        await deleteVectorItems(collectionId, deletedHashes);
+        console.log(`Vectors: Deleted ${deletedHashes.length} old World Info hashes from ${collectionId}`);
+    }
+}
+
+/**
+ * Activates the vectorized World Info entries that are similar to the recent chat
+ * @param {object[]} chat Array of chat messages
+ */
+async function activateWorldInfo(chat) {
+    try {
+        if (!settings.enabled_world_info) {
+            return;
+        }
+
+        const entries = (await getSortedEntries()).filter(x => x.vectorized && !x.disable && x.content);
+
+        if (entries.length === 0) {
+            console.debug('Vectors: No vectorized World Info entries');
+            return;
+        }
+
+        /** @type {Record<string, object[]>} */
+        const entriesByCollection = {};
+
+        for (const entry of entries) {
+            const collectionId = getWorldInfoCollectionId(entry.world);
+            entriesByCollection[collectionId] = entriesByCollection[collectionId] ?? [];
+            entriesByCollection[collectionId].push(entry);
+        }
+
+        for (const [collectionId, collectionEntries] of Object.entries(entriesByCollection)) {
+            await synchronizeWorldInfoCollection(collectionId, collectionEntries);
+        }
+
+        const queryText = getQueryText(chat);
+
+        if (queryText.length === 0) {
+            console.debug('Vectors: No text to query World Info');
+            return;
+        }
+
+        const results = await queryMultipleCollections(Object.keys(entriesByCollection), queryText, settings.max_entries, settings.score_threshold);
+        const activatedEntries = [];
+
+        for (const [collectionId, hashes] of Object.entries(results)) {
+            for (const entry of entriesByCollection[collectionId] ?? []) {
+                if (hashes.includes(getStringHash(entry.content))) {
+                    activatedEntries.push(entry);
+                }
+            }
+        }
+
+        if (activatedEntries.length === 0) {
+            console.debug('Vectors: No similar World Info entries found');
+            return;
+        }
+
+        console.log(`Vectors: Activating ${activatedEntries.length} World Info entries`, activatedEntries);
+        await eventSource.emit(event_types.WORLDINFO_FORCE_ACTIVATE, activatedEntries);
+    } catch (error) {
+        console.error('Vectors: Failed to activate World Info', error);
+    }
+}
+
+/**
+ * Cached file chunks, keyed by the file URL and the chunk size.
+ * @type {Map<string, string[]>}
+ */
+const fileChunksCache = new Map();
+
+/**
+ * Gets the collection ID for the chunks of a data bank file
+ * @param {string} fileUrl File URL
+ * @returns {string} Collection ID
+ */
+function getFileCollectionId(fileUrl) {
+    return `file_${getStringHash(fileUrl)}`;
+}
+
+/**
+ * Downloads a data bank file and splits it into chunks
+ * @param {string} fileUrl File URL
+ * @returns {Promise<string[]>} Text chunks of the file
+ */
+async function getFileChunks(fileUrl) {
+    const cacheKey = `${fileUrl}:${settings.chunk_size}`;
+
+    if (fileChunksCache.has(cacheKey)) {
+        return fileChunksCache.get(cacheKey);
+    }
+
+    const response = await fetch(fileUrl);
+
+    if (!response.ok) {
+        throw new Error(`Failed to download file ${fileUrl}`);
+    }
+
+    const text = collapseNewlines(await response.text()).trim();
+    const chunks = splitRecursive(text, settings.chunk_size).map(x => x.trim()).filter(x => x.length > 0);
+    fileChunksCache.set(cacheKey, chunks);
+    return chunks;
+}
+
+/**
+ * Vectorizes the chunks of a data bank file that are not in the collection yet
+ * @param {string} collectionId Collection ID
+ * @param {string[]} chunks Text chunks of the file
+ */
+async function synchronizeFileCollection(collectionId, chunks) {
+    const items = chunks.map(x => ({ text: x, hash: getStringHash(x) }))
+        .filter((x, i, arr) => arr.findIndex(y => y.hash === x.hash) === i);
+    const hashesInCollection = await getSavedHashes(collectionId);
+
+    const newItems = items.filter(x => !hashesInCollection.includes(x.hash));
+    const deletedHashes = hashesInCollection.filter(x => !items.some(y => y.hash === x));
+
+    if (newItems.length > 0) {
+        console.log(`Vectors: Vectorizing ${newItems.length} chunks of ${collectionId}`);
+        await insertVectorItems(collectionId, newItems);
+    }
+
+    // Chunks made with a different chunk size
+    if (deletedHashes.length > 0) {
+        await deleteVectorItems(collectionId, deletedHashes);
+        console.log(`Vectors: Deleted ${deletedHashes.length} old chunks from ${collectionId}`);
+    }
+}
+
+/**
+ * Inserts the data bank chunks that are the most relevant to the recent chat into the extension prompt
+ * @param {object[]} chat Array of chat messages
+ */
+async function retrieveFileChunks(chat) {
+    try {
+        if (!settings.enabled_files) {
+            return;
+        }
+
+        const attachments = getDataBankAttachments();
+
+        if (attachments.length === 0) {
+            console.debug('Vectors: No data bank files');
+            return;
+        }
+
+        const queryText = getQueryText(chat);
+
+        if (queryText.length === 0) {
+            console.debug('Vectors: No text to query data bank files');
+            return;
+        }
+
+        /** @type {Record<string, string[]>} */
+        const chunksByCollection = {};
+
+        for (const attachment of attachments) {
+            const collectionId = getFileCollectionId(attachment.url);
+
+            if (chunksByCollection[collectionId]) {
+                continue;
+            }
+
+            const chunks = await getFileChunks(attachment.url);
+            await synchronizeFileCollection(collectionId, chunks);
+            chunksByCollection[collectionId] = chunks;
+        }
+
+        const results = await queryMultipleCollections(Object.keys(chunksByCollection), queryText, settings.chunk_count, 0);
+        const textByHash = new Map();
+
+        for (const chunks of Object.values(chunksByCollection)) {
+            for (const chunk of chunks) {
+                textByHash.set(getStringHash(chunk), chunk);
+            }
+        }
+
+        // Results of each collection are ordered by score, the collections are not
+        const relevantChunks = Object.values(results).flat().filter(onlyUnique).map(x => textByHash.get(x)).filter(x => x);
+
+        if (relevantChunks.length === 0) {
+            console.debug('Vectors: No relevant data bank chunks found');
+            return;
+        }
+
+        const insertedText = relevantChunks.join('\n\n');
+        console.log('Vectors: relevant data bank chunks found.\n', insertedText);
+        setExtensionPrompt(EXTENSION_PROMPT_TAG_DB, substituteParams(settings.file_template.replace(/{{text}}/i, insertedText)), settings.file_position, settings.file_depth);
+    } catch (error) {
+        console.error('Vectors: Failed to retrieve data bank chunks', error);
+    }
+}
+
+/**
+ * Removes the vectors of a deleted data bank file
+ * @param {string} fileUrl File URL
+ */
+async function onFileAttachmentDeleted(fileUrl) {
+    for (const key of fileChunksCache.keys()) {
+        if (key.startsWith(`${fileUrl}:`)) {
+            fileChunksCache.delete(key);
+        }
+    }
+
+    await purgeVectorIndex(getFileCollectionId(fileUrl));
+}
+
 /**
  * Removes the most relevant messages from the chat and displays them in the extension prompt
  * @param {object[]} chat Array of chat messages
@@ -157,6 +416,10 @@ async function rearrangeChat(chat) {
     try {
         // Clear the extension prompt
         setExtensionPrompt(EXTENSION_PROMPT_TAG, '', extension_prompt_types.IN_PROMPT, 0);
+        setExtensionPrompt(EXTENSION_PROMPT_TAG_DB, '', extension_prompt_types.IN_PROMPT, 0);
+
+        await activateWorldInfo(chat);
+        await retrieveFileChunks(chat);
 
         if (!settings.enabled) {
             return;
@@ -259,6 +522,61 @@ function getQueryText(chat) {
     return collapseNewlines(queryText).trim();
 }
 
+/**
+ * Gets the request parameters of the hybrid keyword and vector search.
+ * @returns {{ hybrid: boolean, hybridWeight: number }} Search parameters
+ */
+function getSearchParams() {
+    return {
+        hybrid: !!settings.hybrid_search,
+        hybridWeight: settings.hybrid_weight,
+    };
+}
+
+/**
+ * Gets the request parameters that identify the vector source.
+ * @returns {{ source: string, sourceUrl?: string, sourceModel?: string }} Source parameters
+ */
+function getSourceParams() {
+    if (!LOCAL_SOURCES.includes(settings.source)) {
+        return { source: settings.source };
+    }
+
+    const localSettings = settings.local_sources[settings.source] ?? {};
+
+    return {
+        source: settings.source,
+        // Empty for the default URL of the source
+        sourceUrl: localSettings.url || '',
+        sourceModel: localSettings.model || '',
+    };
+}
+
+/**
+ * Shows the server settings of the selected local source.
+ */
+function updateLocalSourceSettings() {
+    const isLocal = LOCAL_SOURCES.includes(settings.source);
+    $('#vectors_local_source_settings').toggleClass('displayNone', !isLocal);
+
+    if (isLocal) {
+        const localSettings = settings.local_sources[settings.source] ?? {};
+        $('#vectors_source_url').val(localSettings.url ?? '');
+        $('#vectors_source_model').val(localSettings.model ?? '');
+    }
+}
+
+/**
+ * Saves a server setting of the selected local source.
+ * @param {string} key Setting name
+ * @param {string} value Setting value
+ */
+function setLocalSourceSetting(key, value) {
+    settings.local_sources[settings.source] = { ...settings.local_sources[settings.source], [key]: value.trim() };
+    Object.assign(extension_settings.vectors, settings);
+    saveSettingsDebounced();
+}
+
 /**
  * Gets the saved hashes for a collection
 * @param {string} collectionId
@@ -270,7 +588,7 @@ async function getSavedHashes(collectionId) {
         headers: getRequestHeaders(),
         body: JSON.stringify({
             collectionId: collectionId,
-            source: settings.source,
+            ...getSourceParams(),
         }),
     });
 
@@ -300,7 +618,7 @@ async function insertVectorItems(collectionId, items) {
         body: JSON.stringify({
             collectionId: collectionId,
             items: items,
-            source: settings.source,
+            ...getSourceParams(),
         }),
     });
 
@@ -322,7 +640,7 @@ async function deleteVectorItems(collectionId, hashes) {
         body: JSON.stringify({
             collectionId: collectionId,
             hashes: hashes,
-            source: settings.source,
+            ...getSourceParams(),
         }),
     });
 
@@ -345,7 +663,8 @@ async function queryCollection(collectionId, searchText, topK) {
             collectionId: collectionId,
             searchText: searchText,
             topK: topK,
-            source: settings.source,
+            ...getSourceParams(),
+            ...getSearchParams(),
         }),
     });
 
@@ -357,9 +676,38 @@ async function queryCollection(collectionId, searchText, topK) {
     return results;
 }
 
+/**
+ * @param {string[]} collectionIds - The collections to query
+ * @param {string} searchText - The text to query
+ * @param {number} topK - The number of results to return across all collections
+ * @param {number} threshold - The minimum similarity score of a result
+ * @returns {Promise<Record<string, number[]>>} - Hashes of the results by collection ID
+ */
+async function queryMultipleCollections(collectionIds, searchText, topK, threshold) {
+    const response = await fetch('/api/vector/query-multi', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({
+            collectionIds: collectionIds,
+            searchText: searchText,
+            topK: topK,
+            threshold: threshold,
+            ...getSourceParams(),
+            ...getSearchParams(),
+        }),
+    });
+
+    if (!response.ok) {
+        throw new Error(`Failed to query collections ${collectionIds.join(', ')}`);
+    }
+
+    const results = await response.json();
+    return results;
+}
+
 async function purgeVectorIndex(collectionId) {
     try {
-        if (!settings.enabled) {
+        if (!settings.enabled && !collectionId.startsWith('file_')) {
             return;
         }
 
@@ -382,6 +730,96 @@ async function purgeVectorIndex(collectionId) {
     }
 }
 
+/**
+ * Opens the list of vector indexes stored on the server.
+ */
+async function openIndexManager() {
+    const container = $('<div></div>');
+
+    if (!await renderIndexList(container)) {
+        return;
+    }
+
+    await callPopup(container, 'text', '', { wide: true, large: true, okButton: 'Close' });
+}
+
+/**
+ * Renders the list of vector indexes into the container.
+ * @param {JQuery<HTMLElement>} container Popup container
+ * @returns {Promise<boolean>} True if the list was loaded
+ */
+async function renderIndexList(container) {
+    const response = await fetch('/api/vector/collections', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify(getSourceParams()),
+    });
+
+    if (!response.ok) {
+        toastr.error('Could not load the vector indexes.');
+        return false;
+    }
+
+    const data = await response.json();
+    const collections = data.collections.map(x => ({
+        ...x,
+        size: humanFileSize(x.size),
+        model: x.model ?? 'unknown',
+        dimension: x.dimension ?? '?',
+        created: x.created ? timestampToMoment(x.created).format('LL') : '?',
+        current: x.source === settings.source,
+    }));
+    const totalSize = humanFileSize(data.collections.reduce((sum, x) => sum + x.size, 0));
+
+    container.empty().append(renderExtensionTemplate(MODULE_NAME, 'indexes', { currentModel: data.currentModel, collections, totalSize }));
+
+    container.find('.vectors_index_reembed').on('click', async function () {
+        const row = $(this).closest('tr');
+        const collectionId = String(row.data('collection'));
+        toastr.info('This may take a while.', `Re-embedding ${collectionId}`);
+
+        const response = await fetch('/api/vector/reembed', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ collectionId, ...getSourceParams() }),
+        });
+
+        if (!response.ok) {
+            toastr.error('Check server console for more details', 'Re-embedding failed');
+            return;
+        }
+
+        toastr.success(`Re-embedded ${collectionId}`);
+        await renderIndexList(container);
+    });
+
+    container.find('.vectors_index_delete').on('click', async function () {
+        const row = $(this).closest('tr');
+        const collectionId = String(row.data('collection'));
+        const source = String(row.data('source'));
+
+        // Nested popups are not supported
+        $('#dialogue_popup_ok').trigger('click');
+        const confirm = await callPopup(`Delete the ${source} vector index of ${collectionId}? Its items will be vectorized again when needed.`, 'confirm');
+
+        if (confirm) {
+            const response = await fetch('/api/vector/purge', {
+                method: 'POST',
+                headers: getRequestHeaders(),
+                body: JSON.stringify({ collectionId, source }),
+            });
+
+            if (!response.ok) {
+                toastr.error('Could not delete the vector index.');
+            }
+        }
+
+        await openIndexManager();
+    });
+
+    return true;
+}
+
 jQuery(async () => {
     if (!extension_settings.vectors) {
         extension_settings.vectors = settings;
@@ -400,7 +838,11 @@ jQuery(async () => {
         settings.source = String($('#vectors_source').val());
         Object.assign(extension_settings.vectors, settings);
         saveSettingsDebounced();
+        updateLocalSourceSettings();
     });
+    $('#vectors_source_url').on('input', () => setLocalSourceSetting('url', String($('#vectors_source_url').val())));
+    $('#vectors_source_model').on('input', () => setLocalSourceSetting('model', String($('#vectors_source_model').val())));
+    updateLocalSourceSettings();
     $('#vectors_template').val(settings.template).on('input', () => {
         settings.template = String($('#vectors_template').val());
         Object.assign(extension_settings.vectors, settings);
@@ -426,6 +868,62 @@ jQuery(async () => {
         Object.assign(extension_settings.vectors, settings);
         saveSettingsDebounced();
     });
+    $('#vectors_hybrid_search').prop('checked', settings.hybrid_search).on('input', () => {
+        settings.hybrid_search = !!$('#vectors_hybrid_search').prop('checked');
+        Object.assign(extension_settings.vectors, settings);
+        saveSettingsDebounced();
+    });
+    $('#vectors_hybrid_weight').val(settings.hybrid_weight).on('input', () => {
+        settings.hybrid_weight = Number($('#vectors_hybrid_weight').val());
+        Object.assign(extension_settings.vectors, settings);
+        saveSettingsDebounced();
+    });
+    $('#vectors_enabled_world_info').prop('checked', settings.enabled_world_info).on('input', () => {
+        settings.enabled_world_info = !!$('#vectors_enabled_world_info').prop('checked');
+        Object.assign(extension_settings.vectors, settings);
+        saveSettingsDebounced();
+    });
+    $('#vectors_score_threshold').val(settings.score_threshold).on('input', () => {
+        settings.score_threshold = Number($('#vectors_score_threshold').val());
+        Object.assign(extension_settings.vectors, settings);
+        saveSettingsDebounced();
+    });
+    $('#vectors_max_entries').val(settings.max_entries).on('input', () => {
+        settings.max_entries = Number($('#vectors_max_entries').val());
+        Object.assign(extension_settings.vectors, settings);
+        saveSettingsDebounced();
+    });
+    $('#vectors_enabled_files').prop('checked', settings.enabled_files).on('input', () => {
+        settings.enabled_files = !!$('#vectors_enabled_files').prop('checked');
+        Object.assign(extension_settings.vectors, settings);
+        saveSettingsDebounced();
+    });
+    $('#vectors_file_template').val(settings.file_template).on('input', () => {
+        settings.file_template = String($('#vectors_file_template').val());
+        Object.assign(extension_settings.vectors, settings);
+        saveSettingsDebounced();
+    });
+    $('#vectors_file_depth').val(settings.file_depth).on('input', () => {
+        settings.file_depth = Number($('#vectors_file_depth').val());
+        Object.assign(extension_settings.vectors, settings);
+        saveSettingsDebounced();
+    });
+    $('#vectors_chunk_size').val(settings.chunk_size).on('input', () => {
+        settings.chunk_size = Number($('#vectors_chunk_size').val());
+        Object.assign(extension_settings.vectors, settings);
+        saveSettingsDebounced();
+    });
+    $('#vectors_chunk_count').val(settings.chunk_count).on('input', () => {
+        settings.chunk_count = Number($('#vectors_chunk_count').val());
+        Object.assign(extension_settings.vectors, settings);
+        saveSettingsDebounced();
+    });
+    $(`input[name="vectors_file_position"][value="${settings.file_position}"]`).prop('checked', true);
+    $('input[name="vectors_file_position"]').on('change', () => {
+        settings.file_position = Number($('input[name="vectors_file_position"]:checked').val());
+        Object.assign(extension_settings.vectors, settings);
+        saveSettingsDebounced();
+    });
     $(`input[name="vectors_position"][value="${settings.position}"]`).prop('checked', true);
     $('input[name="vectors_position"]').on('change', () => {
         settings.position = Number($('input[name="vectors_position"]:checked').val());
@@ -435,6 +933,7 @@ jQuery(async () => {
     $('#vectors_advanced_settings').toggleClass('displayNone', power_user.ui_mode === ui_mode.SIMPLE);
 
     $('#vectors_vectorize_all').on('click', onVectorizeAllClick);
+    $('#vectors_manage_indexes').on('click', openIndexManager);
 
     eventSource.on(event_types.MESSAGE_DELETED, onChatEvent);
     eventSource.on(event_types.MESSAGE_EDITED, onChatEvent);
@@ -443,4 +942,5 @@ jQuery(async () => {
     eventSource.on(event_types.MESSAGE_SWIPED, onChatEvent);
     eventSource.on(event_types.CHAT_DELETED, purgeVectorIndex);
     eventSource.on(event_types.GROUP_CHAT_DELETED, purgeVectorIndex);
+    eventSource.on(event_types.FILE_ATTACHMENT_DELETED, onFileAttachmentDeleted);
 });
@@ -10,6 +10,7 @@ import {
     PAGINATION_TEMPLATE,
     waitUntilCondition,
     getBase64Async,
+    matchesTextFilter,
 } from './utils.js';
 import { RA_CountCharTokens, humanizedDateTime, dragElement, favsToHotswap, getMessageTimeStamp } from "./RossAscends-mods.js";
 import { loadMovingUIState, sortEntitiesList } from './power-user.js';
@@ -69,9 +70,11 @@ import {
     baseChatReplace,
     depth_prompt_depth_default,
     loadItemizedPrompts,
+    generateRaw,
 } from "../script.js";
 import { appendTagToList, createTagMapFromList, getTagsList, applyTagsOnCharacterSelect, tag_map, printTagFilters } from './tags.js';
 import { FILTER_TYPES, FilterHelper } from './filters.js';
+import { filterMembersByLocation, getMemberLocation } from './group-scenes.js';
 
 export {
     selected_group,
@@ -93,6 +96,11 @@ export {
 
 let is_group_generating = false; // Group generation flag
 let is_group_automode_enabled = false;
+/**
+ * Swipes added by the other candidates of the last parallel turn.
+ * @type {{message: object, swipeIds: Set<number>}|null}
+ */
+let candidateSwipes = null;
 let hideMutedSprites = true;
 let groups = [];
 let selected_group = null;
@@ -104,8 +112,46 @@ let newGroupMembers = [];
 export const group_activation_strategy = {
     NATURAL: 0,
     LIST: 1,
+    DIRECTOR: 2,
 };
 
+/**
+ * Default number of recent messages shown to the director.
+ */
+const DIRECTOR_CONTEXT_DEFAULT = 10;
+
+/**
+ * Maximum length of the member descriptions and messages in the director prompt.
+ */
+const DIRECTOR_TEXT_LIMIT = 500;
+
+/**
+ * Maximum number of members that reply to the same turn.
+ */
+const PARALLEL_CANDIDATES_MAX = 5;
+
+/**
+ * @typedef {object} AutoModeSettings
+ * @property {number} max_turns Replies before the auto mode turns off, 0 for no limit
+ * @property {string} stop_on Text or /regex/ that turns the auto mode off when a reply contains it
+ * @property {number} user_turn_every Replies in a row before the auto mode waits for the user, 0 for never
+ * @property {number} member_quota Replies of each member before they are skipped, 0 for no limit
+ */
+
+/**
+ * @typedef {object} AutoModeSession
+ * @property {number} turns Replies since the auto mode was turned on
+ * @property {number} turnsSinceUser Replies since the last user message
+ * @property {Object<string, number>} memberTurns Replies by member avatar
+ * @property {boolean} waitingForUser The auto mode is paused until the user sends a message
+ */
+
+/**
+ * Progress of the auto mode in the open chat.
+ * @type {AutoModeSession}
+ */
+let autoModeSession = createAutoModeSession();
+
 export const group_generation_mode = {
     SWAP: 0,
     APPEND: 1,
@@ -698,7 +744,8 @@ async function generateGroupWrapper(by_auto_mode, type = null, params = {}) {
         }
 
         const activationStrategy = Number(group.activation_strategy ?? group_activation_strategy.NATURAL);
-        const enabledMembers = group.members.filter(x => !group.disabled_members.includes(x));
+        // Members in other locations of the scene can't reply
+        const enabledMembers = filterMembersByLocation(group.members.filter(x => !group.disabled_members.includes(x) && !params?.exclude_members?.includes(x)));
         let activatedMembers = [];
 
         if (params && typeof params.force_chid == 'number') {
@@ -728,6 +775,24 @@ async function generateGroupWrapper(by_auto_mode, type = null, params = {}) {
         else if (activationStrategy === group_activation_strategy.LIST) {
             activatedMembers = activateListOrder(enabledMembers);
         }
+        else if (activationStrategy === group_activation_strategy.DIRECTOR) {
+            activatedMembers = await activateDirectorOrder(enabledMembers, activationText, lastMessage, group.allow_self_responses, isUserInput, group.director_context);
+        }
+
+        // Several members reply to the same turn, the replies after the first one are kept as its swipes
+        const isRegularTurn = !by_auto_mode && typeof params?.force_chid !== 'number' && !['quiet', 'swipe', 'continue', 'impersonate'].includes(type);
+        const candidateCount = Array.isArray(params?.force_candidates) ? params.force_candidates.length : getParallelCandidateCount(group);
+        const isParallelTurn = isRegularTurn && candidateCount > 1;
+
+        if (isParallelTurn) {
+            activatedMembers = Array.isArray(params.force_candidates)
+                ? params.force_candidates
+                : getParallelCandidates(activatedMembers, enabledMembers, candidateCount, lastMessage, group.allow_self_responses, isUserInput);
+        }
+
+        if (by_auto_mode && params?.max_replies > 0) {
+            activatedMembers = activatedMembers.slice(0, params.max_replies);
+        }
 
         if (activatedMembers.length === 0) {
             //toastr.warning('All group members are disabled. Enable at least one to get a reply.');
@@ -740,16 +805,28 @@ async function generateGroupWrapper(by_auto_mode, type = null, params = {}) {
         }
 
         // now the real generation begins: cycle through every activated character
-        for (const chId of activatedMembers) {
+        for (const [index, chId] of activatedMembers.entries()) {
+            const isCandidateSwipe = isParallelTurn && index > 0;
+
+            // The first candidate didn't reply, so there is nothing to add the swipes to
+            if (isCandidateSwipe && getLastMessageGenerationId() !== group_generation_id) {
+                break;
+            }
+
             deactivateSendButtons();
             isGenerationDone = false;
-            const generateType = type == "swipe" || type == "impersonate" || type == "quiet" || type == 'continue' ? type : "group_chat";
+            const generateType = isCandidateSwipe ? 'swipe' : type == "swipe" || type == "impersonate" || type == "quiet" || type == 'continue' ? type : "group_chat";
             setCharacterId(chId);
             setCharacterName(characters[chId].name)
 
+            if (isCandidateSwipe) {
+                startCandidateSwipe(chId);
+                lastMessageText = chat[chat.length - 1].mes;
+            }
+
             await Generate(generateType, { automatic_trigger: by_auto_mode, ...(params || {}) });
 
-            if (type !== "swipe" && type !== "impersonate" && !isStreamingEnabled()) {
+            if (generateType !== "swipe" && type !== "impersonate" && !isStreamingEnabled()) {
                 // update indicator and scroll down
                 typingIndicator
                     .find(".typing_indicator_name")
@@ -769,7 +846,7 @@ async function generateGroupWrapper(by_auto_mode, type = null, params = {}) {
                     await delay(100);
                 }
                 // if swipe - see if message changed
-                else if (type === "swipe") {
+                else if (generateType === "swipe") {
                     if (isStreamingEnabled()) {
                         if (streamingProcessor && !streamingProcessor.isFinished) {
                             await delay(100);
@@ -827,6 +904,10 @@ async function generateGroupWrapper(by_auto_mode, type = null, params = {}) {
                 }
             }
         }
+
+        if (isParallelTurn && activatedMembers.length > 1) {
+            toastr.info('Swipe the last message to compare the replies of the other members.', 'Several members replied');
+        }
     } finally {
         typingIndicator.hide();
 
@@ -840,6 +921,86 @@ async function generateGroupWrapper(by_auto_mode, type = null, params = {}) {
     }
 }
 
+/**
+ * Gets the number of members that reply to the same turn in the group.
+ * @param {object} group Group
+ * @returns {number} Number of candidates, 1 if parallel replies are off
+ */
+function getParallelCandidateCount(group) {
+    const count = Math.floor(Number(group?.parallel_candidates));
+    return Number.isFinite(count) ? Math.min(Math.max(count, 1), PARALLEL_CANDIDATES_MAX) : 1;
+}
+
+/**
+ * Picks the members that reply to the same turn. The activated members go first,
+ * then other enabled members are added in random order.
+ * @param {number[]} activatedMembers Ids of the members activated by the reply strategy
+ * @param {string[]} members Avatars of the enabled members
+ * @param {number} count Number of candidates
+ * @param {object} lastMessage Last chat message
+ * @param {boolean} allowSelfResponses Whether the last speaker can reply again
+ * @param {boolean} isUserInput Whether the turn follows a user message
+ * @returns {number[]} Ids of the candidates
+ */
+function getParallelCandidates(activatedMembers, members, count, lastMessage, allowSelfResponses, isUserInput) {
+    const bannedUser = !allowSelfResponses && !isUserInput && lastMessage && !lastMessage.is_user && lastMessage.name;
+    const candidates = [...new Set(activatedMembers)];
+    const otherMembers = shuffle(members
+        .map(x => characters.findIndex(y => y.avatar === x))
+        .filter(x => x !== -1 && !candidates.includes(x) && characters[x].name !== bannedUser));
+
+    return [...candidates, ...otherMembers].slice(0, count);
+}
+
+/**
+ * Checks if a message was received as the reply of another candidate of a parallel turn, kept as a swipe.
+ * The turn counts as one message, so message listeners skip these.
+ * @param {number} messageId Message id
+ * @returns {boolean} True if the current swipe of the message is a candidate reply
+ */
+export function isCandidateSwipe(messageId) {
+    const message = chat[messageId];
+    return !!message && candidateSwipes?.message === message && candidateSwipes.swipeIds.has(message.swipe_id);
+}
+
+/**
+ * Prepares a new swipe of the last message for another candidate of the turn.
+ * @param {number} chId Character id of the candidate
+ */
+function startCandidateSwipe(chId) {
+    const message = chat[chat.length - 1];
+    const character = characters[chId];
+
+    if (!Array.isArray(message.swipes)) {
+        message.swipes = [message.mes];
+        message.swipe_id = 0;
+    }
+
+    message.swipe_id = message.swipes.length;
+    message.name = character.name;
+
+    if (candidateSwipes?.message !== message) {
+        candidateSwipes = { message, swipeIds: new Set() };
+    }
+
+    candidateSwipes.swipeIds.add(message.swipe_id);
+    message.force_avatar = character.avatar != 'none' ? getThumbnailUrl('avatar', character.avatar) : default_avatar;
+    message.original_avatar = character.avatar;
+    delete message.gen_started;
+    delete message.gen_finished;
+
+    if (message.extra) {
+        delete message.extra.memory;
+        delete message.extra.display_text;
+    }
+
+    const messageBlock = $('#chat').children(`[mesid="${chat.length - 1}"]`);
+    messageBlock.attr('ch_name', character.name);
+    messageBlock.find('.ch_name .name_text').text(character.name);
+    messageBlock.find('.avatar img').attr('src', message.force_avatar);
+    messageBlock.find('.mes_text').html('...');
+}
+
 function getLastMessageGenerationId() {
     let generationId = null;
     if (chat.length > 0) {
@@ -965,6 +1126,109 @@ function activateNaturalOrder(members, input, lastMessage, allowSelfResponses, i
     return memberIds;
 }
 
+/**
+ * Shortens a text for the director prompt.
+ * @param {string} text Text
+ * @returns {string} Text on one line, cut to the limit
+ */
+function trimDirectorText(text) {
+    const singleLine = String(text ?? '').replace(/\s+/g, ' ').trim();
+    return singleLine.length > DIRECTOR_TEXT_LIMIT ? `${singleLine.slice(0, DIRECTOR_TEXT_LIMIT)}…` : singleLine;
+}
+
+/**
+ * Builds the prompt that asks the model to choose the next speaker.
+ * @param {object[]} candidates Characters that can speak
+ * @param {string} input User input that is about to be sent
+ * @param {boolean} isUserInput Whether the input is not in the chat yet
+ * @param {number} contextSize Number of recent messages to include
+ * @returns {string} Prompt
+ */
+function getDirectorPrompt(candidates, input, isUserInput, contextSize) {
+    const characterList = candidates
+        .map(x => `- ${x.name}: ${trimDirectorText(substituteParams(x.description, name1, x.name))}`)
+        .join('\n');
+    const messages = chat
+        .filter(x => !x.is_system)
+        .slice(-contextSize)
+        .map(x => `${x.name}: ${trimDirectorText(x.mes)}`);
+
+    if (isUserInput && input) {
+        messages.push(`${name1}: ${trimDirectorText(input)}`);
+    }
+
+    return [
+        '[Pause the roleplay. You are the director of a group conversation. Choose which character should speak next, based on the recent messages and on who the characters are.',
+        `Characters:\n${characterList}`,
+        `Recent messages:\n${messages.join('\n') || '(none)'}`,
+        'Answer only in this format, with exactly one name from the list of characters:\nSpeaker: <name>\nReason: <one short sentence>]',
+    ].join('\n\n');
+}
+
+/**
+ * Reads the chosen speaker and the reason from the director's answer.
+ * @param {string} response Model response
+ * @param {object[]} candidates Characters that can speak
+ * @returns {{speaker: object|null, name: string, reason: string}} Matched character, the name as written by the model, and the reason
+ */
+function parseDirectorResponse(response, candidates) {
+    const text = String(response ?? '').trim();
+    const name = (/speaker:\s*(.+)/i.exec(text)?.[1] ?? text.split('\n')[0]).replace(/[*"`[\]]/g, '').trim();
+    const reason = /reason:\s*(.+)/i.exec(text)?.[1]?.trim() ?? '';
+
+    // Exact name first, then the longest name mentioned in the answer
+    const speaker = candidates.find(x => x.name.toLowerCase() === name.toLowerCase())
+        ?? [...candidates].sort((a, b) => b.name.length - a.name.length).find(x => name.toLowerCase().includes(x.name.toLowerCase()))
+        ?? null;
+
+    return { speaker, name, reason };
+}
+
+/**
+ * Asks the connected model which member should speak next, given the recent messages and the member descriptions.
+ * Falls back to the natural order if the generation fails or the answer is not a member of the group.
+ * @param {string[]} members Avatars of the enabled members
+ * @param {string} input Activation text
+ * @param {object} lastMessage Last chat message
+ * @param {boolean} allowSelfResponses Whether the last speaker can speak again
+ * @param {boolean} isUserInput Whether the activation text is a new user input
+ * @param {number} contextSize Number of recent messages shown to the director
+ * @returns {Promise<number[]>} Character ids of the activated members
+ */
+async function activateDirectorOrder(members, input, lastMessage, allowSelfResponses, isUserInput, contextSize) {
+    const bannedUser = !isUserInput && !allowSelfResponses && lastMessage && !lastMessage.is_user && lastMessage.name;
+    const candidates = members
+        .map(x => characters.find(y => y.avatar === x))
+        .filter(x => x && x.name !== bannedUser);
+
+    if (candidates.length === 1) {
+        console.info(`Group director: ${candidates[0].name} is the only member who can speak.`);
+        return activateListOrder([candidates[0].avatar]);
+    }
+
+    try {
+        if (candidates.length === 0) {
+            throw new Error('no members can speak');
+        }
+
+        const size = Number(contextSize) > 0 ? Number(contextSize) : DIRECTOR_CONTEXT_DEFAULT;
+        const response = await generateRaw(getDirectorPrompt(candidates, input, isUserInput, size), null, false);
+        const { speaker, name, reason } = parseDirectorResponse(response, candidates);
+
+        if (!speaker) {
+            throw new Error(`"${name}" is not a member who can speak`);
+        }
+
+        console.info(`Group director chose ${speaker.name}. Reason: ${reason || 'not given'}`);
+        toastr.info(reason || 'No reason given.', `Director chose ${speaker.name}`);
+        return activateListOrder([speaker.avatar]);
+    } catch (error) {
+        console.warn(`Group director failed (${error?.message ?? error}), falling back to natural order.`);
+        toastr.warning('Using the natural order for this turn.', 'Director could not choose');
+        return activateNaturalOrder(members, input, lastMessage, allowSelfResponses, isUserInput);
+    }
+}
+
 async function deleteGroup(id) {
     const group = groups.find((x) => x.id === id);
 
@@ -1027,8 +1291,165 @@ async function groupChatAutoModeWorker() {
         return;
     }
 
+    if (autoModeSession.waitingForUser) {
+        return;
+    }
+
+    const settings = getAutoModeSettings(group);
+    const exhaustedMembers = settings.member_quota > 0
+        ? group.members.filter(x => (autoModeSession.memberTurns[x] ?? 0) >= settings.member_quota)
+        : [];
+
+    const availableMembers = filterMembersByLocation(group.members.filter(x => !group.disabled_members.includes(x) && !exhaustedMembers.includes(x)));
+
+    if (availableMembers.length === 0) {
+        stopAutoMode(exhaustedMembers.length ? 'All members have used their turns.' : 'No members can reply.');
+        return;
+    }
+
+    // Don't go over the turn budget or past the user's turn
+    const remainingTurns = [
+        settings.max_turns > 0 ? settings.max_turns - autoModeSession.turns : 0,
+        settings.user_turn_every > 0 ? settings.user_turn_every - autoModeSession.turnsSinceUser : 0,
+    ].filter(x => x > 0);
+    const messagesBefore = chat.length;
+
     groupAutoModeAbortController = new AbortController();
-    await generateGroupWrapper(true, 'auto', { signal: groupAutoModeAbortController.signal });
+    await generateGroupWrapper(true, 'auto', {
+        signal: groupAutoModeAbortController.signal,
+        exclude_members: exhaustedMembers,
+        max_replies: remainingTurns.length ? Math.min(...remainingTurns) : 0,
+    });
+
+    countAutoModeTurns(chat.slice(messagesBefore), settings);
+}
+
+/**
+ * @returns {AutoModeSession} Progress of a new auto mode run
+ */
+function createAutoModeSession() {
+    return { turns: 0, turnsSinceUser: 0, memberTurns: {}, waitingForUser: false };
+}
+
+/**
+ * Gets the auto mode limits of the group.
+ * @param {object} group Group
+ * @returns {AutoModeSettings} Limits with the defaults filled in
+ */
+function getAutoModeSettings(group) {
+    const settings = group?.auto_mode ?? {};
+    const toLimit = (value) => Math.max(0, Math.floor(Number(value)) || 0);
+
+    return {
+        max_turns: toLimit(settings.max_turns),
+        stop_on: String(settings.stop_on ?? '').trim(),
+        user_turn_every: toLimit(settings.user_turn_every),
+        member_quota: toLimit(settings.member_quota),
+    };
+}
+
+/**
+ * Gets the auto mode limits from the group settings panel.
+ * @returns {AutoModeSettings} Limits
+ */
+function getAutoModeSettingsFromInputs() {
+    return getAutoModeSettings({
+        auto_mode: {
+            max_turns: $('#rm_group_automode_max_turns').val(),
+            stop_on: $('#rm_group_automode_stop').val(),
+            user_turn_every: $('#rm_group_automode_user_every').val(),
+            member_quota: $('#rm_group_automode_member_quota').val(),
+        },
+    });
+}
+
+/**
+ * Counts the replies of an auto mode run and stops or pauses the auto mode when a limit is reached.
+ * @param {object[]} messages Messages added by the run
+ * @param {AutoModeSettings} settings Auto mode limits
+ */
+function countAutoModeTurns(messages, settings) {
+    const replies = messages.filter(x => !x.is_user && !x.is_system);
+
+    for (const reply of replies) {
+        autoModeSession.turns++;
+        autoModeSession.turnsSinceUser++;
+
+        if (reply.original_avatar) {
+            autoModeSession.memberTurns[reply.original_avatar] = (autoModeSession.memberTurns[reply.original_avatar] ?? 0) + 1;
+        }
+    }
+
+    const stopReply = settings.stop_on && replies.find(x => matchesTextFilter(settings.stop_on, x.mes));
+
+    if (stopReply) {
+        stopAutoMode(`The reply of ${stopReply.name} matched the stop condition.`);
+    } else if (settings.max_turns > 0 && autoModeSession.turns >= settings.max_turns) {
+        stopAutoMode(`All ${settings.max_turns} turns have been used.`);
+    } else if (settings.user_turn_every > 0 && autoModeSession.turnsSinceUser >= settings.user_turn_every) {
+        autoModeSession.waitingForUser = true;
+        toastr.info('Auto Mode continues after your message.', 'Your turn');
+    }
+
+    updateAutoModeProgress();
+}
+
+/**
+ * Turns the auto mode off and tells the user why.
+ * @param {string} reason Why the auto mode stopped
+ */
+function stopAutoMode(reason) {
+    is_group_automode_enabled = false;
+    $("#rm_group_automode").prop("checked", false);
+    toastr.info(reason, 'Auto Mode stopped');
+    updateAutoModeProgress();
+}
+
+/**
+ * Shows the number of auto mode replies next to the Auto Mode checkbox.
+ */
+function updateAutoModeProgress() {
+    const settings = getAutoModeSettings(groups.find(x => x.id === selected_group));
+    const { turns, waitingForUser } = autoModeSession;
+    const parts = [];
+
+    if (is_group_automode_enabled || turns > 0) {
+        parts.push(settings.max_turns > 0 ? `${turns}/${settings.max_turns}` : String(turns));
+    }
+
+    if (is_group_automode_enabled && waitingForUser) {
+        parts.push('your turn');
+    }
+
+    $("#rm_group_automode_progress")
+        .text(parts.length ? `(${parts.join(', ')})` : '')
+        .attr('title', parts.length ? 'Auto Mode replies' : '');
+}
+
+/**
+ * Starts counting the auto mode replies from zero.
+ */
+function resetAutoModeSession() {
+    autoModeSession = createAutoModeSession();
+    updateAutoModeProgress();
+}
+
+/**
+ * Gives the turn back to the auto mode after a user message.
+ */
+function onAutoModeUserMessage() {
+    autoModeSession.turnsSinceUser = 0;
+    autoModeSession.waitingForUser = false;
+    updateAutoModeProgress();
+}
+
+async function onGroupAutoModeSettingsInput() {
+    if (openGroupId) {
+        let _thisGroup = groups.find((x) => x.id == openGroupId);
+        _thisGroup.auto_mode = getAutoModeSettingsFromInputs();
+        await editGroup(openGroupId, false, false);
+        updateAutoModeProgress();
+    }
 }
 
 async function modifyGroupMember(chat_id, groupMember, isDelete) {
@@ -1088,6 +1509,8 @@ async function reorderGroupMember(chat_id, groupMember, direction) {
 }
 
 async function onGroupActivationStrategyInput(e) {
+    $('#rm_group_director_block').toggle(Number(e.target.value) === group_activation_strategy.DIRECTOR);
+
     if (openGroupId) {
         let _thisGroup = groups.find((x) => x.id == openGroupId);
         _thisGroup.activation_strategy = Number(e.target.value);
@@ -1095,6 +1518,22 @@ async function onGroupActivationStrategyInput(e) {
     }
 }
 
+async function onGroupDirectorContextInput(e) {
+    if (openGroupId) {
+        let _thisGroup = groups.find((x) => x.id == openGroupId);
+        _thisGroup.director_context = Number(e.target.value) || DIRECTOR_CONTEXT_DEFAULT;
+        await editGroup(openGroupId, false, false);
+    }
+}
+
+async function onGroupParallelCandidatesInput(e) {
+    if (openGroupId) {
+        let _thisGroup = groups.find((x) => x.id == openGroupId);
+        _thisGroup.parallel_candidates = getParallelCandidateCount({ parallel_candidates: e.target.value });
+        await editGroup(openGroupId, false, false);
+    }
+}
+
 async function onGroupGenerationModeInput(e) {
     if (openGroupId) {
         let _thisGroup = groups.find((x) => x.id == openGroupId);
@@ -1211,6 +1650,7 @@ function getGroupCharacterBlock(character) {
     template.find('.ch_fav').val(isFav);
     template.toggleClass('is_fav', isFav);
     template.toggleClass('disabled', isGroupMemberDisabled(character.avatar));
+    template.find('.group_member_location').text(openGroupId && openGroupId === selected_group ? getMemberLocation(character.avatar) : '');
 
     // Display inline tags
     const tags = getTagsList(character.avatar);
@@ -1283,6 +1723,14 @@ function select_group_chats(groupId, skipAnimation) {
     $("#rm_group_filter").val("").trigger("input");
     $("#rm_group_activation_strategy").val(replyStrategy);
     $(`#rm_group_activation_strategy option[value="${replyStrategy}"]`).prop('selected', true);
+    $("#rm_group_director_block").toggle(replyStrategy === group_activation_strategy.DIRECTOR);
+    $("#rm_group_director_context").val(group?.director_context ?? DIRECTOR_CONTEXT_DEFAULT);
+    $("#rm_group_parallel_candidates").val(getParallelCandidateCount(group));
+    const autoModeSettings = getAutoModeSettings(group);
+    $("#rm_group_automode_max_turns").val(autoModeSettings.max_turns);
+    $("#rm_group_automode_user_every").val(autoModeSettings.user_turn_every);
+    $("#rm_group_automode_member_quota").val(autoModeSettings.member_quota);
+    $("#rm_group_automode_stop").val(autoModeSettings.stop_on);
     $("#rm_group_generation_mode").val(generationMode);
     $(`#rm_group_generation_mode option[value="${generationMode}"]`).prop('selected', true);
     $("#rm_group_chat_name").val(groupName);
@@ -1509,6 +1957,8 @@ async function createGroup() {
     let allowSelfResponses = !!$("#rm_group_allow_self_responses").prop("checked");
     let activationStrategy = Number($('#rm_group_activation_strategy').find(':selected').val()) ?? group_activation_strategy.NATURAL;
     let generationMode = Number($('#rm_group_generation_mode').find(':selected').val()) ?? group_generation_mode.SWAP;
+    let directorContext = Number($('#rm_group_director_context').val()) || DIRECTOR_CONTEXT_DEFAULT;
+    let parallelCandidates = getParallelCandidateCount({ parallel_candidates: $('#rm_group_parallel_candidates').val() });
     const members = newGroupMembers;
     const memberNames = characters.filter(x => members.includes(x.avatar)).map(x => x.name).join(", ");
 
@@ -1531,6 +1981,9 @@ async function createGroup() {
             allow_self_responses: allowSelfResponses,
             hideMutedSprites: hideMutedSprites,
             activation_strategy: activationStrategy,
+            director_context: directorContext,
+            parallel_candidates: parallelCandidates,
+            auto_mode: getAutoModeSettingsFromInputs(),
             generation_mode: generationMode,
             disabled_members: [],
             chat_metadata: {},
@@ -1730,7 +2183,8 @@ export async function saveGroupBookmarkChat(groupId, name, metadata, mesId) {
 }
 
 function onSendTextareaInput() {
-    if (is_group_automode_enabled) {
+    // Typing on the user's turn doesn't stop the auto mode
+    if (is_group_automode_enabled && !autoModeSession.waitingForUser) {
         // Wait for current automode generation to finish
         is_group_automode_enabled = false;
         $("#rm_group_automode").prop("checked", false);
@@ -1744,6 +2198,7 @@ function stopAutoModeGeneration() {
 
     is_group_automode_enabled = false;
     $("#rm_group_automode").prop("checked", false);
+    updateAutoModeProgress();
 }
 
 function doCurMemberListPopout() {
@@ -1796,6 +2251,12 @@ jQuery(() => {
         const value = $(this).prop("checked");
         is_group_automode_enabled = value;
         eventSource.once(event_types.GENERATION_STOPPED, stopAutoModeGeneration);
+
+        if (value) {
+            resetAutoModeSession();
+        } else {
+            updateAutoModeProgress();
+        }
     });
     $("#rm_group_hidemutedsprites").on("input", function () {
         const value = $(this).prop("checked");
@@ -1810,8 +2271,14 @@ jQuery(() => {
     $("#group_favorite_button").on('click', onFavoriteGroupClick);
     $("#rm_group_allow_self_responses").on("input", onGroupSelfResponsesClick);
     $("#rm_group_activation_strategy").on("change", onGroupActivationStrategyInput);
+    $("#rm_group_director_context").on("input", onGroupDirectorContextInput);
+    $("#rm_group_parallel_candidates").on("input", onGroupParallelCandidatesInput);
+    $("#rm_group_automode_settings input").on("input", onGroupAutoModeSettingsInput);
     $("#rm_group_generation_mode").on("change", onGroupGenerationModeInput);
     $("#group_avatar_button").on("input", uploadGroupAvatar);
     $("#rm_group_restore_avatar").on("click", restoreGroupAvatar);
     $(document).on("click", ".group_member .right_menu_button", onGroupActionClick);
+    eventSource.on(event_types.GROUP_SCENE_UPDATED, printGroupMembers);
+    eventSource.on(event_types.CHAT_CHANGED, resetAutoModeSession);
+    eventSource.on(event_types.MESSAGE_SENT, onAutoModeUserMessage);
 });
@@ -0,0 +1,289 @@
+/**
+ * Scene locations of group chats. Members and the user are placed in named locations,
+ * and only the members in the user's location reply. Stored in the chat metadata.
+ */
+
+import { characters, chat_metadata, eventSource, event_types, sendSystemMessage, system_message_types } from "../script.js";
+import { setChatBackground } from "./backgrounds.js";
+import { saveMetadataDebounced } from "./extensions.js";
+import { findGroupMemberId, groups, selected_group } from "./group-chats.js";
+import { ARGUMENT_TYPE, registerSlashCommand } from "./slash-commands.js";
+import { world_names } from "./world-info.js";
+
+/**
+ * Name used by /move for the user.
+ */
+const USER_MEMBER = 'user';
+
+/**
+ * @typedef {object} SceneLocation
+ * @property {string} world World Info book activated while the user is in the location
+ * @property {string} background Background file set when the user enters the location
+ */
+
+/**
+ * @typedef {object} GroupScene
+ * @property {Object<string, SceneLocation>} locations Locations by name
+ * @property {Object<string, string>} members Location names by member avatar
+ * @property {string} user Location of the user, empty if not placed
+ */
+
+/**
+ * Gets the scene of the open group chat.
+ * @returns {GroupScene|null} Scene, or null if no group is open
+ */
+function getScene() {
+    if (!selected_group) {
+        return null;
+    }
+
+    const scene = chat_metadata.group_scene ??= {};
+    scene.locations ??= {};
+    scene.members ??= {};
+    scene.user ??= '';
+    return scene;
+}
+
+/**
+ * Saves the scene and notifies the listeners.
+ */
+function saveScene() {
+    saveMetadataDebounced();
+    eventSource.emit(event_types.GROUP_SCENE_UPDATED);
+}
+
+/**
+ * Finds a location by name, ignoring case.
+ * @param {GroupScene} scene Scene
+ * @param {string} name Location name
+ * @returns {string|undefined} Location name as defined
+ */
+function findLocation(scene, name) {
+    const value = String(name ?? '').trim().toLowerCase();
+    return Object.keys(scene.locations).find(x => x.toLowerCase() === value);
+}
+
+/**
+ * Gets the location of a group member in the open chat.
+ * @param {string} avatar Member avatar
+ * @returns {string} Location name, empty if the member is not placed
+ */
+export function getMemberLocation(avatar) {
+    return getScene()?.members[avatar] ?? '';
+}
+
+/**
+ * Limits the members to the ones in the user's location. Members without a location are present everywhere.
+ * All members are returned if the user is not placed in a location.
+ * @param {string[]} members Member avatars
+ * @returns {string[]} Avatars of the members that can reply
+ */
+export function filterMembersByLocation(members) {
+    const scene = getScene();
+
+    if (!scene?.user) {
+        return members;
+    }
+
+    return members.filter(x => !scene.members[x] || scene.members[x] === scene.user);
+}
+
+/**
+ * Gets the World Info book of the user's location.
+ * @returns {string} Book name, empty if none
+ */
+export function getSceneWorldInfo() {
+    const scene = getScene();
+    return scene?.user ? scene.locations[scene.user]?.world ?? '' : '';
+}
+
+/**
+ * Checks if a group chat is open and shows a warning if not.
+ * @returns {GroupScene|null} Scene of the open group chat
+ */
+function getSceneOrWarn() {
+    const scene = getScene();
+
+    if (!scene) {
+        toastr.warning('Locations can only be used in group chats.', 'No group selected');
+    }
+
+    return scene;
+}
+
+/**
+ * Gets a member avatar from its name or 1-based index in the group.
+ * @param {string} name Member name or index
+ * @returns {string|undefined} Avatar
+ */
+function findMemberAvatar(name) {
+    const chid = findGroupMemberId(name);
+    return chid === undefined ? undefined : characters[chid]?.avatar;
+}
+
+/**
+ * Creates or updates a location. Without a name, gets the location of the user.
+ * @param {object} args Named arguments
+ * @param {string} value Location name
+ * @returns {string} Location name
+ */
+function locationCallback(args, value) {
+    const scene = getSceneOrWarn();
+    const name = String(value ?? '').trim();
+
+    if (!scene) {
+        return '';
+    }
+
+    if (!name) {
+        return scene.user;
+    }
+
+    if (args.world && !world_names.includes(args.world)) {
+        toastr.warning(`World Info book "${args.world}" not found.`, 'Invalid location');
+        return '';
+    }
+
+    const existingName = findLocation(scene, name) ?? name;
+    const location = scene.locations[existingName] ??= { world: '', background: '' };
+
+    if (args.world !== undefined) {
+        location.world = String(args.world);
+    }
+
+    if (args.bg !== undefined) {
+        location.background = String(args.bg);
+    }
+
+    saveScene();
+    return existingName;
+}
+
+/**
+ * Removes a location. Members in it are no longer placed anywhere.
+ * @param {object} _ Named arguments
+ * @param {string} value Location name
+ * @returns {string} Empty string
+ */
+function deleteLocationCallback(_, value) {
+    const scene = getSceneOrWarn();
+    const name = scene && findLocation(scene, value);
+
+    if (!scene) {
+        return '';
+    }
+
+    if (!name) {
+        toastr.warning(`Location "${value ?? ''}" not found.`, 'Nothing to remove');
+        return '';
+    }
+
+    delete scene.locations[name];
+
+    for (const [avatar, location] of Object.entries(scene.members)) {
+        if (location === name) {
+            delete scene.members[avatar];
+        }
+    }
+
+    if (scene.user === name) {
+        scene.user = '';
+    }
+
+    saveScene();
+    return '';
+}
+
+/**
+ * Moves a member or the user to a location. An empty location removes a member from the scene.
+ * @param {object} args Named arguments
+ * @param {string} value Location name
+ * @returns {string} Location name
+ */
+function moveCallback(args, value) {
+    const scene = getSceneOrWarn();
+
+    if (!scene) {
+        return '';
+    }
+
+    const location = String(value ?? '').trim() && findLocation(scene, value);
+
+    if (location === undefined) {
+        toastr.warning(`Location "${value}" not found. Create it with /location first.`, 'Invalid location');
+        return '';
+    }
+
+    const member = String(args.member ?? USER_MEMBER).trim();
+
+    if (member.toLowerCase() === USER_MEMBER) {
+        scene.user = location || '';
+
+        if (location && scene.locations[location].background) {
+            setChatBackground(scene.locations[location].background);
+        }
+
+        saveScene();
+        return scene.user;
+    }
+
+    const avatar = findMemberAvatar(member);
+
+    if (!avatar) {
+        toastr.warning(`Group member "${member}" not found.`, 'Invalid member');
+        return '';
+    }
+
+    if (location) {
+        scene.members[avatar] = location;
+    } else {
+        delete scene.members[avatar];
+    }
+
+    saveScene();
+    return location || '';
+}
+
+/**
+ * Shows the locations and who is in them in a system message.
+ * @returns {string} Empty string
+ */
+function listLocationsCallback() {
+    const scene = getSceneOrWarn();
+
+    if (!scene) {
+        return '';
+    }
+
+    const group = groups.find(x => x.id === selected_group);
+    const getNames = (location) => (group?.members ?? [])
+        .filter(x => scene.members[x] === location)
+        .map(x => characters.find(y => y.avatar === x)?.name)
+        .filter(x => x);
+
+    const locations = Object.entries(scene.locations).map(([name, location]) => {
+        const present = [...(scene.user === name ? ['**you**'] : []), ...getNames(name)];
+        const details = [location.world && `world info: ${location.world}`, location.background && `background: ${location.background}`].filter(x => x).join(', ');
+        return `**${name}**${details ? ` (${details})` : ''}: ${present.join(', ') || 'nobody'}`;
+    });
+    const unplaced = (group?.members ?? []).filter(x => !scene.members[x]).map(x => characters.find(y => y.avatar === x)?.name).filter(x => x);
+
+    const converter = new showdown.Converter();
+    const message = [
+        '### Locations:',
+        locations.length ? locations.join('\n\n') : 'No locations',
+        `Present everywhere: ${unplaced.join(', ') || 'nobody'}`,
+    ].join('\n\n');
+
+    sendSystemMessage(system_message_types.GENERIC, DOMPurify.sanitize(converter.makeHtml(message)));
+    return '';
+}
+
+export function registerSceneCommands() {
+    const getLocationNames = () => Object.keys(getScene()?.locations ?? {});
+
+    registerSlashCommand('location', locationCallback, [], '<span class="monospace">[world=book] [bg=filename] (name)</span> – create or update a location of the group chat scene, e.g. <tt>/location world=Castle bg=throne.jpg Throne room</tt>. World Info of the location is active and its background is set while you are in it. Without a name, passes your current location down the pipe.', true, true, { named: [{ name: 'world', type: ARGUMENT_TYPE.STRING, enumList: () => world_names ?? [] }, { name: 'bg', type: ARGUMENT_TYPE.STRING }], unnamed: { type: ARGUMENT_TYPE.STRING, enumList: getLocationNames } });
+    registerSlashCommand('dellocation', deleteLocationCallback, [], '<span class="monospace">(name)</span> – remove a location of the group chat scene, members in it become present everywhere, e.g. <tt>/dellocation Throne room</tt>', true, true, { unnamed: { type: ARGUMENT_TYPE.STRING, enumList: getLocationNames } });
+    registerSlashCommand('move', moveCallback, [], '<span class="monospace">[member=name/index] (location)</span> – move a group member, or yourself if no member is given, to a location, e.g. <tt>/move member=Alice Garden</tt>. Only members in your location reply, members without a location are present everywhere. Move a member to an empty location to make them present everywhere again.', true, true, { named: [{ name: 'member', type: ARGUMENT_TYPE.CHARACTER }], unnamed: { type: ARGUMENT_TYPE.STRING, enumList: getLocationNames } });
+    registerSlashCommand('locations', listLocationsCallback, [], ' – list the locations of the group chat scene and who is in them', true, true);
+}
@@ -0,0 +1,278 @@
+/**
+ * Private parts of group chats. Whispered messages are only seen by their recipients,
+ * and memory notes are only added to the prompt of their member. Stored in the chat.
+ */
+
+import { characters, chat, chat_metadata, extension_prompt_types, saveChatConditional, sendMessageAsUser, sendSystemMessage, setExtensionPrompt, system_message_types } from "../script.js";
+import { saveMetadataDebounced } from "./extensions.js";
+import { findGroupMemberId, groups, selected_group } from "./group-chats.js";
+import { ARGUMENT_TYPE, registerSlashCommand } from "./slash-commands.js";
+
+/**
+ * Extension prompt key of the memory notes of the speaker.
+ */
+const MEMORY_PROMPT_KEY = 'GROUP_MEMBER_MEMORY';
+
+/**
+ * Checks if a group member can see a chat message. Members always see their own messages.
+ * @param {object} message Chat message
+ * @param {string} avatar Member avatar
+ * @returns {boolean} True if the message is not whispered or the member is a recipient
+ */
+export function isMessageVisibleTo(message, avatar) {
+    const recipients = message?.extra?.visible_to;
+
+    if (!Array.isArray(recipients)) {
+        return true;
+    }
+
+    return recipients.includes(avatar) || message.original_avatar === avatar;
+}
+
+/**
+ * Gets the tooltip of the whisper indicator.
+ * @param {string[]} recipients Avatars of the recipients
+ * @returns {string} Tooltip text, empty if the message is not whispered
+ */
+export function getWhisperTitle(recipients) {
+    if (!Array.isArray(recipients)) {
+        return '';
+    }
+
+    const names = recipients.map(x => characters.find(y => y.avatar === x)?.name ?? x);
+    return `Whispered to ${names.join(', ') || 'nobody'}`;
+}
+
+/**
+ * Gets the memory notes of the open group chat.
+ * @returns {Object<string, string[]>|null} Notes by member avatar, or null if no group is open
+ */
+function getMemories() {
+    if (!selected_group) {
+        return null;
+    }
+
+    return chat_metadata.group_memories ??= {};
+}
+
+/**
+ * Adds the memory notes of the member who is about to reply to the prompt, or removes them.
+ * @param {string} avatar Avatar of the speaker, empty outside of group chats
+ */
+export function setMemberMemoryPrompt(avatar) {
+    const notes = (avatar && getMemories()?.[avatar]) || [];
+    const name = characters.find(x => x.avatar === avatar)?.name;
+    const prompt = notes.length ? `[Only ${name} knows this:\n${notes.map(x => `- ${x}`).join('\n')}]` : '';
+
+    setExtensionPrompt(MEMORY_PROMPT_KEY, prompt, extension_prompt_types.IN_PROMPT, 0);
+}
+
+/**
+ * Checks if a group chat is open and shows a warning if not.
+ * @returns {boolean} True if a group chat is open
+ */
+function isGroupOrWarn() {
+    if (!selected_group) {
+        toastr.warning('Whispers and memories can only be used in group chats.', 'No group selected');
+    }
+
+    return !!selected_group;
+}
+
+/**
+ * Gets member avatars from a comma-separated list of names or 1-based indexes in the group.
+ * @param {string} value Member names or indexes
+ * @returns {string[]|null} Avatars, or null if a member was not found
+ */
+function findMemberAvatars(value) {
+    const names = String(value ?? '').split(',').map(x => x.trim()).filter(x => x);
+    const avatars = [];
+
+    for (const name of names) {
+        const avatar = characters[findGroupMemberId(name)]?.avatar;
+
+        if (!avatar) {
+            toastr.warning(`Group member "${name}" not found.`, 'Invalid member');
+            return null;
+        }
+
+        avatars.push(avatar);
+    }
+
+    return avatars.length ? [...new Set(avatars)] : null;
+}
+
+/**
+ * Shows or hides the whisper indicator of a rendered message.
+ * @param {number} messageId Message id
+ */
+function updateWhisperIndicator(messageId) {
+    const recipients = chat[messageId]?.extra?.visible_to;
+    const messageBlock = $(`#chat .mes[mesid="${messageId}"]`);
+
+    messageBlock.attr('whisper', Array.isArray(recipients));
+    messageBlock.find('.mes_whisper').attr('title', getWhisperTitle(recipients));
+}
+
+/**
+ * Sends a message that only the given members see, or makes an existing message a whisper.
+ * @param {object} args Named arguments
+ * @param {string} value Message text
+ * @returns {Promise<string>} Empty string
+ */
+async function whisperCallback(args, value) {
+    if (!isGroupOrWarn()) {
+        return '';
+    }
+
+    const recipients = findMemberAvatars(args.member);
+
+    if (!recipients) {
+        toastr.warning('Specify the recipients like member=Alice or member="Alice, Bob".', 'Invalid command');
+        return '';
+    }
+
+    if (args.at !== undefined) {
+        const messageId = Number(args.at);
+        const message = chat[messageId];
+
+        if (!message || message.is_system) {
+            toastr.warning(`Message ${args.at} not found.`, 'Invalid message');
+            return '';
+        }
+
+        message.extra = { ...message.extra, visible_to: recipients };
+        updateWhisperIndicator(messageId);
+        await saveChatConditional();
+        return '';
+    }
+
+    const text = String(value ?? '').trim();
+
+    if (!text) {
+        toastr.warning('No message to whisper was provided.', 'Invalid command');
+        return '';
+    }
+
+    await sendMessageAsUser(text, '', { visible_to: recipients });
+    await saveChatConditional();
+    return '';
+}
+
+/**
+ * Makes a whispered message visible to all members.
+ * @param {object} _ Named arguments
+ * @param {string} value Message id
+ * @returns {Promise<string>} Empty string
+ */
+async function unwhisperCallback(_, value) {
+    const messageId = Number(value);
+    const message = chat[messageId];
+
+    if (!Array.isArray(message?.extra?.visible_to)) {
+        toastr.warning(`Message ${value ?? ''} is not a whisper.`, 'Nothing to change');
+        return '';
+    }
+
+    delete message.extra.visible_to;
+    updateWhisperIndicator(messageId);
+    await saveChatConditional();
+    return '';
+}
+
+/**
+ * Adds a memory note that only the member sees in the prompt.
+ * @param {object} args Named arguments
+ * @param {string} value Note text
+ * @returns {string|number} Number of the member's notes
+ */
+function rememberCallback(args, value) {
+    const memories = isGroupOrWarn() && getMemories();
+    const avatar = memories && findMemberAvatars(args.member)?.[0];
+    const note = String(value ?? '').trim();
+
+    if (!avatar) {
+        return '';
+    }
+
+    if (!note) {
+        toastr.warning('No note to remember was provided.', 'Invalid command');
+        return '';
+    }
+
+    const notes = memories[avatar] ??= [];
+    notes.push(note);
+    saveMetadataDebounced();
+    return notes.length;
+}
+
+/**
+ * Removes a memory note of a member, or all of them.
+ * @param {object} args Named arguments
+ * @param {string} value 1-based note number or "all"
+ * @returns {string} Empty string
+ */
+function forgetCallback(args, value) {
+    const memories = isGroupOrWarn() && getMemories();
+    const avatar = memories && findMemberAvatars(args.member)?.[0];
+    const notes = avatar ? memories[avatar] ?? [] : [];
+    const index = Number(value) - 1;
+
+    if (!avatar) {
+        return '';
+    }
+
+    if (String(value ?? '').trim().toLowerCase() === 'all') {
+        delete memories[avatar];
+    } else if (Number.isInteger(index) && notes[index] !== undefined) {
+        notes.splice(index, 1);
+    } else {
+        toastr.warning(`No memory note ${value ?? ''} found. Use /memories to see the notes.`, 'Nothing to remove');
+        return '';
+    }
+
+    saveMetadataDebounced();
+    return '';
+}
+
+/**
+ * Gets the memory notes of a member, or shows the notes of all members in a system message.
+ * @param {object} args Named arguments
+ * @returns {string} Notes of the member, one per line
+ */
+function memoriesCallback(args) {
+    const memories = isGroupOrWarn() && getMemories();
+
+    if (!memories) {
+        return '';
+    }
+
+    if (args.member !== undefined) {
+        const avatar = findMemberAvatars(args.member)?.[0];
+        return avatar ? (memories[avatar] ?? []).join('\n') : '';
+    }
+
+    const group = groups.find(x => x.id === selected_group);
+    const entries = (group?.members ?? [])
+        .filter(x => memories[x]?.length)
+        .map(x => {
+            const name = characters.find(y => y.avatar === x)?.name ?? x;
+            return `**${name}**:\n${memories[x].map((note, i) => `${i + 1}. ${note}`).join('\n')}`;
+        });
+
+    const converter = new showdown.Converter();
+    const message = `### Memories:\n${entries.length ? entries.join('\n\n') : 'No memories'}`;
+
+    sendSystemMessage(system_message_types.GENERIC, DOMPurify.sanitize(converter.makeHtml(message)));
+    return '';
+}
+
+export function registerWhisperCommands() {
+    const memberArgument = { name: 'member', type: ARGUMENT_TYPE.CHARACTER, required: true };
+
+    registerSlashCommand('whisper', whisperCallback, [], '<span class="monospace">member=names [at=message id] (text)</span> – send a message that only the given group members see, e.g. <tt>/whisper member="Alice, Bob" The butler did it. | /trigger Alice</tt>. With at=, makes an existing message visible only to them instead. Members always see their own messages.', true, true, { named: [memberArgument, { name: 'at', type: ARGUMENT_TYPE.NUMBER }] });
+    registerSlashCommand('unwhisper', unwhisperCallback, [], '<span class="monospace">(message id)</span> – make a whispered message visible to all group members, e.g. <tt>/unwhisper 12</tt>', true, true, { unnamed: { type: ARGUMENT_TYPE.NUMBER } });
+    registerSlashCommand('remember', rememberCallback, [], '<span class="monospace">member=name (note)</span> – add a memory note that is only added to the prompt of the group member, and pass the number of their notes down the pipe, e.g. <tt>/remember member=Alice She hid the key under the rug.</tt>', true, true, { named: [memberArgument] });
+    registerSlashCommand('forget', forgetCallback, [], '<span class="monospace">member=name (number or all)</span> – remove a memory note of the group member, e.g. <tt>/forget member=Alice 2</tt>', true, true, { named: [memberArgument] });
+    registerSlashCommand('memories', memoriesCallback, [], '<span class="monospace">[member=name]</span> – pass the memory notes of the group member down the pipe, one per line. Without a member, lists the notes of all members.', true, true, { named: [{ name: 'member', type: ARGUMENT_TYPE.CHARACTER }] });
+}
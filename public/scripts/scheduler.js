@@ -0,0 +1,318 @@
+/**
+ * Scheduled slash command scripts (/schedule, /every). Jobs are stored in the chat metadata,
+ * so they survive reloads and only run while their chat is open.
+ */
+
+import { chat_metadata, eventSource, event_types, getCurrentChatId } from "../script.js";
+import { saveMetadataDebounced } from "./extensions.js";
+import { isCandidateSwipe } from "./group-chats.js";
+import { ARGUMENT_TYPE, executeSlashCommands, registerSlashCommand, waitForRunningScripts } from "./slash-commands.js";
+
+/**
+ * Longest delay supported by setTimeout.
+ */
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+const DURATION_UNITS = {
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+};
+
+export const JOB_TYPES = {
+    TIMER: 'timer',
+    MESSAGES: 'messages',
+};
+
+/**
+ * @typedef {object} ScheduledJob
+ * @property {number} id Job id, unique in the chat
+ * @property {string} type Job type, one of JOB_TYPES
+ * @property {string} script Commands to run
+ * @property {number} [runAt] Timestamp of the run, for timers
+ * @property {number} [interval] Number of messages between the runs, for message jobs
+ * @property {number} [count] Number of messages since the last run, for message jobs
+ */
+
+/**
+ * Timeouts of the timers in the open chat by job id.
+ * @type {Map<number, number>}
+ */
+const timers = new Map();
+
+/**
+ * Gets the scheduled jobs of the open chat.
+ * @returns {ScheduledJob[]} Jobs
+ */
+export function getScheduledJobs() {
+    if (!getCurrentChatId()) {
+        return [];
+    }
+
+    return chat_metadata.scheduled_jobs ??= [];
+}
+
+/**
+ * Saves the jobs and notifies the listeners.
+ */
+function saveScheduledJobs() {
+    saveMetadataDebounced();
+    eventSource.emit(event_types.SCHEDULED_JOBS_UPDATED);
+}
+
+/**
+ * Parses a duration like "90", "30s", "5m" or "1h30m". Numbers without units are seconds.
+ * @param {string} value Duration text
+ * @returns {number} Duration in milliseconds, NaN if invalid
+ */
+function parseDuration(value) {
+    const text = String(value ?? '').trim().toLowerCase();
+
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        return Number(text) * DURATION_UNITS.s;
+    }
+
+    const parts = [...text.matchAll(/(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)/g)];
+
+    if (parts.length === 0 || parts.map(x => x[0]).join('') !== text.replace(/\s/g, '')) {
+        return NaN;
+    }
+
+    return parts.reduce((total, [, amount, unit]) => total + Number(amount) * DURATION_UNITS[unit], 0);
+}
+
+/**
+ * Runs a job's script after the running script ends. Errors are logged, so a broken job doesn't stop the others.
+ * @param {ScheduledJob} job Job to run
+ */
+async function runJob(job) {
+    try {
+        await waitForRunningScripts();
+        await executeSlashCommands(job.script);
+    } catch (error) {
+        console.error(`Scheduled job #${job.id} failed`, error);
+    }
+}
+
+/**
+ * Starts the timeout of a timer job. Overdue timers run right away.
+ * @param {ScheduledJob} job Timer job
+ */
+function startTimer(job) {
+    const chatId = getCurrentChatId();
+    const delay = Math.max(0, job.runAt - Date.now());
+
+    const timeout = setTimeout(async () => {
+        timers.delete(job.id);
+
+        if (getCurrentChatId() !== chatId) {
+            return;
+        }
+
+        // Longer delays are waited in several steps
+        if (job.runAt > Date.now()) {
+            startTimer(job);
+            return;
+        }
+
+        removeJob(job.id);
+        await runJob(job);
+    }, Math.min(delay, MAX_TIMEOUT));
+
+    timers.set(job.id, timeout);
+}
+
+/**
+ * Stops the timers and starts the ones of the open chat.
+ */
+function restoreTimers() {
+    for (const timeout of timers.values()) {
+        clearTimeout(timeout);
+    }
+
+    timers.clear();
+
+    for (const job of getScheduledJobs()) {
+        if (job.type === JOB_TYPES.TIMER) {
+            startTimer(job);
+        }
+    }
+
+    eventSource.emit(event_types.SCHEDULED_JOBS_UPDATED);
+}
+
+/**
+ * Adds a job to the open chat.
+ * @param {Omit<ScheduledJob, 'id'>} job Job without id
+ * @returns {ScheduledJob} Added job
+ */
+function addJob(job) {
+    const jobs = getScheduledJobs();
+    const newJob = { id: jobs.reduce((max, x) => Math.max(max, x.id), 0) + 1, ...job };
+
+    jobs.push(newJob);
+
+    if (newJob.type === JOB_TYPES.TIMER) {
+        startTimer(newJob);
+    }
+
+    saveScheduledJobs();
+    return newJob;
+}
+
+/**
+ * Removes a job from the open chat without running it.
+ * @param {number} id Job id
+ * @returns {boolean} True if the job existed
+ */
+function removeJob(id) {
+    const jobs = getScheduledJobs();
+    const index = jobs.findIndex(x => x.id === id);
+
+    if (index === -1) {
+        return false;
+    }
+
+    jobs.splice(index, 1);
+    clearTimeout(timers.get(id));
+    timers.delete(id);
+    saveScheduledJobs();
+    return true;
+}
+
+/**
+ * Cancels a scheduled job.
+ * @param {number} id Job id
+ * @returns {boolean} True if the job was cancelled
+ */
+export function cancelScheduledJob(id) {
+    return removeJob(Number(id));
+}
+
+/**
+ * Counts a new message for the message jobs and runs the ones that are due.
+ * The jobs are not awaited, because the message can be sent by the running script they wait for.
+ * @param {number} messageId Message id
+ */
+function onMessage(messageId) {
+    // A parallel group turn counts as one message
+    if (isCandidateSwipe(messageId)) {
+        return;
+    }
+
+    const dueJobs = [];
+
+    for (const job of getScheduledJobs().filter(x => x.type === JOB_TYPES.MESSAGES)) {
+        job.count = (job.count ?? 0) + 1;
+
+        if (job.count >= job.interval) {
+            job.count = 0;
+            dueJobs.push(job);
+        }
+    }
+
+    if (getScheduledJobs().some(x => x.type === JOB_TYPES.MESSAGES)) {
+        saveScheduledJobs();
+    }
+
+    for (const job of dueJobs) {
+        runJob(job);
+    }
+}
+
+/**
+ * Checks if the scheduler can be used in the current state.
+ * @param {any} script Commands to run
+ * @returns {boolean} True if a chat is open and the script is not empty
+ */
+function validateJob(script) {
+    if (!getCurrentChatId()) {
+        toastr.warning('Open a chat to schedule scripts.', 'No chat selected');
+        return false;
+    }
+
+    if (!String(script ?? '').trim()) {
+        toastr.warning('No commands to run were provided.', 'Invalid command');
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Schedules the commands to run once after a delay.
+ * @param {object} args Named arguments
+ * @param {any} value Commands to run
+ * @returns {string|number} Job id
+ */
+function scheduleCallback(args, value) {
+    const delay = parseDuration(args.after);
+
+    if (isNaN(delay)) {
+        toastr.warning('Specify the delay like after=30s, after=5m or after=1h30m.', 'Invalid command');
+        return '';
+    }
+
+    if (!validateJob(value)) {
+        return '';
+    }
+
+    return addJob({ type: JOB_TYPES.TIMER, script: String(value).trim(), runAt: Date.now() + delay }).id;
+}
+
+/**
+ * Schedules the commands to run every N messages.
+ * @param {object} args Named arguments
+ * @param {any} value Commands to run
+ * @returns {string|number} Job id
+ */
+function everyCallback(args, value) {
+    const interval = Number(args.messages);
+
+    if (!Number.isInteger(interval) || interval < 1) {
+        toastr.warning('Specify the number of messages like messages=5.', 'Invalid command');
+        return '';
+    }
+
+    if (!validateJob(value)) {
+        return '';
+    }
+
+    return addJob({ type: JOB_TYPES.MESSAGES, script: String(value).trim(), interval, count: 0 }).id;
+}
+
+/**
+ * Cancels a job, or all jobs of the chat.
+ * @param {object} _ Named arguments
+ * @param {string} value Job id or "all"
+ * @returns {string} Empty string
+ */
+function unscheduleCallback(_, value) {
+    if (String(value).trim().toLowerCase() === 'all') {
+        for (const job of [...getScheduledJobs()]) {
+            removeJob(job.id);
+        }
+
+        return '';
+    }
+
+    if (!cancelScheduledJob(Number(value))) {
+        toastr.warning(`No scheduled job with id ${value}.`, 'Nothing to cancel');
+    }
+
+    return '';
+}
+
+export function registerSchedulerCommands() {
+    registerSlashCommand('schedule', scheduleCallback, [], '<span class="monospace">after=duration {: commands :}</span> – run the commands once after the delay and pass the job id down the pipe, e.g. <tt>/schedule after=5m {: /sys Five minutes have passed. :}</tt>. The delay is a number of seconds or a duration like 30s, 5m, 1h30m. Jobs belong to the current chat and survive reloads, overdue jobs run when the chat is opened.', true, true, { named: [{ name: 'after', type: ARGUMENT_TYPE.STRING, required: true }] });
+    registerSlashCommand('every', everyCallback, [], '<span class="monospace">messages=number {: commands :}</span> – run the commands every time the number of messages has been sent or received in the current chat and pass the job id down the pipe, e.g. <tt>/every messages=10 {: /sys A day has passed. :}</tt>', true, true, { named: [{ name: 'messages', type: ARGUMENT_TYPE.NUMBER, required: true }] });
+    registerSlashCommand('unschedule', unscheduleCallback, [], '<span class="monospace">(job id or all)</span> – cancel a scheduled job of the current chat, e.g. <tt>/unschedule 2</tt>', true, true);
+}
+
+jQuery(() => {
+    eventSource.on(event_types.CHAT_CHANGED, restoreTimers);
+    eventSource.on(event_types.MESSAGE_RECEIVED, onMessage);
+    eventSource.on(event_types.MESSAGE_SENT, onMessage);
+});
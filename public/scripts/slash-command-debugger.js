@@ -0,0 +1,242 @@
+/**
+ * Step debugger for slash command scripts. Pauses before a command when stepping is on or when the command is on a breakpoint line.
+ */
+
+import { renderTemplate } from "../script.js";
+import { ARGUMENT_TYPE, registerSlashCommand } from "./slash-commands.js";
+import { SlashCommandAbortError, getLineAndColumn } from "./slash-command-parser.js";
+import { isFalseBoolean, isTrueBoolean } from "./utils.js";
+import { getDebugVariables } from "./variables.js";
+
+const DEBUGGER_ACTIONS = {
+    STEP: 'step',
+    CONTINUE: 'continue',
+    ABORT: 'abort',
+};
+
+/**
+ * Breakpoint lines by script text.
+ * @type {Map<string, Set<number>>}
+ */
+const breakpoints = new Map();
+
+/**
+ * Pause before every command of the scripts started while it's on.
+ */
+let debugMode = false;
+
+/**
+ * Pause before the next command.
+ */
+let isStepping = false;
+
+/**
+ * Resolves the pause with the action chosen by the user.
+ * @type {((action: string) => void)|null}
+ */
+let resumeScript = null;
+
+/**
+ * Information about the paused command, re-rendered when breakpoints change.
+ * @type {object|null}
+ */
+let pausedState = null;
+
+/**
+ * Marks the start of the outermost script. Nested scripts are debugged as its part.
+ */
+export function beginScriptDebugging() {
+    isStepping = debugMode;
+}
+
+/**
+ * Marks the end of the outermost script and closes the debugger.
+ */
+export function endScriptDebugging() {
+    isStepping = false;
+    pausedState = null;
+    $('#slash_command_debugger').addClass('displayNone');
+}
+
+/**
+ * Gets the breakpoint lines of a script.
+ * @param {string} script Script text
+ * @returns {Set<number>} Line numbers
+ */
+function getBreakpoints(script) {
+    if (!breakpoints.has(script)) {
+        breakpoints.set(script, new Set());
+    }
+
+    return breakpoints.get(script);
+}
+
+/**
+ * Formats a value for the inspector.
+ * @param {any} value Value
+ * @returns {string} Text
+ */
+function formatDebugValue(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Gets the inspector rows of a set of variables.
+ * @param {Object<string, any>} variables Variables
+ * @returns {{name: string, value: string}[]} Rows
+ */
+function getVariableRows(variables) {
+    return Object.entries(variables ?? {}).map(([name, value]) => ({ name, value: formatDebugValue(value) }));
+}
+
+/**
+ * Renders the debugger panel for the paused command.
+ */
+function renderDebugger() {
+    if (!pausedState) {
+        return;
+    }
+
+    const { node, args, value, pipe, script } = pausedState;
+    const lineBreakpoints = getBreakpoints(script);
+    const currentLine = getLineAndColumn(script, node.start).line;
+    const variables = getDebugVariables();
+
+    const lines = script.split('\n').map((text, i) => ({
+        number: i + 1,
+        text,
+        current: i + 1 === currentLine,
+        breakpoint: lineBreakpoints.has(i + 1),
+    }));
+
+    const html = renderTemplate('slashCommandDebugger', {
+        name: node.name,
+        args: Object.entries(args).map(([name, value]) => ({ name, value: formatDebugValue(value) })),
+        value: formatDebugValue(value),
+        pipe: formatDebugValue(pipe),
+        lines,
+        scopes: [
+            { title: 'Scoped variables (command arguments and loop variables)', items: getVariableRows(variables.scoped) },
+            { title: 'Local variables', items: getVariableRows(variables.local) },
+            { title: 'Global variables', items: getVariableRows(variables.global) },
+        ],
+    });
+
+    let panel = $('#slash_command_debugger');
+
+    if (panel.length === 0) {
+        panel = $('<div id="slash_command_debugger"></div>').appendTo('body');
+        panel.on('click', '.slash_command_debugger_action', function () {
+            resumeScript?.(String($(this).data('action')));
+        });
+        panel.on('click', '.slash_command_debugger_line', function () {
+            toggleBreakpoint(Number($(this).data('line')));
+        });
+    }
+
+    panel.html(html).removeClass('displayNone');
+    panel.find('.slash_command_debugger_line.current')[0]?.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Sets or removes a breakpoint on a line of the paused script.
+ * @param {number} line Line number
+ */
+function toggleBreakpoint(line) {
+    if (!pausedState) {
+        return;
+    }
+
+    const lineBreakpoints = getBreakpoints(pausedState.script);
+
+    if (lineBreakpoints.has(line)) {
+        lineBreakpoints.delete(line);
+    } else {
+        lineBreakpoints.add(line);
+    }
+
+    renderDebugger();
+}
+
+/**
+ * Pauses the script before a command if stepping or the command is on a breakpoint line.
+ * @param {object} state Command about to be executed
+ * @param {import('./slash-command-parser.js').CommandNode} state.node Parsed command
+ * @param {object} state.args Named arguments with the macros replaced
+ * @param {any} state.value Unnamed argument
+ * @param {any} state.pipe Result of the previous command
+ * @param {string} state.script Whole script text
+ * @throws {SlashCommandAbortError} If the user aborts the script
+ */
+export async function pauseBeforeCommand(state) {
+    const lineBreakpoints = breakpoints.get(state.script);
+    const isBreakpoint = !!lineBreakpoints?.has(getLineAndColumn(state.script, state.node.start).line);
+
+    if (!isStepping && !isBreakpoint) {
+        return;
+    }
+
+    // Only one script can be paused at a time, others started meanwhile run through
+    if (resumeScript) {
+        return;
+    }
+
+    pausedState = state;
+    renderDebugger();
+
+    const action = await new Promise(resolve => resumeScript = resolve);
+    resumeScript = null;
+    pausedState = null;
+    $('#slash_command_debugger').addClass('displayNone');
+
+    switch (action) {
+        case DEBUGGER_ACTIONS.ABORT:
+            isStepping = false;
+            throw new SlashCommandAbortError('Script execution aborted in the debugger.');
+        case DEBUGGER_ACTIONS.CONTINUE:
+            isStepping = false;
+            break;
+        default:
+            isStepping = true;
+            break;
+    }
+}
+
+/**
+ * Turns the debug mode on or off.
+ * @param {object} _ Named arguments
+ * @param {string} value on/off, toggles if not specified
+ * @returns {string} New state
+ */
+function debugCallback(_, value) {
+    if (isTrueBoolean(value)) {
+        debugMode = true;
+    } else if (isFalseBoolean(value)) {
+        debugMode = false;
+    } else {
+        debugMode = !debugMode;
+    }
+
+    toastr.info(debugMode ? 'Scripts will pause before each command.' : 'Scripts will only pause on breakpoints.', `Debug mode ${debugMode ? 'on' : 'off'}`);
+    return String(debugMode);
+}
+
+/**
+ * Pauses the running script in the debugger before the next command.
+ * @param {object} _ Named arguments
+ * @param {string} value Unnamed argument or the pipe
+ * @returns {string} The pipe, unchanged
+ */
+function breakpointCallback(_, value) {
+    isStepping = true;
+    return value ?? '';
+}
+
+export function registerDebuggerCommands() {
+    registerSlashCommand('debug', debugCallback, [], '<span class="monospace">(on/off)</span> – toggle the script debug mode. While it\'s on, scripts pause before each command in the debugger, which shows the command, its arguments, the pipe and the variables. Click a line in the debugger to set a breakpoint on it.', true, true, { unnamed: { type: ARGUMENT_TYPE.BOOLEAN } });
+    registerSlashCommand('breakpoint', breakpointCallback, [], ' – pause the script in the debugger before the next command, e.g. <tt>/setvar key=x 1 | /breakpoint | /echo {{getvar::x}}</tt>', true, true);
+}
@@ -0,0 +1,438 @@
+/**
+ * Tokenizer and syntax tree for slash command scripts (STscript).
+ *
+ * Grammar:
+ *   script   := segment ( "|" segment )*
+ *   segment  := command | text
+ *   command  := "/" name ( named-argument )* unnamed-argument?
+ *   named    := key "=" ( closure | quoted-string | word )
+ *   closure  := "{:" script ":}"
+ *
+ * A command also ends at a line break that is followed by another known command,
+ * so multi-line scripts don't need pipes between the lines.
+ * Backslash escapes a special character: \| \{ \} \" \: \\
+ */
+
+const ESCAPABLE_CHARS = ['|', '{', '}', '"', ':', '\\'];
+const CLOSURE_START = '{:';
+const CLOSURE_END = ':}';
+
+/**
+ * Gets the line and column (both 1-based) of a position in the text.
+ * @param {string} text Script text
+ * @param {number} offset Position in the text
+ * @returns {{line: number, column: number}} Line and column
+ */
+export function getLineAndColumn(text, offset) {
+    const before = text.slice(0, offset);
+    const line = (before.match(/\n/g)?.length ?? 0) + 1;
+    const column = offset - before.lastIndexOf('\n');
+    return { line, column };
+}
+
+/**
+ * Error in the syntax of a script, with the position where it was found.
+ */
+export class SlashCommandSyntaxError extends Error {
+    /**
+     * @param {string} message Error description
+     * @param {string} text Script text
+     * @param {number} offset Position of the error in the text
+     */
+    constructor(message, text, offset) {
+        const { line, column } = getLineAndColumn(text, offset);
+        super(`${message} at line ${line}, column ${column}.`);
+        this.name = 'SlashCommandSyntaxError';
+        this.line = line;
+        this.column = column;
+        this.offset = offset;
+    }
+}
+
+/**
+ * Failure of a command while the script runs. Can be caught with /try.
+ */
+export class SlashCommandError extends Error {
+    /**
+     * @param {string} message Error description
+     * @param {string} command Name of the command that failed
+     */
+    constructor(message, command) {
+        super(message);
+        this.name = 'SlashCommandError';
+        this.command = command;
+    }
+}
+
+/**
+ * Stops the whole script, e.g. when the user aborts it in the debugger. Not caught by /try.
+ */
+export class SlashCommandAbortError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SlashCommandAbortError';
+    }
+}
+
+/**
+ * A block of commands passed to another command as an argument, e.g. /if ... {: /echo yes :}
+ * Converts to its source text, so commands that expect a string still work.
+ */
+export class SlashCommandClosure {
+    /**
+     * @param {string} source Script text between the braces
+     * @param {ScriptNode[]} nodes Parsed script
+     * @param {number} offset Position of the opening brace in the whole script
+     * @param {string} script Whole script text
+     */
+    constructor(source, nodes, offset, script = '') {
+        this.source = source;
+        this.nodes = nodes;
+        this.offset = offset;
+        this.script = script;
+    }
+
+    toString() {
+        return this.source;
+    }
+}
+
+/**
+ * @typedef {object} CommandNode
+ * @property {'command'} type Node type
+ * @property {string} name Command name without the slash
+ * @property {Object<string, string|SlashCommandClosure>} args Named arguments
+ * @property {string|SlashCommandClosure|undefined} value Unnamed argument
+ * @property {string} source Command text as written in the script
+ * @property {number} start Position of the command in the whole script
+ */
+
+/**
+ * @typedef {object} TextNode
+ * @property {'text'} type Node type
+ * @property {string} source Text as written in the script
+ * @property {number} start Position of the text in the whole script
+ */
+
+/**
+ * @typedef {CommandNode|TextNode} ScriptNode
+ */
+
+class ScriptReader {
+    /**
+     * @param {string} text Script text
+     * @param {(name: string) => boolean} isCommand Checks if the command name is registered
+     */
+    constructor(text, isCommand) {
+        this.text = text;
+        this.isCommand = isCommand;
+        this.pos = 0;
+    }
+
+    /**
+     * @param {string} message Error description
+     * @param {number} offset Position of the error
+     * @returns {SlashCommandSyntaxError} Error to throw
+     */
+    error(message, offset = this.pos) {
+        return new SlashCommandSyntaxError(message, this.text, offset);
+    }
+
+    get char() {
+        return this.text[this.pos];
+    }
+
+    isEnd() {
+        return this.pos >= this.text.length;
+    }
+
+    /**
+     * @param {string} value Expected text
+     * @param {number} offset Position to check
+     */
+    isAt(value, offset = this.pos) {
+        return this.text.startsWith(value, offset);
+    }
+
+    /**
+     * Checks if the current position ends the segment.
+     * @param {boolean} inClosure Reading inside a closure
+     */
+    isSegmentEnd(inClosure) {
+        return this.isEnd() || this.char === '|' || (inClosure && this.isAt(CLOSURE_END));
+    }
+
+    isEscape() {
+        return this.char === '\\' && ESCAPABLE_CHARS.includes(this.text[this.pos + 1]);
+    }
+
+    /**
+     * Checks if the character at the position is the first one of a word.
+     * @param {number} offset Position in the text
+     */
+    isWordStart(offset = this.pos) {
+        return offset === 0 || /\s/.test(this.text[offset - 1]);
+    }
+
+    /**
+     * Checks if a known command starts at the position, ignoring the leading whitespace.
+     * @param {number} offset Position in the text
+     */
+    isCommandAt(offset) {
+        const match = /^[ \t]*\/([^\s|]+)/.exec(this.text.slice(offset, offset + 100));
+        return !!match && this.isCommand(match[1]);
+    }
+
+    /**
+     * Checks if the current line break is followed by another command.
+     */
+    isCommandBreak() {
+        return this.char === '\n' && this.isCommandAt(this.pos + 1);
+    }
+
+    skipWhitespace() {
+        while (!this.isEnd() && /\s/.test(this.char)) {
+            this.pos++;
+        }
+    }
+
+    /**
+     * Reads a list of segments until the end of the text or the end of the closure.
+     * @param {number} closureStart Position of the enclosing closure, -1 at the top level
+     * @returns {ScriptNode[]} Parsed nodes
+     */
+    readScript(closureStart = -1) {
+        const inClosure = closureStart !== -1;
+        const nodes = [];
+
+        while (true) {
+            this.skipWhitespace();
+
+            if (this.isEnd()) {
+                if (inClosure) {
+                    throw this.error('Unclosed closure: missing ":}" for "{:"', closureStart);
+                }
+                break;
+            }
+
+            if (inClosure && this.isAt(CLOSURE_END)) {
+                this.pos += CLOSURE_END.length;
+                break;
+            }
+
+            if (this.char === '|') {
+                this.pos++;
+                continue;
+            }
+
+            // Unknown commands are kept as text, so they can be sent as a message
+            nodes.push(this.isCommandAt(this.pos) ? this.readCommand(inClosure) : this.readText(inClosure));
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Reads plain text until the end of the segment.
+     * @param {boolean} inClosure Reading inside a closure
+     * @returns {TextNode} Text node
+     */
+    readText(inClosure) {
+        const start = this.pos;
+
+        while (!this.isSegmentEnd(inClosure)) {
+            this.pos += this.isEscape() ? 2 : 1;
+        }
+
+        return { type: 'text', source: this.text.slice(start, this.pos), start };
+    }
+
+    /**
+     * Reads a command with its arguments.
+     * @param {boolean} inClosure Reading inside a closure
+     * @returns {CommandNode} Command node
+     */
+    readCommand(inClosure) {
+        const start = this.pos;
+        this.pos++;
+
+        const nameStart = this.pos;
+        while (!this.isSegmentEnd(inClosure) && !/\s/.test(this.char)) {
+            this.pos++;
+        }
+
+        const name = this.text.slice(nameStart, this.pos);
+        const args = {};
+
+        while (true) {
+            const beforeArgument = this.pos;
+
+            // Named arguments can continue on the next lines, unless a new command starts there
+            while (!this.isEnd() && /\s/.test(this.char) && !this.isCommandBreak()) {
+                this.pos++;
+            }
+
+            const match = /^(\w+)=/.exec(this.text.slice(this.pos, this.pos + 100));
+
+            if (!match || this.isCommandBreak()) {
+                this.pos = beforeArgument;
+                break;
+            }
+
+            this.pos += match[0].length;
+            args[match[1]] = this.readArgumentValue(inClosure);
+        }
+
+        const value = this.readUnnamedArgument(inClosure);
+        return { type: 'command', name, args, value, source: this.text.slice(start, this.pos), start };
+    }
+
+    /**
+     * Reads the value of a named argument.
+     * @param {boolean} inClosure Reading inside a closure
+     * @returns {string|SlashCommandClosure} Argument value
+     */
+    readArgumentValue(inClosure) {
+        if (this.isAt(CLOSURE_START)) {
+            return this.readClosure();
+        }
+
+        if (this.char === '"') {
+            return this.readQuotedString();
+        }
+
+        let value = '';
+
+        while (!this.isSegmentEnd(inClosure) && !/\s/.test(this.char)) {
+            if (this.isEscape()) {
+                value += this.text[this.pos + 1];
+                this.pos += 2;
+            } else {
+                value += this.char;
+                this.pos++;
+            }
+        }
+
+        return value;
+    }
+
+    /**
+     * Reads a string in double quotes, resolving the escapes.
+     * @returns {string} String without the quotes
+     */
+    readQuotedString() {
+        const start = this.pos;
+        let value = '';
+        this.pos++;
+
+        while (this.char !== '"') {
+            if (this.isEnd()) {
+                throw this.error('Unclosed quote: missing closing \'"\'', start);
+            }
+
+            if (this.isEscape()) {
+                value += this.text[this.pos + 1];
+                this.pos += 2;
+            } else {
+                value += this.char;
+                this.pos++;
+            }
+        }
+
+        this.pos++;
+        return value;
+    }
+
+    /**
+     * Reads a closure with the nested script.
+     * @returns {SlashCommandClosure} Closure
+     */
+    readClosure() {
+        const start = this.pos;
+        this.pos += CLOSURE_START.length;
+        const nodes = this.readScript(start);
+        const source = this.text.slice(start + CLOSURE_START.length, this.pos - CLOSURE_END.length).trim();
+        return new SlashCommandClosure(source, nodes, start, this.text);
+    }
+
+    /**
+     * Finds the closing quote of a quoted part of the unnamed argument.
+     * @param {boolean} inClosure Reading inside a closure
+     * @returns {number} Position of the closing quote or -1 if the quote is not closed
+     */
+    findClosingQuote(inClosure) {
+        for (let i = this.pos + 1; i < this.text.length; i++) {
+            if (this.text[i] === '\\' && ESCAPABLE_CHARS.includes(this.text[i + 1])) {
+                i++;
+            } else if (this.text[i] === '"') {
+                return i;
+            } else if (inClosure && this.isAt(CLOSURE_END, i)) {
+                return -1;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Reads the rest of the command as the unnamed argument.
+     * Quoted parts keep their quotes and escapes for commands that run them as scripts.
+     * @param {boolean} inClosure Reading inside a closure
+     * @returns {string|SlashCommandClosure|undefined} Argument value
+     */
+    readUnnamedArgument(inClosure) {
+        let value = '';
+        let closures = [];
+        let hasText = false;
+
+        while (!this.isSegmentEnd(inClosure) && !this.isCommandBreak()) {
+            if (this.isAt(CLOSURE_START) && this.isWordStart()) {
+                const start = this.pos;
+                closures.push(this.readClosure());
+                value += this.text.slice(start, this.pos);
+                continue;
+            }
+
+            hasText = hasText || !/\s/.test(this.char);
+
+            if (this.isEscape()) {
+                value += this.text[this.pos + 1];
+                this.pos += 2;
+                continue;
+            }
+
+            if (this.char === '"' && this.isWordStart()) {
+                const end = this.findClosingQuote(inClosure);
+
+                if (end !== -1) {
+                    value += this.text.slice(this.pos, end + 1);
+                    this.pos = end + 1;
+                    continue;
+                }
+            }
+
+            value += this.char;
+            this.pos++;
+        }
+
+        // A single closure is passed as is, otherwise as text
+        if (closures.length === 1 && !hasText) {
+            return closures[0];
+        }
+
+        value = value.trim();
+        return value.length > 0 ? value : undefined;
+    }
+}
+
+/**
+ * Parses a script into a list of commands and text segments.
+ * @param {string} text Script text
+ * @param {(name: string) => boolean} isCommand Checks if the command name is registered
+ * @returns {ScriptNode[]} Parsed script
+ * @throws {SlashCommandSyntaxError} If the script has a syntax error
+ */
+export function parseSlashCommandScript(text, isCommand) {
+    const reader = new ScriptReader(String(text), isCommand);
+    return reader.readScript();
+}
@@ -35,25 +35,73 @@ import { findGroupMemberId, groups, is_group_generating, resetSelectedGroup, sav
 import { getRegexedString, regex_placement } from "./extensions/regex/engine.js";
 import { addEphemeralStoppingString, chat_styles, flushEphemeralStoppingStrings, power_user } from "./power-user.js";
 import { autoSelectPersona } from "./personas.js";
-import { getContext } from "./extensions.js";
+import { extension_settings, getContext } from "./extensions.js";
 import { hideChatMessage, unhideChatMessage } from "./chats.js";
-import { delay, isFalseBoolean, isTrueBoolean, stringToRange, trimToEndSentence, trimToStartSentence } from "./utils.js";
-import { registerVariableCommands, resolveVariable } from "./variables.js";
+import { debounce, delay, escapeHtml, isFalseBoolean, isTrueBoolean, stringToRange, trimToEndSentence, trimToStartSentence } from "./utils.js";
+import { LoopControlSignal, beginScriptLoops, continueLoop, endScriptLoops, registerVariableCommands, resolveVariable } from "./variables.js";
+import { registerUserCommands } from "./user-commands.js";
+import { registerEventScriptCommands } from "./event-scripts.js";
+import { registerSchedulerCommands } from "./scheduler.js";
+import { registerSceneCommands } from "./group-scenes.js";
+import { registerWhisperCommands } from "./group-whispers.js";
+import { beginScriptDebugging, endScriptDebugging, pauseBeforeCommand, registerDebuggerCommands } from "./slash-command-debugger.js";
 import { decodeTextTokens, getFriendlyTokenizerName, getTextTokens, getTokenCount } from "./tokenizers.js";
+import { SlashCommandAbortError, SlashCommandClosure, SlashCommandError, SlashCommandSyntaxError, parseSlashCommandScript } from "./slash-command-parser.js";
 export {
     executeSlashCommands,
+    executeSlashCommandsClosure,
     registerSlashCommand,
+    unregisterSlashCommand,
+    isSlashCommandRegistered,
     getSlashCommandsHelp,
 }
 
+/**
+ * Types of command arguments, used for autocomplete and validation.
+ */
+export const ARGUMENT_TYPE = {
+    STRING: 'string',
+    NUMBER: 'number',
+    BOOLEAN: 'boolean',
+    ENUM: 'enum',
+    CHARACTER: 'character',
+    VARIABLE: 'variable',
+    QUICK_REPLY: 'quick_reply',
+};
+
+/**
+ * @typedef {object} SlashCommandArgument
+ * @property {string} [name] Argument name, omitted for the unnamed argument
+ * @property {string[]} [aliases] Other accepted names of the named argument
+ * @property {string} type Value type, one of ARGUMENT_TYPE
+ * @property {boolean} [required] Whether the named argument must be specified
+ * @property {string[]|(() => string[])} [enumList] Allowed values of enum arguments, suggestions for the other types
+ */
+
+/**
+ * @typedef {object} SlashCommandArgumentInfo
+ * @property {SlashCommandArgument[]} [named] Named arguments
+ * @property {SlashCommandArgument} [unnamed] Unnamed argument
+ */
+
 class SlashCommandParser {
     constructor() {
         this.commands = {};
         this.helpStrings = {};
     }
 
-    addCommand(command, callback, aliases, helpString = '', interruptsGeneration = false, purgeFromMessage = true) {
-        const fnObj = { callback, helpString, interruptsGeneration, purgeFromMessage };
+    /**
+     * Registers a command.
+     * @param {string} command Command name
+     * @param {(args: object, value: any) => any} callback Command callback
+     * @param {string[]} aliases Alternative names
+     * @param {string} helpString Description shown in /help
+     * @param {boolean} interruptsGeneration Whether the command prevents sending the input as a message
+     * @param {boolean} purgeFromMessage Whether the command is removed from the message text
+     * @param {SlashCommandArgumentInfo} argumentInfo Types of the arguments, used for autocomplete and validation
+     */
+    addCommand(command, callback, aliases, helpString = '', interruptsGeneration = false, purgeFromMessage = true, argumentInfo = {}) {
+        const fnObj = { callback, helpString, interruptsGeneration, purgeFromMessage, namedArgs: argumentInfo.named ?? [], unnamedArg: argumentInfo.unnamed ?? null };
 
         if ([command, ...aliases].some(x => this.commands.hasOwnProperty(x))) {
             console.trace('WARN: Duplicate slash command registered!');
@@ -75,46 +123,177 @@ class SlashCommandParser {
         this.helpStrings[command] = stringBuilder;
     }
 
-    parse(text) {
-        const excludedFromRegex = ["sendas"]
-        const firstSpace = text.indexOf(' ');
-        const command = firstSpace !== -1 ? text.substring(1, firstSpace) : text.substring(1);
-        const args = firstSpace !== -1 ? text.substring(firstSpace + 1) : '';
-        const argObj = {};
-        let unnamedArg;
-
-        if (args.length > 0) {
-            // Match named arguments
-            const namedArgPattern = /(\w+)=("(?:\\.|[^"\\])*"|\S+)/g;
-            let match;
-            while ((match = namedArgPattern.exec(args)) !== null) {
-                const key = match[1];
-                const value = match[2];
-                // Remove the quotes around the value, if any
-                argObj[key] = value.replace(/(^")|("$)/g, '');
+    /**
+     * Removes a command and its aliases.
+     * @param {string} command Command name
+     */
+    removeCommand(command) {
+        const fnObj = this.commands[command];
+
+        if (!fnObj) {
+            return;
+        }
+
+        for (const [name, value] of Object.entries(this.commands)) {
+            if (value === fnObj) {
+                delete this.commands[name];
+                delete this.helpStrings[name];
             }
+        }
+    }
+
+    /**
+     * Checks if the command or alias is registered.
+     * @param {string} command Command name
+     * @returns {boolean} True if the command exists
+     */
+    hasCommand(command) {
+        return Object.hasOwn(this.commands, command);
+    }
+
+    /**
+     * Parses a script into a list of commands and text segments.
+     * @param {string} text Script text
+     * @returns {import('./slash-command-parser.js').ScriptNode[]} Parsed script
+     * @throws {SlashCommandSyntaxError} If the script has a syntax error
+     */
+    parseScript(text) {
+        return parseSlashCommandScript(text, (name) => this.hasCommand(name));
+    }
+
+    /**
+     * Gets the known values of an argument, e.g. character names or variable names.
+     * @param {SlashCommandArgument} argument Argument
+     * @returns {string[]} Values
+     */
+    getArgumentValues(argument) {
+        if (!argument) {
+            return [];
+        }
+
+        if (argument.enumList) {
+            return typeof argument.enumList === 'function' ? argument.enumList() : argument.enumList;
+        }
+
+        switch (argument.type) {
+            case ARGUMENT_TYPE.BOOLEAN:
+                return ['on', 'off'];
+            case ARGUMENT_TYPE.CHARACTER:
+                return characters.map(x => x.name);
+            case ARGUMENT_TYPE.VARIABLE:
+                return [...new Set([...Object.keys(chat_metadata.variables ?? {}), ...Object.keys(extension_settings.variables?.global ?? {})])];
+            case ARGUMENT_TYPE.QUICK_REPLY:
+                return (extension_settings.quickReply?.quickReplySlots ?? []).map(x => x?.label).filter(x => x);
+            default:
+                return [];
+        }
+    }
 
-            // Match unnamed argument
-            const unnamedArgPattern = /(?:\w+=(?:"(?:\\.|[^"\\])*"|\S+)\s*)*(.*)/s;
-            match = unnamedArgPattern.exec(args);
-            if (match !== null) {
-                unnamedArg = match[1].trim();
+    /**
+     * Checks if the argument value has the declared type.
+     * @param {SlashCommandArgument} argument Argument
+     * @param {any} value Value
+     * @returns {string} Error description or empty string if the value is valid
+     */
+    validateArgument(argument, value) {
+        // Values with macros are only known when the command runs
+        if (typeof value === 'string' && /{{.*}}/.test(value)) {
+            return '';
+        }
+
+        const label = argument.name ? `${argument.name}=` : 'The unnamed argument';
+
+        switch (argument.type) {
+            case ARGUMENT_TYPE.NUMBER:
+                return value instanceof SlashCommandClosure || String(value).trim() === '' || isNaN(Number(value)) ? `${label} must be a number` : '';
+            case ARGUMENT_TYPE.BOOLEAN:
+                return isTrueBoolean(String(value)) || isFalseBoolean(String(value)) ? '' : `${label} must be on or off`;
+            case ARGUMENT_TYPE.ENUM: {
+                const values = this.getArgumentValues(argument);
+                return values.some(x => x.toLowerCase() === String(value).toLowerCase()) ? '' : `${label} must be one of: ${values.join(', ')}`;
             }
+            default:
+                return '';
+        }
+    }
 
-            // Excluded commands format in their own function
-            if (!excludedFromRegex.includes(command)) {
-                unnamedArg = getRegexedString(
-                    unnamedArg,
-                    regex_placement.SLASH_COMMAND
-                );
+    /**
+     * Checks the arguments of the parsed commands, including the ones in closures.
+     * @param {import('./slash-command-parser.js').ScriptNode[]} nodes Parsed script
+     * @param {string} text Script text
+     * @throws {SlashCommandSyntaxError} If an argument is missing or has a wrong type
+     */
+    validate(nodes, text) {
+        for (const node of nodes) {
+            if (node.type !== 'command' || !this.hasCommand(node.name)) {
+                continue;
+            }
+
+            const command = this.commands[node.name];
+            const values = [...Object.values(node.args), node.value];
+
+            for (const argument of command.namedArgs) {
+                const name = [argument.name, ...(argument.aliases ?? [])].find(x => node.args[x] !== undefined);
+                const value = name === undefined ? undefined : node.args[name];
+                const error = value === undefined
+                    ? (argument.required ? `/${node.name} requires ${argument.name}=` : '')
+                    : this.validateArgument(argument, value);
+
+                if (error) {
+                    throw new SlashCommandSyntaxError(`${error} in /${node.name}`, text, node.start);
+                }
+            }
+
+            if (command.unnamedArg && node.value !== undefined) {
+                const error = this.validateArgument(command.unnamedArg, node.value);
+
+                if (error) {
+                    throw new SlashCommandSyntaxError(`${error} in /${node.name}`, text, node.start);
+                }
+            }
+
+            for (const value of values) {
+                if (value instanceof SlashCommandClosure) {
+                    this.validate(value.nodes, text);
+                }
             }
         }
+    }
 
-        if (this.commands[command]) {
-            return { command: this.commands[command], args: argObj, value: unnamedArg };
+    /**
+     * Gets the registered command and its arguments from a parsed command.
+     * @param {import('./slash-command-parser.js').CommandNode} node Command node
+     * @returns {{command: object, args: object, value: string|SlashCommandClosure|undefined}|false} Command or false if it is not registered
+     */
+    resolve(node) {
+        const excludedFromRegex = ["sendas"];
+        const command = this.commands[node.name];
+
+        if (!command) {
+            return false;
         }
 
-        return false;
+        let unnamedArg = node.value;
+
+        // Excluded commands format in their own function
+        if (typeof unnamedArg === 'string' && !excludedFromRegex.includes(node.name)) {
+            unnamedArg = getRegexedString(
+                unnamedArg,
+                regex_placement.SLASH_COMMAND
+            );
+        }
+
+        return { command, args: { ...node.args }, value: unnamedArg };
+    }
+
+    /**
+     * Parses a single command.
+     * @param {string} text Command text
+     * @returns {{command: object, args: object, value: string|SlashCommandClosure|undefined}|false} Command or false if it is not registered
+     */
+    parse(text) {
+        const node = this.parseScript(text).find(x => x.type === 'command');
+        return node?.type === 'command' ? this.resolve(node) : false;
     }
 
     getHelpString() {
@@ -127,12 +306,17 @@ class SlashCommandParser {
         return `<p>Slash commands:</p><ol>${listItems}</ol>
         <small>Slash commands can be batched into a single input by adding a pipe character | at the end, and then writing a new slash command.</small>
         <ul><li><small>Example:</small><code>/cut 1 | /sys Hello, | /continue</code></li>
-        <li>This will remove the first message in chat, send a system message that starts with 'Hello,', and then ask the AI to continue the message.</li></ul>`;
+        <li>This will remove the first message in chat, send a system message that starts with 'Hello,', and then ask the AI to continue the message.</li></ul>
+        <small>A command that starts on a new line doesn't need a pipe before it. Commands can be grouped into closures with <code>{: ... :}</code> and passed to other commands, closures can be nested. Use a backslash to write a literal special character: <code>\\|</code>, <code>\\{</code>, <code>\\}</code>, <code>\\"</code>, <code>\\:</code>, <code>\\\\</code>.</small>
+        <small>Use <code>{{pipe}}</code> to insert the result of the previous command into an argument. Some commands pass objects down the pipe, read their fields with <code>{{pipe.field}}</code>, e.g. <code>{{pipe.error}}</code>. JSON text works the same way.</small>
+        <ul><li><small>Example:</small><code>/if left=score right=10 rule=gte else={: /echo Keep trying :} {: /echo You win | /sys Game over :}</code></li></ul>`;
     }
 }
 
 const parser = new SlashCommandParser();
 const registerSlashCommand = parser.addCommand.bind(parser);
+const unregisterSlashCommand = parser.removeCommand.bind(parser);
+const isSlashCommandRegistered = parser.hasCommand.bind(parser);
 const getSlashCommandsHelp = parser.getHelpString.bind(parser);
 
 parser.addCommand('?', helpCommandCallback, ['help'], ' – get help on macros, chat formatting and commands', true, true);
@@ -140,20 +324,21 @@ parser.addCommand('name', setNameCallback, ['persona'], '<span class="monospace"
 parser.addCommand('sync', syncCallback, [], ' – syncs user name in user-attributed messages in the current chat', true, true);
 parser.addCommand('lock', bindCallback, ['bind'], ' – locks/unlocks a persona (name and avatar) to the current chat', true, true);
 parser.addCommand('bg', setBackgroundCallback, ['background'], '<span class="monospace">(filename)</span> – sets a background according to filename, partial names allowed', false, true);
-parser.addCommand('sendas', sendMessageAs, [], ` – sends message as a specific character. Uses character avatar if it exists in the characters list. Example that will send "Hello, guys!" from "Chloe": <tt>/sendas name="Chloe" Hello, guys!</tt>`, true, true);
+parser.addCommand('sendas', sendMessageAs, [], ` – sends message as a specific character. Uses character avatar if it exists in the characters list. Example that will send "Hello, guys!" from "Chloe": <tt>/sendas name="Chloe" Hello, guys!</tt>`, true, true, { named: [{ name: 'name', type: ARGUMENT_TYPE.CHARACTER, required: true }] });
 parser.addCommand('sys', sendNarratorMessage, ['nar'], '<span class="monospace">(text)</span> – sends message as a system narrator', false, true);
 parser.addCommand('sysname', setNarratorName, [], '<span class="monospace">(name)</span> – sets a name for future system narrator messages in this chat (display only). Default: System. Leave empty to reset.', true, true);
 parser.addCommand('comment', sendCommentMessage, [], '<span class="monospace">(text)</span> – adds a note/comment message not part of the chat', false, true);
 parser.addCommand('single', setStoryModeCallback, ['story'], ' – sets the message style to single document mode without names or avatars visible', true, true);
 parser.addCommand('bubble', setBubbleModeCallback, ['bubbles'], ' – sets the message style to bubble chat mode', true, true);
 parser.addCommand('flat', setFlatModeCallback, ['default'], ' – sets the message style to flat chat mode', true, true);
-parser.addCommand('continue', continueChatCallback, ['cont'], ' – continues the last message in the chat', true, true);
-parser.addCommand('go', goToCharacterCallback, ['char'], '<span class="monospace">(name)</span> – opens up a chat with the character by its name', true, true);
+parser.addCommand('continue', continueChatCallback, ['cont'], ' – continues the last message in the chat. Inside /while, /times and /foreach loops, skips to the next iteration instead', true, true);
+parser.addCommand('go', goToCharacterCallback, ['char'], '<span class="monospace">(name)</span> – opens up a chat with the character by its name', true, true, { unnamed: { type: ARGUMENT_TYPE.CHARACTER } });
 parser.addCommand('sysgen', generateSystemMessage, [], '<span class="monospace">(prompt)</span> – generates a system message using a specified prompt', true, true);
 parser.addCommand('ask', askCharacter, [], '<span class="monospace">(prompt)</span> – asks a specified character card a prompt', true, true);
 parser.addCommand('delname', deleteMessagesByNameCallback, ['cancel'], '<span class="monospace">(name)</span> – deletes all messages attributed to a specified name', true, true);
 parser.addCommand('send', sendUserMessageCallback, ['add'], '<span class="monospace">(text)</span> – adds a user message to the chat log without triggering a generation', true, true);
 parser.addCommand('trigger', triggerGroupMessageCallback, [], '<span class="monospace">(member index or name)</span> – triggers a message generation for the specified group member', true, true);
+parser.addCommand('compare', compareGroupMessagesCallback, [], '<span class="monospace">(member indexes or names, comma-separated)</span> – triggers a reply from each of the specified group members to the same turn. The first reply is shown, the others are kept as its swipes, e.g. <tt>/compare Alice, Bob, 3</tt>', true, true);
 parser.addCommand('hide', hideMessageCallback, [], '<span class="monospace">(message index or range)</span> – hides a chat message from the prompt', true, true);
 parser.addCommand('unhide', unhideMessageCallback, [], '<span class="monospace">(message index or range)</span> – unhides a message from the prompt', true, true);
 parser.addCommand('disable', disableGroupMemberCallback, [], '<span class="monospace">(member index or name)</span> – disables a group member from being drafted for replies', true, true);
@@ -165,23 +350,31 @@ parser.addCommand('memberdown', moveGroupMemberDownCallback, ['downmember'], '<s
 parser.addCommand('peek', peekCallback, [], '<span class="monospace">(message index or range)</span> – shows a group member character card without switching chats', true, true);
 parser.addCommand('delswipe', deleteSwipeCallback, ['swipedel'], '<span class="monospace">(optional 1-based id)</span> – deletes a swipe from the last chat message. If swipe id not provided - deletes the current swipe.', true, true);
 parser.addCommand('echo', echoCallback, [], '<span class="monospace">(text)</span> – echoes the text to toast message. Useful for pipes debugging.', true, true);
-parser.addCommand('gen', generateCallback, [], '<span class="monospace">(lock=on/off [prompt])</span> – generates text using the provided prompt and passes it to the next command through the pipe, optionally locking user input while generating.', true, true);
-parser.addCommand('genraw', generateRawCallback, [], '<span class="monospace">(lock=on/off [prompt])</span> – generates text using the provided prompt and passes it to the next command through the pipe, optionally locking user input while generating. Does not include chat history or character card. Use instruct=off to skip instruct formatting, e.g. <tt>/genraw instruct=off Why is the sky blue?</tt>. Use stop=... with a JSON-serialized array to add one-time custom stop strings, e.g. <tt>/genraw stop=["\\n"] Say hi</tt>', true, true);
+parser.addCommand('gen', generateCallback, [], '<span class="monospace">(lock=on/off [prompt])</span> – generates text using the provided prompt and passes it to the next command through the pipe, optionally locking user input while generating.', true, true, { named: [{ name: 'lock', type: ARGUMENT_TYPE.BOOLEAN }] });
+parser.addCommand('genraw', generateRawCallback, [], '<span class="monospace">(lock=on/off [prompt])</span> – generates text using the provided prompt and passes it to the next command through the pipe, optionally locking user input while generating. Does not include chat history or character card. Use instruct=off to skip instruct formatting, e.g. <tt>/genraw instruct=off Why is the sky blue?</tt>. Use stop=... with a JSON-serialized array to add one-time custom stop strings, e.g. <tt>/genraw stop=["\\n"] Say hi</tt>', true, true, { named: [{ name: 'lock', type: ARGUMENT_TYPE.BOOLEAN }, { name: 'instruct', type: ARGUMENT_TYPE.BOOLEAN }, { name: 'stop', type: ARGUMENT_TYPE.STRING }] });
 parser.addCommand('addswipe', addSwipeCallback, ['swipeadd'], '<span class="monospace">(text)</span> – adds a swipe to the last chat message.', true, true);
 parser.addCommand('abort', abortCallback, [], ' – aborts the slash command batch execution', true, true);
-parser.addCommand('fuzzy', fuzzyCallback, [], 'list=["a","b","c"] (search value) – performs a fuzzy match of the provided search using the provided list of value and passes the closest match to the next command through the pipe.', true, true);
+parser.addCommand('fuzzy', fuzzyCallback, [], 'list=["a","b","c"] (search value) – performs a fuzzy match of the provided search using the provided list of value and passes the closest match to the next command through the pipe.', true, true, { named: [{ name: 'list', type: ARGUMENT_TYPE.STRING, required: true }] });
+parser.addCommand('try', tryCallback, [], '<span class="monospace">[catch={: commands :}] {: commands :}</span> – run the commands and, if one of them fails, run the catch commands instead of stopping the script. The catch commands get the error message as <tt>{{pipe.error}}</tt> and the name of the failed command as <tt>{{pipe.command}}</tt>. Without catch, the error object is passed down the pipe, e.g. <tt>/try catch={: /echo Generation failed: {{pipe.error}} :} {: /gen Describe the room | /sys {{pipe}} :}</tt>', true, true, { named: [{ name: 'catch', type: ARGUMENT_TYPE.STRING }] });
+parser.addCommand('throw', throwCallback, [], '<span class="monospace">(message)</span> – stop the script with an error that can be caught with /try, e.g. <tt>/if left=gold right=10 rule=lt {: /throw Not enough gold :}</tt>', true, true);
 parser.addCommand('pass', (_, arg) => arg, ['return'], '<span class="monospace">(text)</span> – passes the text to the next command through the pipe.', true, true);
-parser.addCommand('delay', delayCallback, ['wait', 'sleep'], '<span class="monospace">(milliseconds)</span> – delays the next command in the pipe by the specified number of milliseconds.', true, true);
+parser.addCommand('delay', delayCallback, ['wait', 'sleep'], '<span class="monospace">(milliseconds)</span> – delays the next command in the pipe by the specified number of milliseconds.', true, true, { unnamed: { type: ARGUMENT_TYPE.NUMBER } });
 parser.addCommand('input', inputCallback, ['prompt'], '<span class="monospace">(prompt)</span> – shows a popup with the provided prompt and passes the user input to the next command through the pipe.', true, true);
-parser.addCommand('run', runCallback, ['call', 'exec'], '<span class="monospace">(QR label)</span> – runs a Quick Reply with the specified name from the current preset.', true, true);
-parser.addCommand('messages', getMessagesCallback, ['message'], '<span class="monospace">(names=off/on [message index or range])</span> – returns the specified message or range of messages as a string.', true, true);
+parser.addCommand('run', runCallback, ['call', 'exec'], '<span class="monospace">(QR label)</span> – runs a Quick Reply with the specified name from the current preset.', true, true, { unnamed: { type: ARGUMENT_TYPE.QUICK_REPLY } });
+parser.addCommand('messages', getMessagesCallback, ['message'], '<span class="monospace">(names=off/on [message index or range])</span> – returns the specified message or range of messages as a string.', true, true, { named: [{ name: 'names', type: ARGUMENT_TYPE.BOOLEAN }] });
 parser.addCommand('setinput', setInputCallback, [], '<span class="monospace">(text)</span> – sets the user input to the specified text and passes it to the next command through the pipe.', true, true);
 parser.addCommand('popup', popupCallback, [], '<span class="monospace">(text)</span> – shows a blocking popup with the specified text.', true, true);
-parser.addCommand('buttons', buttonsCallback, [], '<span class="monospace">labels=["a","b"] (text)</span> – shows a blocking popup with the specified text and buttons. Returns the clicked button label into the pipe or empty string if canceled.', true, true);
-parser.addCommand('trimtokens', trimTokensCallback, [], '<span class="monospace">limit=number (direction=start/end [text])</span> – trims the start or end of text to the specified number of tokens.', true, true);
+parser.addCommand('buttons', buttonsCallback, [], '<span class="monospace">labels=["a","b"] (text)</span> – shows a blocking popup with the specified text and buttons. Returns the clicked button label into the pipe or empty string if canceled.', true, true, { named: [{ name: 'labels', type: ARGUMENT_TYPE.STRING, required: true }] });
+parser.addCommand('trimtokens', trimTokensCallback, [], '<span class="monospace">limit=number (direction=start/end [text])</span> – trims the start or end of text to the specified number of tokens.', true, true, { named: [{ name: 'limit', type: ARGUMENT_TYPE.STRING, required: true }, { name: 'direction', type: ARGUMENT_TYPE.ENUM, enumList: ['start', 'end'] }] });
 parser.addCommand('trimstart', trimStartCallback, [], '<span class="monospace">(text)</span> – trims the text to the start of the first full sentence.', true, true);
 parser.addCommand('trimend', trimEndCallback, [], '<span class="monospace">(text)</span> – trims the text to the end of the last full sentence.', true, true);
 registerVariableCommands();
+registerUserCommands();
+registerEventScriptCommands();
+registerSchedulerCommands();
+registerSceneCommands();
+registerWhisperCommands();
+registerDebuggerCommands();
 
 const NARRATOR_NAME_KEY = 'narrator_name';
 const NARRATOR_NAME_DEFAULT = 'System';
@@ -879,6 +1072,31 @@ async function triggerGroupMessageCallback(_, arg) {
     Generate('normal', { force_chid: chid });
 }
 
+async function compareGroupMessagesCallback(_, arg) {
+    if (!selected_group) {
+        toastr.warning("Cannot run /compare command outside of a group chat.");
+        return;
+    }
+
+    if (is_group_generating) {
+        toastr.warning("Cannot run compare command while the group reply is generating.");
+        return;
+    }
+
+    const names = String(arg ?? '').split(',').map(x => x.trim()).filter(x => x);
+    const chids = [...new Set(names.map(x => findGroupMemberId(x)).filter(x => x !== undefined))];
+
+    if (chids.length < 2) {
+        toastr.warning('Specify at least two group members to compare, e.g. /compare Alice, Bob');
+        return;
+    }
+
+    // Prevent generate recursion
+    $('#send_textarea').val('').trigger('input');
+
+    Generate('normal', { force_candidates: chids });
+}
+
 async function sendUserMessageCallback(_, text) {
     if (!text) {
         console.warn('WARN: No text provided for /send command');
@@ -966,6 +1184,9 @@ function openChat(id) {
 }
 
 function continueChatCallback() {
+    // Inside loops, skips to the next iteration
+    continueLoop();
+
     // Prevent infinite recursion
     $('#send_textarea').val('').trigger('input');
     $('#option_continue').trigger('click', { fromSlashCommand: true });
@@ -1265,48 +1486,92 @@ function setBackgroundCallback(_, bg) {
 }
 
 /**
- * Executes slash commands in the provided text
- * @param {string} text Slash command text
- * @param {boolean} unescape Whether to unescape the batch separator
- * @returns {Promise<{interrupt: boolean, newText: string, pipe: string} | boolean>}
+ * Converts a pipe value to text. Objects are converted to JSON.
+ * @param {any} value Pipe value
+ * @returns {string} Text
  */
-async function executeSlashCommands(text, unescape = false) {
-    if (!text) {
-        return false;
+function stringifyPipe(value) {
+    if (value === undefined || value === null) {
+        return '';
     }
 
-    // Unescape the pipe character and macro braces
-    if (unescape) {
-        text = text.replace(/\\\|/g, '|');
-        text = text.replace(/\\\{/g, '{');
-        text = text.replace(/\\\}/g, '}');
+    return typeof value === 'object' && !(value instanceof SlashCommandClosure) ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Gets a field of a pipe value, e.g. "error" or "items.0.name". Text pipes are parsed as JSON.
+ * @param {any} pipe Pipe value
+ * @param {string} path Dot-separated field path
+ * @returns {string} Field value as text, empty string if it doesn't exist
+ */
+function getPipeField(pipe, path) {
+    let value = pipe;
+
+    if (typeof value === 'string') {
+        try {
+            value = JSON.parse(value);
+        } catch {
+            return '';
+        }
     }
 
-    // Hack to allow multi-line slash commands
-    // All slash command messages should begin with a slash
-    const placeholder = '\u200B'; // Use a zero-width space as a placeholder
-    const chars = text.split('');
-    for (let i = 1; i < chars.length; i++) {
-        if (chars[i] === '|' && chars[i - 1] !== '\\') {
-            chars[i] = placeholder;
+    for (const key of path.split('.')) {
+        if (value === undefined || value === null || typeof value !== 'object' || !Object.hasOwn(value, key)) {
+            return '';
         }
+
+        value = value[key];
     }
-    const lines = chars.join('').split(placeholder).map(line => line.trim());
-    const linesToRemove = [];
 
-    let interrupt = false;
-    let pipeResult = '';
+    return stringifyPipe(value);
+}
 
-    for (let index = 0; index < lines.length; index++) {
-        const trimmedLine = lines[index].trim();
+/**
+ * Replaces the {{pipe}} and {{pipe.field}} macros with the result of the previous command.
+ * @param {string} text Text with macros
+ * @param {any} pipe Pipe value
+ * @returns {string} Text with the macros replaced
+ */
+function substitutePipe(text, pipe) {
+    return text.replace(/{{pipe(?:\.([\w.]+))?}}/gi, (_, path) => (path ? getPipeField(pipe, path) : stringifyPipe(pipe)));
+}
 
-        if (!trimmedLine.startsWith('/')) {
-            continue;
-        }
+/**
+ * Wraps an error thrown by a command, so /try can catch it and tell which command failed.
+ * Loop signals and script aborts are passed as is.
+ * @param {any} error Thrown value
+ * @param {string} command Command name
+ * @returns {any} Error to throw
+ */
+function toSlashCommandError(error, command) {
+    if (error instanceof SlashCommandError || error instanceof SlashCommandAbortError || error instanceof LoopControlSignal) {
+        return error;
+    }
 
-        const result = parser.parse(trimmedLine);
+    const message = error instanceof Error ? error.message : String(error ?? '');
+    return new SlashCommandError(message || `/${command} failed`, command);
+}
+
+/**
+ * Executes the parsed commands in order, passing the result of each command to the next one.
+ * Commands can pass objects down the pipe, the next command reads their fields with {{pipe.field}}.
+ * @param {import('./slash-command-parser.js').ScriptNode[]} nodes Parsed script
+ * @param {string} script Whole script text, used by the debugger
+ * @param {any} pipe Initial pipe value, e.g. the error passed to the catch closure of /try
+ * @returns {Promise<{interrupt: boolean, newText: string, pipe: any}>} Execution result
+ * @throws {SlashCommandError} If a command fails
+ */
+async function executeScriptNodes(nodes, script = '', pipe = '') {
+    const linesToKeep = [];
+
+    let interrupt = false;
+    let pipeResult = pipe;
+
+    for (const node of nodes) {
+        const result = node.type === 'command' && parser.resolve(node);
 
         if (!result) {
+            linesToKeep.push(node.source.trim());
             continue;
         }
 
@@ -1315,60 +1580,324 @@ async function executeSlashCommands(text, unescape = false) {
         }
 
         console.debug('Slash command executing:', result);
-        let unnamedArg = result.value || pipeResult;
+        let unnamedArg = result.value || (typeof pipeResult === 'object' ? stringifyPipe(pipeResult) : pipeResult);
 
         if (typeof result.args === 'object') {
             for (let [key, value] of Object.entries(result.args)) {
                 if (typeof value === 'string') {
-                    value = substituteParams(value.trim());
-
-                    if (/{{pipe}}/i.test(value)) {
-                        value = value.replace(/{{pipe}}/i, pipeResult || '');
-                    }
-
+                    value = substitutePipe(substituteParams(value.trim()), pipeResult);
                     result.args[key] = value;
                 }
             }
         }
 
-        if (typeof unnamedArg === 'string' && /{{pipe}}/i.test(unnamedArg)) {
-            unnamedArg = unnamedArg.replace(/{{pipe}}/i, pipeResult || '');
+        if (typeof unnamedArg === 'string') {
+            unnamedArg = substitutePipe(unnamedArg, pipeResult);
         }
 
-        pipeResult = await result.command.callback(result.args, unnamedArg);
+        await pauseBeforeCommand({ node, args: result.args, value: unnamedArg, pipe: pipeResult, script });
+
+        try {
+            pipeResult = await result.command.callback(result.args, unnamedArg);
+        } catch (error) {
+            throw toSlashCommandError(error, node.name);
+        }
 
         if (result.command.interruptsGeneration) {
             interrupt = true;
         }
 
-        if (result.command.purgeFromMessage) {
-            linesToRemove.push(lines[index]);
+        if (!result.command.purgeFromMessage) {
+            linesToKeep.push(node.source.trim());
         }
     }
 
-    const newText = lines.filter(x => linesToRemove.indexOf(x) === -1).join('\n');
+    const newText = linesToKeep.filter(x => x).join('\n');
 
     return { interrupt, newText, pipe: pipeResult };
 }
 
+/**
+ * Executes the commands of a closure.
+ * @param {SlashCommandClosure} closure Closure passed to a command
+ * @param {any} pipe Initial pipe value
+ * @returns {Promise<{interrupt: boolean, newText: string, pipe: any}>} Execution result
+ */
+async function executeSlashCommandsClosure(closure, pipe = '') {
+    return await executeScriptNodes(closure.nodes, closure.script, pipe);
+}
+
+/**
+ * Runs the commands and catches their failures. The error is passed to the catch closure as {{pipe.error}}
+ * and the name of the failed command as {{pipe.command}}.
+ * @param {object} args Named arguments
+ * @param {SlashCommandClosure} value Commands to run
+ * @returns {Promise<any>} Result of the commands, of the catch closure, or the error object if there's no catch closure
+ */
+async function tryCallback(args, value) {
+    if (!(value instanceof SlashCommandClosure)) {
+        toastr.warning('Provide the commands to run in a closure, e.g. /try {: /gen Hello :}', 'Invalid command');
+        return '';
+    }
+
+    try {
+        const result = await executeSlashCommandsClosure(value);
+        return result.pipe;
+    } catch (error) {
+        if (!(error instanceof SlashCommandError)) {
+            throw error;
+        }
+
+        console.warn(`/try caught a failure of /${error.command}`, error);
+        const failure = { error: error.message, command: error.command };
+
+        if (args.catch instanceof SlashCommandClosure) {
+            const result = await executeSlashCommandsClosure(args.catch, failure);
+            return result.pipe;
+        }
+
+        return failure;
+    }
+}
+
+/**
+ * Fails with an error that can be caught with /try.
+ * @param {object} _ Named arguments
+ * @param {string} value Error message
+ * @throws {SlashCommandError} Always
+ */
+function throwCallback(_, value) {
+    throw new SlashCommandError(stringifyPipe(value) || 'Error thrown by the script', 'throw');
+}
+
+/**
+ * Number of scripts that are running, including the nested ones.
+ */
+let scriptDepth = 0;
+
+/**
+ * Waits until no script is running. Scripts started by timers wait for the running one,
+ * because variable scopes and loops of a script paused on e.g. /delay would get mixed up.
+ */
+export async function waitForRunningScripts() {
+    while (scriptDepth > 0) {
+        await delay(100);
+    }
+}
+
+/**
+ * Executes slash commands in the provided text.
+ * Failures of the outermost script are shown to the user instead of being thrown.
+ * @param {string} text Slash command text
+ * @param {boolean} unescape Whether to unescape the batch separator
+ * @param {boolean} shareLoops Run as a part of the calling script, e.g. a quoted loop body, so /break and /continue reach its loops
+ * @returns {Promise<{interrupt: boolean, newText: string, pipe: string} | boolean>}
+ */
+async function executeSlashCommands(text, unescape = false, shareLoops = false) {
+    if (!text) {
+        return false;
+    }
+
+    // Unescape the pipe character and macro braces
+    if (unescape) {
+        text = text.replace(/\\\|/g, '|');
+        text = text.replace(/\\\{/g, '{');
+        text = text.replace(/\\\}/g, '}');
+    }
+
+    let nodes;
+
+    try {
+        nodes = parser.parseScript(text);
+        parser.validate(nodes, text);
+    } catch (error) {
+        if (!(error instanceof SlashCommandSyntaxError)) {
+            throw error;
+        }
+
+        // Keep the script in the input to let the user fix it
+        toastr.error(error.message, 'Slash command syntax error');
+        return { interrupt: true, newText: text, pipe: '' };
+    }
+
+    scriptDepth++;
+
+    if (scriptDepth === 1) {
+        beginScriptDebugging();
+    }
+
+    if (!shareLoops) {
+        beginScriptLoops();
+    }
+
+    try {
+        return await executeScriptNodes(nodes, text);
+    } catch (error) {
+        // Errors of nested scripts are passed to the enclosing script, so /try can catch them
+        if (scriptDepth > 1 || !(error instanceof SlashCommandError || error instanceof SlashCommandAbortError || error instanceof LoopControlSignal)) {
+            throw error;
+        }
+
+        toastr.error(error.message, error instanceof SlashCommandError ? `/${error.command} failed` : 'Slash command script stopped');
+        return { interrupt: true, newText: '', pipe: '' };
+    } finally {
+        if (!shareLoops) {
+            endScriptLoops();
+        }
+
+        scriptDepth--;
+
+        if (scriptDepth === 0) {
+            endScriptDebugging();
+        }
+    }
+}
+
+/**
+ * Gets the command that is being typed at the end of the text.
+ * @param {string} text Script text
+ * @returns {{start: number, name: string, rest: string}|null} Position of the command, its name and the text after the name
+ */
+function getCommandAtEnd(text) {
+    // Commands start after a pipe, a line break or the opening of a closure
+    const closureStart = text.lastIndexOf('{:');
+    const start = Math.max(text.lastIndexOf('|') + 1, text.lastIndexOf('\n') + 1, closureStart === -1 ? 0 : closureStart + 2);
+    const match = /^(\s*)\/(\S*)(\s[\s\S]*)?$/.exec(text.slice(start));
+
+    if (!match) {
+        return null;
+    }
+
+    return { start: start + match[1].length, name: match[2], rest: match[3] ?? '' };
+}
+
+/**
+ * Gets the autocomplete suggestions for the text: command names, argument names or argument values.
+ * @param {string} text Script text, the cursor is assumed to be at the end
+ * @returns {{label: string, value: string}[]} Suggestions with the completed text as the value
+ */
+function getSlashCommandSuggestions(text) {
+    const current = getCommandAtEnd(text);
+
+    if (!current) {
+        return [];
+    }
+
+    // Command name
+    if (!current.rest) {
+        const prefix = text.slice(0, current.start);
+        return Object
+            .keys(parser.helpStrings)
+            .filter(x => x.startsWith(current.name.toLowerCase()))
+            .sort((a, b) => a.localeCompare(b))
+            .map(x => ({ label: parser.helpStrings[x], value: `${prefix}/${x} ` }));
+    }
+
+    const command = parser.commands[current.name];
+
+    if (!command) {
+        return [];
+    }
+
+    const word = /(\S*)$/.exec(current.rest)[1];
+    const prefix = text.slice(0, text.length - word.length);
+    const quote = (value) => /\s/.test(value) ? `"${value}"` : value;
+    const startsWith = (value, start) => String(value).toLowerCase().startsWith(start.toLowerCase());
+    const separatorIndex = word.indexOf('=');
+
+    // Value of a named argument
+    if (separatorIndex !== -1) {
+        const name = word.slice(0, separatorIndex);
+        const partial = word.slice(separatorIndex + 1).replace(/^"/, '');
+        const argument = command.namedArgs.find(x => x.name === name || x.aliases?.includes(name));
+
+        return parser.getArgumentValues(argument)
+            .filter(x => startsWith(x, partial))
+            .map(x => ({ label: escapeHtml(x), value: `${prefix}${name}=${quote(x)} ` }));
+    }
+
+    // Names of the arguments that are not specified yet and values of the unnamed argument
+    const usedArgs = [...current.rest.matchAll(/(?:^|\s)(\w+)=/g)].map(x => x[1]);
+    const namedArgs = command.namedArgs
+        .filter(x => ![x.name, ...(x.aliases ?? [])].some(y => usedArgs.includes(y)) && startsWith(x.name, word))
+        .map(x => ({ label: `<span class="monospace">${x.name}=</span> <small>${x.type}${x.required ? ', required' : ''}</small>`, value: `${prefix}${x.name}=` }));
+    const unnamedValues = word
+        ? parser.getArgumentValues(command.unnamedArg).filter(x => startsWith(x, word)).map(x => ({ label: escapeHtml(x), value: `${prefix}${x}` }))
+        : [];
+
+    return [...namedArgs, ...unnamedValues];
+}
+
+/**
+ * Highlights the parts of a script: commands, argument names, strings, closures, macros and pipes.
+ * @param {string} text Script text
+ * @returns {string} HTML
+ */
+function highlightSlashCommands(text) {
+    const pattern = /(\\[|{}":\\])|(\{:|:\})|(\{\{.*?\}\})|((?<=(?:^|[|\n]|\{:)[ \t]*)\/[^\s|]+)|((?<=\s)\w+=)|("(?:\\.|[^"\\\n])*")|(\|)/g;
+    const classes = ['escape', 'closure', 'macro', 'command', 'argument', 'string', 'pipe'];
+    let html = '';
+    let position = 0;
+
+    for (const match of text.matchAll(pattern)) {
+        let type = classes[match.slice(1).findIndex(x => x !== undefined)];
+
+        if (type === 'command' && !parser.hasCommand(match[0].slice(1))) {
+            type = 'unknown';
+        }
+
+        html += escapeHtml(text.slice(position, match.index));
+        html += `<span class="slash_command_hint_${type}">${escapeHtml(match[0])}</span>`;
+        position = match.index + match[0].length;
+    }
+
+    return html + escapeHtml(text.slice(position));
+}
+
+/**
+ * Shows the highlighted script, the help of the command being typed and the validation errors under the input.
+ */
+function renderSlashCommandHint() {
+    const text = String($('#send_textarea').val());
+    const hint = $('#slash_command_hint');
+
+    if (!text.startsWith('/')) {
+        hint.addClass('displayNone').empty();
+        return;
+    }
+
+    let status = '';
+
+    try {
+        parser.validate(parser.parseScript(text), text);
+        const current = getCommandAtEnd(text);
+        const command = current && parser.commands[current.name];
+
+        if (command) {
+            status = `<div class="slash_command_hint_help">${parser.helpStrings[current.name] ?? `<span class="monospace">/${escapeHtml(current.name)}</span> ${command.helpString}`}</div>`;
+        }
+    } catch (error) {
+        if (!(error instanceof SlashCommandSyntaxError)) {
+            throw error;
+        }
+
+        status = `<div class="slash_command_hint_error">${escapeHtml(error.message)}</div>`;
+    }
+
+    hint.html(DOMPurify.sanitize(`<div class="slash_command_hint_script">${highlightSlashCommands(text)}</div>${status}`));
+    hint.removeClass('displayNone');
+}
+
 function setSlashCommandAutocomplete(textarea) {
     textarea.autocomplete({
         source: (input, output) => {
-            // Only show for slash commands and if there's no space
-            if (!input.term.startsWith('/') || input.term.includes(' ')) {
+            // Only show for slash commands
+            if (!input.term.startsWith('/')) {
                 output([]);
                 return;
             }
 
-            const slashCommand = input.term.toLowerCase().substring(1); // Remove the slash
-            const result = Object
-                .keys(parser.helpStrings) // Get all slash commands
-                .filter(x => x.startsWith(slashCommand)) // Filter by the input
-                .sort((a, b) => a.localeCompare(b)) // Sort alphabetically
-                // .slice(0, 20) // Limit to 20 results
-                .map(x => ({ label: parser.helpStrings[x], value: `/${x} ` })); // Map to the help string
-
-            output(result); // Return the results
+            output(getSlashCommandSuggestions(input.term));
         },
         select: (e, u) => {
             // unfocus the input
@@ -1388,4 +1917,5 @@ function setSlashCommandAutocomplete(textarea) {
 jQuery(function () {
     const textarea = $('#send_textarea');
     setSlashCommandAutocomplete(textarea);
+    textarea.on('input', debounce(renderSlashCommandHint, 200));
 })
@@ -0,0 +1,258 @@
+/**
+ * User-defined slash commands (/define). A definition is a script that runs with its arguments as local variables.
+ * Definitions are stored globally or in the current Quick Reply preset.
+ */
+
+import { eventSource, event_types, saveSettingsDebounced } from "../script.js";
+import { extension_settings } from "./extensions.js";
+import { ARGUMENT_TYPE, executeSlashCommands, isSlashCommandRegistered, registerSlashCommand, unregisterSlashCommand } from "./slash-commands.js";
+import { escapeHtml } from "./utils.js";
+import { popVariableScope, pushVariableScope } from "./variables.js";
+
+const MAX_CALL_DEPTH = 100;
+
+const DEFINITION_SCOPES = {
+    GLOBAL: 'global',
+    PRESET: 'preset',
+};
+
+/**
+ * @typedef {object} UserCommandDefinition
+ * @property {string} name Command name without the slash
+ * @property {string} args Comma-separated argument names, with optional default values, e.g. "target, mood=calm"
+ * @property {string} description Description shown in /help
+ * @property {string} script Commands to run
+ */
+
+/**
+ * Names of the registered user commands and their scopes.
+ * @type {Map<string, string>}
+ */
+const registeredCommands = new Map();
+
+let callDepth = 0;
+
+/**
+ * Gets the storage of the definitions in the scope.
+ * @param {string} scope Definition scope
+ * @returns {Object<string, UserCommandDefinition>} Definitions by name
+ */
+function getDefinitions(scope) {
+    if (scope === DEFINITION_SCOPES.PRESET) {
+        return extension_settings.quickReply.userCommands ??= {};
+    }
+
+    return extension_settings.user_commands ??= {};
+}
+
+/**
+ * Parses the argument list of a definition.
+ * @param {string} args Comma-separated argument names, with optional default values
+ * @returns {{name: string, value: string}[]} Arguments with default values
+ */
+function parseArgumentList(args) {
+    return String(args ?? '')
+        .split(',')
+        .map(x => x.trim())
+        .filter(x => x)
+        .map(x => {
+            const [name, ...value] = x.split('=');
+            return { name: name.trim(), value: value.join('=').trim() };
+        });
+}
+
+/**
+ * Splits the unnamed argument into words. Quoted parts are kept together.
+ * @param {string} text Unnamed argument
+ * @returns {string[]} Words
+ */
+function splitPositionalArguments(text) {
+    return (String(text ?? '').match(/"[^"]*"|\S+/g) ?? []).map(x => x.replace(/^"(.*)"$/s, '$1'));
+}
+
+/**
+ * Gets the variables of a command call from its arguments.
+ * Named arguments are used as is, the words of the unnamed argument fill the remaining arguments in order.
+ * The last argument takes the rest of the words.
+ * @param {UserCommandDefinition} definition Command definition
+ * @param {object} args Named arguments of the call
+ * @param {string} value Unnamed argument of the call
+ * @returns {Object<string, any>} Variables
+ */
+function getCallVariables(definition, args, value) {
+    const variables = { ...args };
+    const parameters = parseArgumentList(definition.args);
+    const unfilled = parameters.filter(x => !Object.hasOwn(args, x.name));
+    const words = splitPositionalArguments(value);
+
+    unfilled.forEach((parameter, i) => {
+        const isLast = i === unfilled.length - 1;
+        const assigned = isLast ? words.splice(0) : words.splice(0, 1);
+        variables[parameter.name] = assigned.length ? assigned.join(' ') : parameter.value;
+    });
+
+    return variables;
+}
+
+/**
+ * Runs a user-defined command.
+ * @param {UserCommandDefinition} definition Command definition
+ * @param {object} args Named arguments
+ * @param {string} value Unnamed argument
+ * @returns {Promise<string>} Result of the last command of the script
+ */
+async function runUserCommand(definition, args, value) {
+    if (callDepth >= MAX_CALL_DEPTH) {
+        toastr.error(`/${definition.name} was called recursively more than ${MAX_CALL_DEPTH} times.`, 'Command aborted');
+        throw new Error('Maximum call depth exceeded.');
+    }
+
+    callDepth++;
+    pushVariableScope(getCallVariables(definition, args, String(value ?? '')));
+
+    try {
+        const result = await executeSlashCommands(definition.script);
+        return result && typeof result === 'object' ? result.pipe : '';
+    } finally {
+        popVariableScope();
+        callDepth--;
+    }
+}
+
+/**
+ * Gets the help string of a user-defined command.
+ * @param {UserCommandDefinition} definition Command definition
+ * @param {string} scope Definition scope
+ * @returns {string} Help string
+ */
+function getUserCommandHelp(definition, scope) {
+    const args = parseArgumentList(definition.args).map(x => x.value ? `[${x.name}=${x.value}]` : x.name).join(' ');
+    const description = definition.description || 'no description';
+    return `<span class="monospace">${args ? `(${escapeHtml(args)})` : ''}</span> – ${escapeHtml(description)} <i>(user-defined, ${scope})</i>`;
+}
+
+/**
+ * Registers a user-defined command in the parser.
+ * @param {UserCommandDefinition} definition Command definition
+ * @param {string} scope Definition scope
+ */
+function registerUserCommand(definition, scope) {
+    unregisterSlashCommand(definition.name);
+    registerSlashCommand(definition.name, (args, value) => runUserCommand(definition, args, value), [], getUserCommandHelp(definition, scope), true, true);
+    registeredCommands.set(definition.name, scope);
+}
+
+/**
+ * Registers the stored user commands again, e.g. after the settings were loaded or the Quick Reply preset was changed.
+ * Preset commands take precedence over the global ones with the same name.
+ */
+export function reloadUserCommands() {
+    for (const name of registeredCommands.keys()) {
+        unregisterSlashCommand(name);
+    }
+
+    registeredCommands.clear();
+
+    for (const scope of [DEFINITION_SCOPES.GLOBAL, DEFINITION_SCOPES.PRESET]) {
+        for (const definition of Object.values(getDefinitions(scope))) {
+            if (isSlashCommandRegistered(definition.name) && !registeredCommands.has(definition.name)) {
+                console.warn(`User command /${definition.name} is not registered, the name is taken by a built-in command.`);
+                continue;
+            }
+
+            registerUserCommand(definition, scope);
+        }
+    }
+}
+
+/**
+ * Defines a new command or replaces a user-defined one.
+ * @param {object} args Named arguments
+ * @param {any} value Commands to run
+ * @returns {string} Empty string
+ */
+function defineCallback(args, value) {
+    const name = String(args.name ?? '').trim().replace(/^\//, '').toLowerCase();
+    const scope = args.scope === DEFINITION_SCOPES.PRESET ? DEFINITION_SCOPES.PRESET : DEFINITION_SCOPES.GLOBAL;
+    const script = String(value ?? '').trim();
+
+    if (!/^[\w-]+$/.test(name)) {
+        toastr.warning('Command name must be letters, digits, underscores or dashes.', 'Invalid command name');
+        return '';
+    }
+
+    if (isSlashCommandRegistered(name) && !registeredCommands.has(name)) {
+        toastr.warning(`/${name} is a built-in command and can't be redefined.`, 'Invalid command name');
+        return '';
+    }
+
+    if (!script) {
+        toastr.warning('No commands to run were provided.', 'Invalid definition');
+        return '';
+    }
+
+    // Moving a command to another scope removes it from the previous one
+    for (const definitionScope of Object.values(DEFINITION_SCOPES)) {
+        delete getDefinitions(definitionScope)[name];
+    }
+
+    /** @type {UserCommandDefinition} */
+    const definition = {
+        name,
+        args: String(args.args ?? ''),
+        description: String(args.description ?? args.help ?? ''),
+        script,
+    };
+
+    const previousScope = registeredCommands.get(name);
+    getDefinitions(scope)[name] = definition;
+    registerUserCommand(definition, scope);
+    saveDefinitions(scope, previousScope);
+    return '';
+}
+
+/**
+ * Saves the settings. Preset definitions are saved with the Quick Reply preset by the Quick Reply extension.
+ * @param {...string} scopes Changed definition scopes
+ */
+function saveDefinitions(...scopes) {
+    saveSettingsDebounced();
+
+    if (scopes.includes(DEFINITION_SCOPES.PRESET)) {
+        eventSource.emit(event_types.USER_COMMANDS_UPDATED, DEFINITION_SCOPES.PRESET);
+    }
+}
+
+/**
+ * Removes a user-defined command.
+ * @param {object} _ Named arguments
+ * @param {string} value Command name
+ * @returns {string} Empty string
+ */
+function undefineCallback(_, value) {
+    const name = String(value ?? '').trim().replace(/^\//, '').toLowerCase();
+
+    if (!registeredCommands.has(name)) {
+        toastr.warning(`/${name} is not a user-defined command.`, 'Command not found');
+        return '';
+    }
+
+    for (const scope of Object.values(DEFINITION_SCOPES)) {
+        delete getDefinitions(scope)[name];
+    }
+
+    const scope = registeredCommands.get(name);
+    unregisterSlashCommand(name);
+    registeredCommands.delete(name);
+    saveDefinitions(scope);
+    return '';
+}
+
+export function registerUserCommands() {
+    registerSlashCommand('define', defineCallback, ['func'], '<span class="monospace">name=command [args=arg1,arg2=default] [description=text] [scope=global/preset] {: commands :}</span> – define a new slash command that runs the commands and passes the result of the last one down the pipe. Arguments are available as local variables while it runs, passed by name or in order of the list, e.g. <tt>/define name=greet args=target,mood=happy description="Greets someone" {: /echo Hello, {{getvar::target}}! You look {{getvar::mood}}. :}</tt> and then <tt>/greet mood=sad Alice</tt>. Global commands are stored in the settings, preset commands are saved with the current Quick Reply preset.', true, true, { named: [{ name: 'name', type: ARGUMENT_TYPE.STRING, required: true }, { name: 'scope', type: ARGUMENT_TYPE.ENUM, enumList: Object.values(DEFINITION_SCOPES) }] });
+    registerSlashCommand('undefine', undefineCallback, [], '<span class="monospace">(command)</span> – remove a user-defined command, e.g. <tt>/undefine greet</tt>', true, true, { unnamed: { type: ARGUMENT_TYPE.STRING, enumList: () => [...registeredCommands.keys()] } });
+}
+
+jQuery(() => {
+    eventSource.on(event_types.EXTENSION_SETTINGS_LOADED, reloadUserCommands);
+});
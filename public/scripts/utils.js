@@ -661,7 +661,7 @@ export function splitRecursive(input, length, delimiters = ['\n\n', '\n', ' ', '
 
     const flatParts = parts.flatMap(p => {
         if (p.length < length) return p;
-        return splitRecursive(input, length, delimiters.slice(1));
+        return splitRecursive(p, length, delimiters.slice(1));
     });
 
     // Merge short chunks
@@ -738,6 +738,51 @@ export function escapeRegex(string) {
     return string.replace(/[/\-\\^$*+?.()|[\]{}]/g, '\\$&');
 }
 
+/**
+ * Creates a regular expression from a string written as a literal, e.g. /dragons?/i.
+ * Originally from: https://github.com/IonicaBizau/regex-parser.js/blob/master/lib/index.js
+ * @param {string} input Regular expression literal
+ * @returns {RegExp|undefined} Regular expression or undefined if it is invalid
+ */
+export function regexFromString(input) {
+    try {
+        // Parse input
+        var m = input.match(/(\/?)(.+)\1([a-z]*)/i);
+
+        // Invalid flags
+        if (m[3] && !/^(?!.*?(.).*?\1)[gmixXsuUAJ]+$/.test(m[3])) {
+            return RegExp(input);
+        }
+
+        // Create the regular expression
+        return new RegExp(m[2], m[3]);
+    } catch {
+        return;
+    }
+}
+
+/**
+ * Checks if the text matches a filter written as plain text (case-insensitive) or as /regex/.
+ * @param {string} filter Text filter
+ * @param {string} text Text to check
+ * @returns {boolean} True if the text matches
+ */
+export function matchesTextFilter(filter, text) {
+    if (/^\/.+\/[a-z]*$/is.test(filter)) {
+        const regex = regexFromString(filter);
+
+        if (!regex) {
+            console.warn(`Invalid regular expression in text filter: ${filter}`);
+            return false;
+        }
+
+        // Global and sticky flags make test() stateful
+        return new RegExp(regex.source, regex.flags.replace(/[gy]/g, '')).test(text);
+    }
+
+    return String(text ?? '').toLowerCase().includes(filter.toLowerCase());
+}
+
 /**
  * Provides an interface for rate limiting function calls.
  */
@@ -1,36 +1,318 @@
-import { chat_metadata, getCurrentChatId, saveSettingsDebounced, sendSystemMessage, system_message_types } from "../script.js";
+import { chat, chat_metadata, getCurrentChatId, saveSettingsDebounced, sendSystemMessage, system_message_types } from "../script.js";
 import { extension_settings, saveMetadataDebounced } from "./extensions.js";
-import { executeSlashCommands, registerSlashCommand } from "./slash-commands.js";
+import { isTrueBoolean, stringToRange } from "./utils.js";
+import { ARGUMENT_TYPE, executeSlashCommands, executeSlashCommandsClosure, registerSlashCommand } from "./slash-commands.js";
+import { SlashCommandClosure, SlashCommandError } from "./slash-command-parser.js";
+import { ExpressionError, evaluateExpression, formatExpressionResult } from "./expressions.js";
+
+const BOOLEAN_RULES = ['gt', 'gte', 'lt', 'lte', 'eq', 'neq', 'not', 'in', 'nin'];
+
+/**
+ * Stack of temporary variable scopes, e.g. arguments of user-defined commands or loop variables.
+ * @type {{variables: Object<string, any>, inherit: boolean}[]}
+ */
+const variableScopes = [];
+
+/**
+ * Number of loops running in each running script, the innermost script last. Used to check /break and /continue.
+ * Loop bodies run as a part of their script, other scripts started meanwhile, e.g. by events or /run, start with no loops.
+ * @type {number[]}
+ */
+const loopDepths = [0];
+
+/**
+ * Thrown by /break and /continue to end the iteration of the innermost loop.
+ */
+export class LoopControlSignal extends Error {
+    /**
+     * @param {'break'|'continue'} type Signal type
+     */
+    constructor(type) {
+        super(`/${type} used outside of a loop`);
+        this.name = 'LoopControlSignal';
+        this.type = type;
+    }
+}
+
+/**
+ * Marks the start of a script that doesn't share the loops of the running one.
+ */
+export function beginScriptLoops() {
+    loopDepths.push(0);
+}
+
+/**
+ * Marks the end of a script started with beginScriptLoops.
+ */
+export function endScriptLoops() {
+    loopDepths.pop();
+}
+
+/**
+ * Gets the number of loops running in the current script.
+ * @returns {number} Loop depth
+ */
+function getLoopDepth() {
+    return loopDepths[loopDepths.length - 1];
+}
+
+/**
+ * Enters or leaves a loop of the current script.
+ * @param {number} delta 1 when a loop starts, -1 when it ends
+ */
+function changeLoopDepth(delta) {
+    loopDepths[loopDepths.length - 1] += delta;
+}
+
+/**
+ * Starts a temporary scope of local variables. Its variables hide the chat variables with the same names until the scope ends.
+ * @param {Object<string, any>} variables Scope variables
+ * @param {boolean} inherit Whether the variables of the enclosing scope stay visible, e.g. in loops
+ */
+export function pushVariableScope(variables, inherit = false) {
+    variableScopes.push({ variables: { ...variables }, inherit });
+}
+
+/**
+ * Ends the innermost temporary scope of local variables.
+ */
+export function popVariableScope() {
+    variableScopes.pop();
+}
+
+/**
+ * Gets the current variables for the script debugger.
+ * @returns {{scoped: Object<string, any>, local: Object<string, any>, global: Object<string, any>}} Copies of the variables
+ */
+export function getDebugVariables() {
+    return {
+        scoped: getVisibleScopes().reduceRight((result, scope) => ({ ...result, ...scope }), {}),
+        local: { ...chat_metadata.variables },
+        global: { ...extension_settings.variables.global },
+    };
+}
+
+/**
+ * Gets the temporary scopes visible from the innermost one, from the innermost to the outermost.
+ * @returns {Object<string, any>[]} Scope variables
+ */
+function getVisibleScopes() {
+    const scopes = [];
+
+    for (let i = variableScopes.length - 1; i >= 0; i--) {
+        scopes.push(variableScopes[i].variables);
+
+        if (!variableScopes[i].inherit) {
+            break;
+        }
+    }
+
+    return scopes;
+}
+
+/**
+ * Gets the nearest visible temporary scope that has the variable.
+ * @param {string} name Variable name
+ * @returns {Object<string, any>|null} Scope variables or null if the variable is not scoped
+ */
+function getScopedVariables(name) {
+    return getVisibleScopes().find(scope => Object.hasOwn(scope, name)) ?? null;
+}
+
+/**
+ * Parses a list or dictionary variable. Lists and dictionaries are stored as JSON strings.
+ * @param {any} value Variable value
+ * @returns {any[]|object|null} Parsed list or dictionary, null if the value is not one
+ */
+function parseCollection(value) {
+    if (value && typeof value === 'object') {
+        return value;
+    }
+
+    try {
+        const parsed = JSON.parse(value);
+        return parsed && typeof parsed === 'object' ? parsed : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Parses a value stored in a list or dictionary. Numbers, booleans, lists and dictionaries keep their types.
+ * @param {any} value Item value
+ * @returns {any} Parsed value
+ */
+function parseItemValue(value) {
+    try {
+        const parsed = JSON.parse(value);
+        return typeof parsed === 'string' ? value : parsed;
+    } catch {
+        return value;
+    }
+}
+
+/**
+ * Formats a list or dictionary item to be passed down the pipe.
+ * @param {any} item Item value
+ * @returns {string|number} Formatted value
+ */
+function formatItemValue(item) {
+    if (item === undefined || item === null) {
+        return '';
+    }
+
+    return typeof item === 'object' ? JSON.stringify(item) : item;
+}
+
+/**
+ * Gets the key of an item. Negative list indices count from the end.
+ * @param {any[]|object} collection List or dictionary
+ * @param {string|number} index List index or dictionary key
+ * @returns {string|number} Item key
+ */
+function getItemKey(collection, index) {
+    if (!Array.isArray(collection)) {
+        return String(index);
+    }
+
+    const number = Number(index);
+    return number < 0 ? collection.length + number : number;
+}
+
+/**
+ * Gets an item of a list or dictionary variable.
+ * @param {any} value Variable value
+ * @param {string|number} index List index or dictionary key
+ * @returns {string|number} Item value or empty string if it doesn't exist
+ */
+function getIndexedItem(value, index) {
+    const collection = parseCollection(value);
+
+    if (!collection) {
+        return '';
+    }
+
+    return formatItemValue(collection[getItemKey(collection, index)]);
+}
+
+/**
+ * Sets an item of a list or dictionary variable. A missing variable becomes a list for numeric indices and a dictionary otherwise.
+ * @param {any} value Variable value
+ * @param {string|number} index List index or dictionary key
+ * @param {any} item Item value
+ * @returns {string} New variable value
+ */
+function setIndexedItem(value, index, item) {
+    const collection = parseCollection(value) ?? (isNaN(Number(index)) ? {} : []);
+
+    if (Array.isArray(collection) && isNaN(Number(index))) {
+        toastr.warning('List items can only be set by a numeric index.', 'Invalid index');
+        throw new Error('Invalid index.');
+    }
+
+    collection[getItemKey(collection, index)] = parseItemValue(item);
+    return JSON.stringify(collection);
+}
+
+/**
+ * Checks if an index argument was passed to the command.
+ * @param {object} args Named arguments
+ * @returns {boolean} True if the index is specified
+ */
+function hasIndex(args) {
+    return args?.index !== undefined && args.index !== '';
+}
+
+/**
+ * Gets the value of a variable by a path to a nested item, e.g. "quest.items.0.name" or "quest.items[0]".
+ * @param {string} path Variable name followed by the item keys
+ * @param {(name: string) => boolean} exists Checks if the variable exists
+ * @param {(name: string) => any} getter Gets the variable value
+ * @returns {any} Item value or empty string if it doesn't exist
+ */
+function getVariableByPath(path, exists, getter) {
+    // Variable names with dots are allowed
+    if (exists(path) || !/[.[]/.test(path)) {
+        return getter(path);
+    }
+
+    const [name, ...keys] = path.match(/[^.[\]]+/g) ?? [];
+
+    if (!name || !exists(name)) {
+        return '';
+    }
+
+    let value = getter(name);
+
+    for (const key of keys) {
+        const collection = parseCollection(value);
+
+        if (!collection) {
+            return '';
+        }
 
-function getLocalVariable(name) {
+        value = collection[getItemKey(collection, key)];
+    }
+
+    return formatItemValue(value);
+}
+
+function getLocalVariable(name, args = {}) {
     if (!chat_metadata.variables) {
         chat_metadata.variables = {};
     }
 
-    const localVariable = chat_metadata?.variables[name];
+    const localVariable = (getScopedVariables(name) ?? chat_metadata.variables)[name];
+
+    if (hasIndex(args)) {
+        return getIndexedItem(localVariable, args.index);
+    }
 
     return (localVariable === '' || isNaN(Number(localVariable))) ? (localVariable || '') : Number(localVariable);
 }
 
-function setLocalVariable(name, value) {
+function setLocalVariable(name, value, args = {}) {
     if (!chat_metadata.variables) {
         chat_metadata.variables = {};
     }
 
-    chat_metadata.variables[name] = value;
+    // Scoped variables are not saved to the chat
+    const scope = getScopedVariables(name);
+
+    if (scope) {
+        scope[name] = hasIndex(args) ? setIndexedItem(scope[name], args.index, value) : value;
+        return value;
+    }
+
+    if (hasIndex(args)) {
+        chat_metadata.variables[name] = setIndexedItem(chat_metadata.variables[name], args.index, value);
+    } else {
+        chat_metadata.variables[name] = value;
+    }
+
     saveMetadataDebounced();
     return value;
 }
 
-function getGlobalVariable(name) {
+function getGlobalVariable(name, args = {}) {
     const globalVariable = extension_settings.variables.global[name];
 
+    if (hasIndex(args)) {
+        return getIndexedItem(globalVariable, args.index);
+    }
+
     return (globalVariable === '' || isNaN(Number(globalVariable))) ? (globalVariable || '') : Number(globalVariable);
 }
 
-function setGlobalVariable(name, value) {
-    extension_settings.variables.global[name] = value;
+function setGlobalVariable(name, value, args = {}) {
+    if (hasIndex(args)) {
+        extension_settings.variables.global[name] = setIndexedItem(extension_settings.variables.global[name], args.index, value);
+    } else {
+        extension_settings.variables.global[name] = value;
+    }
+
     saveSettingsDebounced();
+    return value;
 }
 
 function addLocalVariable(name, value) {
@@ -96,10 +378,10 @@ export function replaceVariableMacros(input) {
             continue;
         }
 
-        // Replace {{getvar::name}} with the value of the variable name
+        // Replace {{getvar::name}} with the value of the variable name, or of a nested item with {{getvar::name.path}}
         line = line.replace(/{{getvar::([^}]+)}}/gi, (_, name) => {
             name = name.trim();
-            return getLocalVariable(name);
+            return getVariableByPath(name, existsLocalVariable, getLocalVariable);
         });
 
         // Replace {{setvar::name::value}} with empty string and set the variable name to value
@@ -116,10 +398,10 @@ export function replaceVariableMacros(input) {
             return '';
         });
 
-        // Replace {{getglobalvar::name}} with the value of the global variable name
+        // Replace {{getglobalvar::name}} with the value of the global variable name, or of a nested item with {{getglobalvar::name.path}}
         line = line.replace(/{{getglobalvar::([^}]+)}}/gi, (_, name) => {
             name = name.trim();
-            return getGlobalVariable(name);
+            return getVariableByPath(name, existsGlobalVariable, getGlobalVariable);
         });
 
         // Replace {{setglobalvar::name::value}} with empty string and set the global variable name to value
@@ -161,32 +443,273 @@ function listVariablesCallback() {
     sendSystemMessage(system_message_types.GENERIC, htmlMessage);
 }
 
-async function whileCallback(args, command) {
+/**
+ * Gets the value of a variable referenced in an expression. Local variables take precedence over global ones.
+ * @param {string} name Variable name, optionally followed by a path to a nested item
+ * @returns {any} Variable value or undefined if it doesn't exist
+ */
+function getExpressionVariable(name) {
+    const [baseName] = name.split(/[.[]/);
+
+    if (existsLocalVariable(name) || existsLocalVariable(baseName)) {
+        return getVariableByPath(name, existsLocalVariable, getLocalVariable);
+    }
+
+    if (existsGlobalVariable(name) || existsGlobalVariable(baseName)) {
+        return getVariableByPath(name, existsGlobalVariable, getGlobalVariable);
+    }
+
+    return undefined;
+}
+
+/**
+ * Evaluates an expression with the current variables.
+ * @param {string} expression Expression text
+ * @param {string} command Name of the command that evaluates it
+ * @returns {any} Result
+ * @throws {SlashCommandError} If the expression is invalid
+ */
+function evalExpression(expression, command) {
+    try {
+        return evaluateExpression(expression, getExpressionVariable);
+    } catch (error) {
+        if (error instanceof ExpressionError) {
+            throw new SlashCommandError(`Invalid expression: ${error.message}`, command);
+        }
+
+        throw error;
+    }
+}
+
+/**
+ * Evaluates the condition of /if and /while: a comparison rule with two operands, or an expression in the rule.
+ * @param {object} args Named arguments
+ * @param {string} command Name of the command that evaluates it
+ * @returns {boolean} Condition result
+ */
+function evalCondition(args, command) {
+    if (args.rule && !BOOLEAN_RULES.includes(String(args.rule).toLowerCase())) {
+        return !!evalExpression(args.rule, command);
+    }
+
+    const { a, b, rule } = parseBooleanOperands(args);
+    return evalBoolean(rule, a, b);
+}
+
+/**
+ * Evaluates an expression and passes the result down the pipe.
+ * @param {object} _ Named arguments
+ * @param {string} value Expression
+ * @returns {string|number} Result
+ */
+function expressionCallback(_, value) {
+    return formatExpressionResult(evalExpression(String(value ?? ''), 'expr'));
+}
+
+/**
+ * Gets the maximum number of iterations of a loop from the guard argument.
+ * @param {object} args Named arguments, guard=off disables the limit, guard=number changes it
+ * @returns {number} Maximum number of iterations
+ */
+function getLoopLimit(args) {
     const MAX_LOOPS = 100;
-    const isGuardOff = ['off', 'false', '0'].includes(args.guard?.toLowerCase());
-    const iterations = isGuardOff ? Number.MAX_SAFE_INTEGER : MAX_LOOPS;
+    const guard = String(args.guard ?? '').toLowerCase();
 
-    for (let i = 0; i < iterations; i++) {
-        const { a, b, rule } = parseBooleanOperands(args);
-        const result = evalBoolean(rule, a, b);
+    if (['off', 'false', '0'].includes(guard)) {
+        return Number.MAX_SAFE_INTEGER;
+    }
 
-        if (result && command) {
-            await executeSubCommands(command);
-        } else {
-            break;
+    const limit = Number(guard);
+    return guard && limit > 0 ? limit : MAX_LOOPS;
+}
+
+/**
+ * Runs the commands of a loop body. /break and /continue end the iteration early.
+ * @param {string|SlashCommandClosure} command Loop body
+ * @returns {Promise<{result: string, stop: boolean}>} Result of the body and whether the loop should stop
+ */
+async function executeLoopBody(command) {
+    try {
+        return { result: await executeSubCommands(command), stop: false };
+    } catch (error) {
+        if (error instanceof LoopControlSignal) {
+            return { result: '', stop: error.type === 'break' };
+        }
+
+        throw error;
+    }
+}
+
+/**
+ * Runs a loop over the items. The item and its index are available as scoped variables in the loop body.
+ * @param {Iterable<[string|number, any]>} items Indices and values
+ * @param {object} args Named arguments, var= and indexvar= rename the variables
+ * @param {string|SlashCommandClosure} command Loop body
+ * @param {string} defaultVariable Default name of the item variable
+ * @returns {Promise<string>} Result of the last iteration
+ */
+async function runLoop(items, args, command, defaultVariable) {
+    const itemVariable = args.var || defaultVariable;
+    const indexVariable = args.indexvar || 'index';
+    let lastResult = '';
+
+    if (!command) {
+        toastr.warning('No commands to run in the loop.', 'Invalid command');
+        return '';
+    }
+
+    const limit = getLoopLimit(args);
+    let iterations = 0;
+
+    changeLoopDepth(1);
+
+    try {
+        for (const [index, item] of items) {
+            if (iterations++ >= limit) {
+                toastr.warning(`The loop was stopped after ${limit} iterations. Pass guard=off or guard=number to change the limit.`, 'Loop guard');
+                break;
+            }
+
+            pushVariableScope({ [indexVariable]: index, [itemVariable]: formatItemValue(item) }, true);
+
+            try {
+                const { result, stop } = await executeLoopBody(command);
+                lastResult = result;
+
+                if (stop) {
+                    break;
+                }
+            } finally {
+                popVariableScope();
+            }
         }
+    } finally {
+        changeLoopDepth(-1);
+    }
+
+    return lastResult;
+}
+
+/**
+ * Runs the commands the specified number of times.
+ * @param {object} args Named arguments
+ * @param {string|SlashCommandClosure} command Loop body
+ * @returns {Promise<string>} Result of the last iteration
+ */
+async function timesCallback(args, command) {
+    const count = Number(args.count);
+
+    if (!Number.isInteger(count) || count < 0) {
+        toastr.warning('The count must be a whole number, e.g. count=5.', 'Invalid command');
+        return '';
+    }
+
+    function* counter() {
+        for (let i = 0; i < count; i++) {
+            yield [i, i];
+        }
+    }
+
+    return await runLoop(counter(), args, command, 'index');
+}
+
+/**
+ * Runs the commands for each item of a list or dictionary variable, a JSON list or a range of chat messages.
+ * @param {object} args Named arguments
+ * @param {string|SlashCommandClosure} command Loop body
+ * @returns {Promise<string>} Result of the last iteration
+ */
+async function foreachCallback(args, command) {
+    if (args.messages) {
+        const range = stringToRange(String(args.messages), 0, chat.length - 1);
+
+        if (!range) {
+            toastr.warning(`Invalid message range: ${args.messages}`, 'Invalid command');
+            return '';
+        }
+
+        const messages = [];
+
+        for (let messageId = range.start; messageId <= range.end; messageId++) {
+            const message = chat[messageId];
+
+            if (message && !message.is_system) {
+                messages.push([messageId, message.mes]);
+            }
+        }
+
+        return await runLoop(messages, args, command, 'item');
+    }
+
+    const collection = args.list
+        ? parseCollection(getVariableScope(args).get(args.list))
+        : parseCollection(args.items);
+
+    if (!collection) {
+        toastr.warning('Specify a list variable with list=, a JSON list with items= or a message range with messages=.', 'Invalid command');
+        return '';
+    }
+
+    const items = Object.entries(collection).map(([key, item]) => [Array.isArray(collection) ? Number(key) : key, item]);
+    return await runLoop(items, args, command, 'item');
+}
+
+/**
+ * Stops the innermost loop.
+ * @returns {string} Empty string if used outside of a loop
+ */
+function breakCallback() {
+    if (getLoopDepth() === 0) {
+        toastr.warning('/break can only be used inside /while, /times or /foreach.', 'Invalid command');
+        return '';
+    }
+
+    throw new LoopControlSignal('break');
+}
+
+/**
+ * Skips to the next iteration of the innermost loop. Does nothing outside of loops.
+ * Used by /continue, which continues the last chat message when no loop is running.
+ * @throws {LoopControlSignal} Inside a loop
+ */
+export function continueLoop() {
+    if (getLoopDepth() > 0) {
+        throw new LoopControlSignal('continue');
+    }
+}
+
+async function whileCallback(args, command) {
+    const iterations = getLoopLimit(args);
+
+    changeLoopDepth(1);
+
+    try {
+        for (let i = 0; i < iterations; i++) {
+            const result = evalCondition(args, 'while');
+
+            if (!result || !command) {
+                break;
+            }
+
+            const { stop } = await executeLoopBody(command);
+
+            if (stop) {
+                break;
+            }
+        }
+    } finally {
+        changeLoopDepth(-1);
     }
 
     return '';
 }
 
 async function ifCallback(args, command) {
-    const { a, b, rule } = parseBooleanOperands(args);
-    const result = evalBoolean(rule, a, b);
+    const result = evalCondition(args, 'if');
 
     if (result && command) {
         return await executeSubCommands(command);
-    } else if (!result && args.else && typeof args.else === 'string' && args.else !== '') {
+    } else if (!result && args.else && (typeof args.else === 'string' || args.else instanceof SlashCommandClosure) && args.else !== '') {
         return await executeSubCommands(args.else);
     }
 
@@ -194,7 +717,7 @@ async function ifCallback(args, command) {
 }
 
 function existsLocalVariable(name) {
-    return chat_metadata.variables && chat_metadata.variables[name] !== undefined;
+    return !!getScopedVariables(name) || (chat_metadata.variables && chat_metadata.variables[name] !== undefined);
 }
 
 function existsGlobalVariable(name) {
@@ -300,6 +823,11 @@ function evalBoolean(rule, a, b) {
 }
 
 async function executeSubCommands(command) {
+    if (command instanceof SlashCommandClosure) {
+        const result = await executeSlashCommandsClosure(command);
+        return result?.pipe || '';
+    }
+
     if (command.startsWith('"')) {
         command = command.slice(1);
     }
@@ -309,7 +837,8 @@ async function executeSubCommands(command) {
     }
 
     const unescape = true;
-    const result = await executeSlashCommands(command, unescape);
+    const shareLoops = true;
+    const result = await executeSlashCommands(command, unescape, shareLoops);
 
     if (!result || typeof result !== 'object') {
         return '';
@@ -318,12 +847,108 @@ async function executeSubCommands(command) {
     return result?.pipe || '';
 }
 
+/**
+ * Gets the accessors of local or global variables.
+ * @param {object} args Named arguments, global=true selects the global variables
+ * @returns {{get: (name: string) => any, set: (name: string, value: any) => any}} Variable accessors
+ */
+function getVariableScope(args) {
+    return isTrueBoolean(args?.global)
+        ? { get: (name) => extension_settings.variables.global[name], set: (name, value) => setGlobalVariable(name, value) }
+        : { get: (name) => (getScopedVariables(name) ?? chat_metadata.variables ?? {})[name], set: (name, value) => setLocalVariable(name, value) };
+}
+
+/**
+ * Adds an item to the end of a list variable. A missing variable is created.
+ * @param {object} args Named arguments
+ * @param {string} value Item value
+ * @returns {number} New length of the list
+ */
+function pushCallback(args, value) {
+    const name = args.key || args.name;
+    const scope = getVariableScope(args);
+    const current = scope.get(name);
+    const list = current === undefined || current === '' ? [] : parseCollection(current);
+
+    if (!Array.isArray(list)) {
+        toastr.warning(`The variable "${name}" is not a list.`, 'Invalid variable');
+        return '';
+    }
+
+    list.push(parseItemValue(value));
+    scope.set(name, JSON.stringify(list));
+    return list.length;
+}
+
+/**
+ * Removes the last item of a list variable and passes it down the pipe.
+ * @param {object} args Named arguments
+ * @param {string} value Variable name, if not specified by key=
+ * @returns {string|number} Removed item
+ */
+function popCallback(args, value) {
+    const name = args.key || args.name || value;
+    const scope = getVariableScope(args);
+    const list = parseCollection(scope.get(name));
+
+    if (!Array.isArray(list)) {
+        toastr.warning(`The variable "${name}" is not a list.`, 'Invalid variable');
+        return '';
+    }
+
+    const item = list.pop();
+    scope.set(name, JSON.stringify(list));
+    return formatItemValue(item);
+}
+
+/**
+ * Gets the number of items in a list or dictionary, or the length of a text variable.
+ * @param {object} args Named arguments
+ * @param {string} value Variable name, if not specified by key=
+ * @returns {number} Length
+ */
+function lengthCallback(args, value) {
+    const name = args.key || args.name || value;
+    const current = getVariableScope(args).get(name);
+    const collection = parseCollection(current);
+
+    if (collection) {
+        return Object.keys(collection).length;
+    }
+
+    return String(current ?? '').length;
+}
+
+/**
+ * Gets the keys of a dictionary or the indices of a list as a JSON list.
+ * @param {object} args Named arguments
+ * @param {string} value Variable name, if not specified by key=
+ * @returns {string} Keys
+ */
+function keysCallback(args, value) {
+    const name = args.key || args.name || value;
+    const collection = parseCollection(getVariableScope(args).get(name));
+
+    if (!collection) {
+        return '[]';
+    }
+
+    return JSON.stringify(Array.isArray(collection) ? collection.map((_, i) => i) : Object.keys(collection));
+}
+
 function deleteLocalVariable(name) {
     if (!existsLocalVariable(name)) {
         console.warn(`The local variable "${name}" does not exist.`);
         return '';
     }
 
+    const scope = getScopedVariables(name);
+
+    if (scope) {
+        delete scope[name];
+        return '';
+    }
+
     delete chat_metadata.variables[name];
     saveMetadataDebounced();
     return '';
@@ -342,14 +967,22 @@ function deleteGlobalVariable(name) {
 
 export function registerVariableCommands() {
     registerSlashCommand('listvar', listVariablesCallback, [], ' – list registered chat variables', true, true);
-    registerSlashCommand('setvar', (args, value) => setLocalVariable(args.key || args.name, value), [], '<span class="monospace">key=varname (value)</span> – set a local variable value and pass it down the pipe, e.g. <tt>/setvar key=color green</tt>', true, true);
-    registerSlashCommand('getvar', (_, value) => getLocalVariable(value), [], '<span class="monospace">(key)</span> – get a local variable value and pass it down the pipe, e.g. <tt>/getvar height</tt>', true, true);
-    registerSlashCommand('addvar', (args, value) => addLocalVariable(args.key || args.name, value), [], '<span class="monospace">key=varname (increment)</span> – add a value to a local variable and pass the result down the pipe, e.g. <tt>/addvar score 10</tt>', true, true);
-    registerSlashCommand('setglobalvar', (args, value) => setGlobalVariable(args.key || args.name, value), [], '<span class="monospace">key=varname (value)</span> – set a global variable value and pass it down the pipe, e.g. <tt>/setglobalvar key=color green</tt>', true, true);
-    registerSlashCommand('getglobalvar', (_, value) => getGlobalVariable(value), [], '<span class="monospace">(key)</span> – get a global variable value and pass it down the pipe, e.g. <tt>/getglobalvar height</tt>', true, true);
-    registerSlashCommand('addglobalvar', (args, value) => addGlobalVariable(args.key || args.name, value), [], '<span class="monospace">key=varname (increment)</span> – add a value to a global variable and pass the result down the pipe, e.g. <tt>/addglobalvar score 10</tt>', true, true);
-    registerSlashCommand('if', ifCallback, [], '<span class="monospace">left=varname1 right=varname2 rule=comparison else="(alt.command)" "(command)"</span> – compare the value of the left operand "a" with the value of the right operand "b", and if the condition yields true, then execute any valid slash command enclosed in quotes and pass the result of the command execution down the pipe. Numeric values and string literals for left and right operands supported. Available rules: gt => a > b, gte => a >= b, lt => a < b, lte => a <= b, eq => a == b, neq => a != b, not => !a, in (strings) => a includes b, nin (strings) => a not includes b, e.g. <tt>/if left=score right=10 rule=gte "/speak You win"</tt> triggers a /speak command if the value of "score" is greater or equals 10.', true, true);
-    registerSlashCommand('while', whileCallback, [], '<span class="monospace">left=varname1 right=varname2 rule=comparison "(command)"</span> – compare the value of the left operand "a" with the value of the right operand "b", and if the condition yields true, then execute any valid slash command enclosed in quotes. Numeric values and string literals for left and right operands supported. Available rules: gt => a > b, gte => a >= b, lt => a < b, lte => a <= b, eq => a == b, neq => a != b, not => !a, in (strings) => a includes b, nin (strings) => a not includes b, e.g. <tt>/setvar key=i 0 | /while left=i right=10 rule=let "/addvar key=i 1"</tt> adds 1 to the value of "i" until it reaches 10. Loops are limited to 100 iterations by default, pass guard=off to disable.', true, true);
-    registerSlashCommand('flushvar', (_, value) => deleteLocalVariable(value), [], '<span class="monospace">(key)</span> – delete a local variable, e.g. <tt>/flushvar score</tt>', true, true);
+    registerSlashCommand('setvar', (args, value) => setLocalVariable(args.key || args.name, value, args), [], '<span class="monospace">key=varname [index=listindex/dictkey] (value)</span> – set a local variable value and pass it down the pipe, e.g. <tt>/setvar key=color green</tt>. With index, sets an item of a list or dictionary variable, e.g. <tt>/setvar key=stats index=hp 10</tt>', true, true, { named: [{ name: 'key', aliases: ['name'], type: ARGUMENT_TYPE.VARIABLE, required: true }] });
+    registerSlashCommand('getvar', (args, value) => getLocalVariable(args.key || args.name || value, args), [], '<span class="monospace">[index=listindex/dictkey] (key)</span> – get a local variable value and pass it down the pipe, e.g. <tt>/getvar height</tt>. With index, gets an item of a list or dictionary variable, e.g. <tt>/getvar index=0 inventory</tt>', true, true, { named: [{ name: 'key', aliases: ['name'], type: ARGUMENT_TYPE.VARIABLE }], unnamed: { type: ARGUMENT_TYPE.VARIABLE } });
+    registerSlashCommand('addvar', (args, value) => addLocalVariable(args.key || args.name, value), [], '<span class="monospace">key=varname (increment)</span> – add a value to a local variable and pass the result down the pipe, e.g. <tt>/addvar score 10</tt>', true, true, { named: [{ name: 'key', aliases: ['name'], type: ARGUMENT_TYPE.VARIABLE, required: true }] });
+    registerSlashCommand('setglobalvar', (args, value) => setGlobalVariable(args.key || args.name, value, args), [], '<span class="monospace">key=varname [index=listindex/dictkey] (value)</span> – set a global variable value and pass it down the pipe, e.g. <tt>/setglobalvar key=color green</tt>. With index, sets an item of a list or dictionary variable', true, true, { named: [{ name: 'key', aliases: ['name'], type: ARGUMENT_TYPE.VARIABLE, required: true }] });
+    registerSlashCommand('getglobalvar', (args, value) => getGlobalVariable(args.key || args.name || value, args), [], '<span class="monospace">[index=listindex/dictkey] (key)</span> – get a global variable value and pass it down the pipe, e.g. <tt>/getglobalvar height</tt>. With index, gets an item of a list or dictionary variable', true, true, { named: [{ name: 'key', aliases: ['name'], type: ARGUMENT_TYPE.VARIABLE }], unnamed: { type: ARGUMENT_TYPE.VARIABLE } });
+    registerSlashCommand('push', pushCallback, [], '<span class="monospace">key=varname [global=true] (value)</span> – add an item to the end of a list variable and pass the new length down the pipe, e.g. <tt>/push key=inventory sword</tt>. Lists and dictionaries are stored as JSON, e.g. <tt>/setvar key=inventory ["sword", "shield"]</tt>', true, true, { named: [{ name: 'key', aliases: ['name'], type: ARGUMENT_TYPE.VARIABLE, required: true }, { name: 'global', type: ARGUMENT_TYPE.BOOLEAN }] });
+    registerSlashCommand('pop', popCallback, [], '<span class="monospace">[global=true] (key)</span> – remove the last item of a list variable and pass it down the pipe, e.g. <tt>/pop inventory</tt>', true, true, { named: [{ name: 'global', type: ARGUMENT_TYPE.BOOLEAN }], unnamed: { type: ARGUMENT_TYPE.VARIABLE } });
+    registerSlashCommand('len', lengthCallback, ['length'], '<span class="monospace">[global=true] (key)</span> – pass the number of items in a list or dictionary variable, or the length of a text variable, down the pipe, e.g. <tt>/len inventory</tt>', true, true, { named: [{ name: 'global', type: ARGUMENT_TYPE.BOOLEAN }], unnamed: { type: ARGUMENT_TYPE.VARIABLE } });
+    registerSlashCommand('keys', keysCallback, [], '<span class="monospace">[global=true] (key)</span> – pass the keys of a dictionary variable (or the indices of a list) down the pipe as a JSON list, e.g. <tt>/keys stats</tt>', true, true, { named: [{ name: 'global', type: ARGUMENT_TYPE.BOOLEAN }], unnamed: { type: ARGUMENT_TYPE.VARIABLE } });
+    registerSlashCommand('addglobalvar', (args, value) => addGlobalVariable(args.key || args.name, value), [], '<span class="monospace">key=varname (increment)</span> – add a value to a global variable and pass the result down the pipe, e.g. <tt>/addglobalvar score 10</tt>', true, true, { named: [{ name: 'key', aliases: ['name'], type: ARGUMENT_TYPE.VARIABLE, required: true }] });
+    registerSlashCommand('if', ifCallback, [], '<span class="monospace">left=varname1 right=varname2 rule=comparison else="(alt.command)" "(command)"</span> – compare the value of the left operand "a" with the value of the right operand "b", and if the condition yields true, then execute any valid slash command enclosed in quotes or in a closure <tt>{: ... :}</tt> and pass the result of the command execution down the pipe. Numeric values and string literals for left and right operands supported. Available rules: gt => a > b, gte => a >= b, lt => a < b, lte => a <= b, eq => a == b, neq => a != b, not => !a, in (strings) => a includes b, nin (strings) => a not includes b, e.g. <tt>/if left=score right=10 rule=gte "/speak You win"</tt> triggers a /speak command if the value of "score" is greater or equals 10. The rule can also be an expression (see /expr), e.g. <tt>/if rule="score >= 10 and lives > 0" {: /echo You win :}</tt>', true, true, { named: [{ name: 'left', type: ARGUMENT_TYPE.VARIABLE }, { name: 'right', type: ARGUMENT_TYPE.VARIABLE }, { name: 'rule', type: ARGUMENT_TYPE.STRING, enumList: BOOLEAN_RULES }] });
+    registerSlashCommand('while', whileCallback, [], '<span class="monospace">left=varname1 right=varname2 rule=comparison "(command)"</span> – compare the value of the left operand "a" with the value of the right operand "b", and if the condition yields true, then execute any valid slash command enclosed in quotes or in a closure <tt>{: ... :}</tt>. Numeric values and string literals for left and right operands supported. Available rules: gt => a > b, gte => a >= b, lt => a < b, lte => a <= b, eq => a == b, neq => a != b, not => !a, in (strings) => a includes b, nin (strings) => a not includes b, e.g. <tt>/setvar key=i 0 | /while left=i right=10 rule=let "/addvar key=i 1"</tt> adds 1 to the value of "i" until it reaches 10. The rule can also be an expression (see /expr). Loops are limited to 100 iterations by default, pass guard=off to disable or guard=number to change the limit.', true, true, { named: [{ name: 'left', type: ARGUMENT_TYPE.VARIABLE }, { name: 'right', type: ARGUMENT_TYPE.VARIABLE }, { name: 'rule', type: ARGUMENT_TYPE.STRING, enumList: BOOLEAN_RULES }, { name: 'guard', type: ARGUMENT_TYPE.STRING }] });
+    registerSlashCommand('times', timesCallback, ['repeat'], '<span class="monospace">count=number [var=index] {: commands :}</span> – run the commands the specified number of times and pass the result of the last run down the pipe. The iteration number, starting from 0, is available as a scoped variable, e.g. <tt>/times count=3 {: /echo Round {{getvar::index}} :}</tt>. Loops are limited to 100 iterations by default, pass guard=off to disable or guard=number to change the limit.', true, true, { named: [{ name: 'count', type: ARGUMENT_TYPE.NUMBER, required: true }, { name: 'guard', type: ARGUMENT_TYPE.STRING }] });
+    registerSlashCommand('foreach', foreachCallback, ['for'], '<span class="monospace">list=varname [global=true] / items=["a","b"] / messages=range [var=item] [indexvar=index] {: commands :}</span> – run the commands for each item of a list or dictionary variable, a JSON list or a range of chat messages, and pass the result of the last run down the pipe. The item and its index (list position, dictionary key or message id) are available as scoped variables, e.g. <tt>/foreach list=inventory {: /echo {{getvar::index}}: {{getvar::item}} :}</tt>. Use /break to stop the loop and /continue to skip to the next item. Loops are limited to 100 iterations by default, pass guard=off to disable or guard=number to change the limit.', true, true, { named: [{ name: 'list', type: ARGUMENT_TYPE.VARIABLE }, { name: 'global', type: ARGUMENT_TYPE.BOOLEAN }, { name: 'guard', type: ARGUMENT_TYPE.STRING }] });
+    registerSlashCommand('break', breakCallback, [], ' – stop the innermost /while, /times or /foreach loop, e.g. <tt>/foreach list=inventory {: /if rule="item == \'key\'" {: /break :} :}</tt>', true, true);
+    registerSlashCommand('expr', expressionCallback, ['math'], '<span class="monospace">(expression)</span> – evaluate an expression and pass the result down the pipe, e.g. <tt>/expr (score + 5) * 2</tt>. Words are variable names (local first, then global), strings go in quotes. Operators: + - * / % ^, comparisons == != &lt; &lt;= &gt; &gt;=, and, or, not. Symbol forms &amp;&amp;, || and ! also work in quoted rules, e.g. <tt>/if rule="a || b"</tt>, but not in /expr, where | splits the pipe. Functions: min, max, round, floor, ceil, abs, sqrt, random, len, upper, lower, trim, contains, startswith, endswith, replace, substr, concat, number, string, if', true, true);
+    registerSlashCommand('flushvar', (_, value) => deleteLocalVariable(value), [], '<span class="monospace">(key)</span> – delete a local variable, e.g. <tt>/flushvar score</tt>', true, true, { unnamed: { type: ARGUMENT_TYPE.VARIABLE } });
     registerSlashCommand('flushglobalvar', (_, value) => deleteGlobalVariable(value), [], '<span class="monospace">(key)</span> – delete a global variable, e.g. <tt>/flushglobalvar score</tt>', true, true);
 }
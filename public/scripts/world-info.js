@@ -1,6 +1,6 @@
-import { saveSettings, callPopup, substituteParams, getRequestHeaders, chat_metadata, this_chid, characters, saveCharacterDebounced, menu_type, eventSource, event_types, getExtensionPrompt, MAX_INJECTION_DEPTH, extension_prompt_types, getExtensionPromptByName, saveMetadata, getCurrentChatId } from "../script.js";
-import { download, debounce, initScrollHeight, resetScrollHeight, parseJsonFile, extractDataFromPng, getFileBuffer, getCharaFilename, getSortableDelay, escapeRegex, PAGINATION_TEMPLATE, navigation_option, waitUntilCondition } from "./utils.js";
-import { extension_settings, getContext } from "./extensions.js";
+import { saveSettings, callPopup, substituteParams, getRequestHeaders, chat_metadata, this_chid, characters, saveCharacterDebounced, menu_type, eventSource, event_types, getExtensionPrompt, MAX_INJECTION_DEPTH, extension_prompt_types, getExtensionPromptByName, saveMetadata, getCurrentChatId, renderTemplate } from "../script.js";
+import { download, debounce, initScrollHeight, resetScrollHeight, parseJsonFile, extractDataFromPng, getFileBuffer, getCharaFilename, getSortableDelay, escapeRegex, PAGINATION_TEMPLATE, navigation_option, waitUntilCondition, timestampToMoment, escapeHtml, regexFromString } from "./utils.js";
+import { extension_settings, getContext, saveMetadataDebounced } from "./extensions.js";
 import { NOTE_MODULE_NAME, metadata_keys, shouldWIAddPrompt } from "./authors-note.js";
 import { registerSlashCommand } from "./slash-commands.js";
 import { getDeviceInfo } from "./RossAscends-mods.js";
@@ -8,6 +8,7 @@ import { FILTER_TYPES, FilterHelper } from "./filters.js";
 import { getTokenCount } from "./tokenizers.js";
 import { power_user } from "./power-user.js";
 import { getTagKeyForCharacter } from "./tags.js";
+import { getSceneWorldInfo } from "./group-scenes.js";
 
 export {
     world_info,
@@ -26,6 +27,7 @@ export {
     deleteWorldInfo,
     setWorldInfoSettings,
     getWorldInfoPrompt,
+    getWorldInfoTrace,
 }
 
 const world_info_insertion_strategy = {
@@ -34,6 +36,17 @@ const world_info_insertion_strategy = {
     global_first: 2,
 };
 
+const world_info_group_strategy = {
+    order: 0,
+    weighted_random: 1,
+};
+
+const world_info_scan_source = {
+    all: 0,
+    user: 1,
+    character: 2,
+};
+
 let world_info = {};
 let selected_world_info = [];
 let world_names;
@@ -48,6 +61,7 @@ let world_info_case_sensitive = false;
 let world_info_match_whole_words = false;
 let world_info_character_strategy = world_info_insertion_strategy.character_first;
 let world_info_budget_cap = 0;
+let world_info_group_strategy_value = world_info_group_strategy.order;
 const saveWorldDebounced = debounce(async (name, data) => await _save(name, data), 1000);
 const saveSettingsDebounced = debounce(() => {
     Object.assign(world_info, { globalSelect: selected_world_info })
@@ -60,8 +74,10 @@ let updateEditor = (navigation) => { navigation; };
 const worldInfoFilter = new FilterHelper(() => updateEditor());
 const SORT_ORDER_KEY = 'world_info_sort_order';
 const METADATA_KEY = 'world_info';
+const TIMED_EFFECTS_KEY = 'world_info_timed_effects';
 
 const DEFAULT_DEPTH = 4;
+const DEFAULT_GROUP_WEIGHT = 100;
 
 export function getWorldInfoSettings() {
     return {
@@ -76,6 +92,7 @@ export function getWorldInfoSettings() {
         world_info_match_whole_words,
         world_info_character_strategy,
         world_info_budget_cap,
+        world_info_group_strategy: world_info_group_strategy_value,
     }
 }
 
@@ -88,11 +105,177 @@ const world_info_position = {
 };
 
 const worldInfoCache = {};
+const regexKeyCache = new Map();
+
+/**
+ * Matches a whole regular expression literal key: no unescaped slashes inside, except in character classes.
+ */
+const REGEX_KEY_LITERAL = /^\/(?:\\.|\[(?:\\.|[^\]\\])*\]|[^/\\[])+\/[dgimsuvy]*$/;
+
+const trace_status = {
+    activated: 'activated',
+    constant: 'constant',
+    matched: 'matched',
+    no_match: 'no_match',
+    logic_failed: 'logic_failed',
+    probability_failed: 'probability_failed',
+    budget_exceeded: 'budget_exceeded',
+    cooldown: 'cooldown',
+    delayed: 'delayed',
+    group_lost: 'group_lost',
+    disabled: 'disabled',
+    recursion_excluded: 'recursion_excluded',
+    filtered_character: 'filtered_character',
+    filtered_tag: 'filtered_tag',
+};
+
+const trace_status_labels = {
+    [trace_status.activated]: 'Activated',
+    [trace_status.constant]: 'Constant',
+    [trace_status.matched]: 'Matched',
+    [trace_status.no_match]: 'No match',
+    [trace_status.logic_failed]: 'Secondary logic failed',
+    [trace_status.probability_failed]: 'Probability roll failed',
+    [trace_status.budget_exceeded]: 'Budget exceeded',
+    [trace_status.cooldown]: 'On cooldown',
+    [trace_status.delayed]: 'Delayed',
+    [trace_status.group_lost]: 'Lost inclusion group',
+    [trace_status.disabled]: 'Disabled',
+    [trace_status.recursion_excluded]: 'Excluded from recursion',
+    [trace_status.filtered_character]: 'Filtered by character',
+    [trace_status.filtered_tag]: 'Filtered by tag',
+};
+
+const selective_logic_labels = ['AND', 'NOT'];
+
+/**
+ * Activation trace of the last World Info scan.
+ * @type {object|null}
+ */
+let lastActivationTrace = null;
+
+/**
+ * Entries activated by extensions for the next scan, e.g. by vector similarity.
+ * @type {Set<string>}
+ */
+const externalActivations = new Set();
+
+/**
+ * Gets the key that identifies an entry across all World Info files.
+ * @param {string} world World Info name
+ * @param {number} uid Entry UID
+ * @returns {string} Entry key
+ */
+function getEntryKey(world, uid) {
+    return `${world}.${uid}`;
+}
+
+/**
+ * Gets the timed effects of the current chat, dropping the ones that expired
+ * or started after messages that no longer exist.
+ * @param {number} chatLength Number of messages in the chat
+ * @returns {{sticky: object, cooldown: object, changed: boolean}} Timed effects
+ */
+function getTimedEffects(chatLength) {
+    const saved = chat_metadata[TIMED_EFFECTS_KEY] ?? {};
+    const effects = { sticky: { ...saved.sticky }, cooldown: { ...saved.cooldown }, changed: false };
+
+    for (const type of ['sticky', 'cooldown']) {
+        for (const [key, effect] of Object.entries(effects[type])) {
+            if (effect.since > chatLength || effect.end < chatLength) {
+                delete effects[type][key];
+                effects.changed = true;
+            }
+        }
+    }
+
+    return effects;
+}
+
+/**
+ * Saves the timed effects to the chat metadata if they were changed.
+ * @param {{sticky: object, cooldown: object, changed: boolean}} effects Timed effects
+ */
+function saveTimedEffects(effects) {
+    if (!effects.changed) {
+        return;
+    }
+
+    const { sticky, cooldown } = effects;
+
+    if (Object.keys(sticky).length || Object.keys(cooldown).length) {
+        chat_metadata[TIMED_EFFECTS_KEY] = { sticky, cooldown };
+    } else {
+        delete chat_metadata[TIMED_EFFECTS_KEY];
+    }
 
-async function getWorldInfoPrompt(chat2, maxContext) {
+    saveMetadataDebounced();
+}
+
+/**
+ * Starts the sticky and cooldown periods of an activated entry.
+ * Sticky entries stay active for the next N messages, cooldown blocks the entry for N messages after that.
+ * @param {{sticky: object, cooldown: object, changed: boolean}} effects Timed effects
+ * @param {object} entry Activated entry
+ * @param {number} chatLength Number of messages in the chat
+ */
+function startTimedEffects(effects, entry, chatLength) {
+    const key = getEntryKey(entry.world, entry.uid);
+
+    // Already running, activation came from the sticky state itself
+    if (effects.sticky[key]) {
+        return;
+    }
+
+    const sticky = Number(entry.sticky) || 0;
+    const cooldown = Number(entry.cooldown) || 0;
+
+    if (sticky > 0) {
+        effects.sticky[key] = { since: chatLength, end: chatLength + sticky };
+        effects.changed = true;
+    }
+
+    if (cooldown > 0) {
+        effects.cooldown[key] = { since: chatLength, start: chatLength + sticky, end: chatLength + sticky + cooldown };
+        effects.changed = true;
+    }
+}
+
+/**
+ * Describes the timed effects of an entry in the current chat.
+ * @param {string} world World Info name
+ * @param {number} uid Entry UID
+ * @returns {string} Status text or an empty string if no effect is running
+ */
+function getTimedEffectsStatus(world, uid) {
+    const chatLength = getContext().chat.length;
+    const effects = getTimedEffects(chatLength);
+    const key = getEntryKey(world, uid);
+    const sticky = effects.sticky[key];
+    const cooldown = effects.cooldown[key];
+
+    if (sticky) {
+        return `Sticky in this chat until message #${sticky.end}`;
+    }
+
+    if (cooldown && cooldown.start < chatLength) {
+        return `On cooldown in this chat until message #${cooldown.end + 1}`;
+    }
+
+    return '';
+}
+
+/**
+ * Scans the chat for World Info entries and builds the prompt parts.
+ * @param {string[]} chat2 Formatted chat messages, newest first
+ * @param {number} maxContext Context size
+ * @param {object[]} [messages] Chat message objects in the same order as chat2, used to filter the scan by speaker
+ * @param {boolean} [isDryRun] Only build the prompt, without starting timed effects or updating the activation trace
+ */
+async function getWorldInfoPrompt(chat2, maxContext, messages = null, isDryRun = false) {
     let worldInfoString = "", worldInfoBefore = "", worldInfoAfter = "";
 
-    const activatedWorldInfo = await checkWorldInfo(chat2, maxContext);
+    const activatedWorldInfo = await checkWorldInfo(chat2, maxContext, messages, isDryRun);
     worldInfoBefore = activatedWorldInfo.worldInfoBefore;
     worldInfoAfter = activatedWorldInfo.worldInfoAfter;
     worldInfoString = worldInfoBefore + worldInfoAfter;
@@ -126,6 +309,8 @@ function setWorldInfoSettings(settings, data) {
         world_info_character_strategy = Number(settings.world_info_character_strategy);
     if (settings.world_info_budget_cap !== undefined)
         world_info_budget_cap = Number(settings.world_info_budget_cap);
+    if (settings.world_info_group_strategy !== undefined)
+        world_info_group_strategy_value = Number(settings.world_info_group_strategy);
 
     // Migrate old settings
     if (world_info_budget > 100) {
@@ -168,6 +353,8 @@ function setWorldInfoSettings(settings, data) {
     $("#world_info_budget_cap").val(world_info_budget_cap);
     $("#world_info_budget_cap_counter").val(world_info_budget_cap);
 
+    $("#world_info_group_strategy").val(world_info_group_strategy_value);
+
     world_names = data.world_names?.length ? data.world_names : [];
 
     // Add to existing selected WI if it exists
@@ -332,10 +519,57 @@ function nullWorldInfo() {
     toastr.info("Create or import a new World Info file first.", "World Info is not set", { timeOut: 10000, preventDuplicates: true });
 }
 
+/**
+ * Shows the inclusion groups of the edited World Info with their members and the last pick.
+ * @param {string} name World Info name
+ * @param {object} data World Info data
+ */
+function renderGroupStats(name, data) {
+    const block = $('#world_info_group_stats').empty();
+    const groups = new Map();
+
+    for (const entry of Object.values(data?.entries ?? {})) {
+        const group = getEntryGroup(entry);
+
+        if (!group) {
+            continue;
+        }
+
+        if (!groups.has(group)) {
+            groups.set(group, []);
+        }
+
+        groups.get(group).push(entry);
+    }
+
+    block.toggle(groups.size > 0);
+
+    if (groups.size === 0) {
+        return;
+    }
+
+    const weighted = world_info_group_strategy_value === world_info_group_strategy.weighted_random;
+    block.append(`<small><b>Inclusion groups</b> (${weighted ? 'weighted random' : 'highest order'} wins)</small>`);
+
+    for (const [group, entries] of [...groups].sort((a, b) => a[0].localeCompare(b[0]))) {
+        const enabled = entries.filter(x => !x.disable);
+        const totalWeight = enabled.reduce((sum, x) => sum + getEntryGroupWeight(x), 0);
+        const members = entries.map(x => {
+            const title = escapeHtml(x.comment || `#${x.uid}`);
+            const chance = weighted && !x.disable && totalWeight > 0 ? ` ${Math.round(getEntryGroupWeight(x) / totalWeight * 100)}%` : '';
+            return x.disable ? `<s>${title}</s>` : `${title}${chance}`;
+        });
+        const lastPick = lastActivationTrace?.groups[group];
+        const lastPickText = lastPick && lastPick.world === name ? `, last pick: ${escapeHtml(lastPick.comment || `#${lastPick.uid}`)} of ${lastPick.candidates}` : '';
+        block.append(`<small class="world_info_group_stats_row"><b>${escapeHtml(group)}</b> – ${enabled.length}/${entries.length} enabled${lastPickText}: ${members.join(', ')}</small>`);
+    }
+}
+
 function displayWorldEntries(name, data, navigation = navigation_option.none) {
     updateEditor = (navigation) => displayWorldEntries(name, data, navigation);
 
     $("#world_popup_entries_list").empty().show();
+    renderGroupStats(name, data);
 
     if (!data || !("entries" in data)) {
         $("#world_popup_new").off('click').on('click', nullWorldInfo);
@@ -596,10 +830,7 @@ function getWorldEntry(name, data, entry) {
         const uid = $(this).data("uid");
         const value = String($(this).val());
         resetScrollHeight(this);
-        data.entries[uid].key = value
-            .split(",")
-            .map((x) => x.trim())
-            .filter((x) => x);
+        data.entries[uid].key = splitWorldInfoKeys(value);
 
         setOriginalDataValue(data, uid, "keys", data.entries[uid].key);
         saveWorldInfo(name, data);
@@ -732,10 +963,7 @@ function getWorldEntry(name, data, entry) {
         const uid = $(this).data("uid");
         const value = String($(this).val());
         resetScrollHeight(this);
-        data.entries[uid].keysecondary = value
-            .split(",")
-            .map((x) => x.trim())
-            .filter((x) => x);
+        data.entries[uid].keysecondary = splitWorldInfoKeys(value);
 
         setOriginalDataValue(data, uid, "secondary_keys", data.entries[uid].keysecondary);
         saveWorldInfo(name, data);
@@ -1082,6 +1310,85 @@ function getWorldEntry(name, data, entry) {
     });
     excludeRecursionInput.prop("checked", entry.excludeRecursion).trigger("input");
 
+    // vectorized
+    const vectorizedInput = template.find('input[name="vectorized"]');
+    vectorizedInput.data("uid", entry.uid);
+    vectorizedInput.on("input", function () {
+        const uid = $(this).data("uid");
+        const value = $(this).prop("checked");
+        data.entries[uid].vectorized = value;
+        setOriginalDataValue(data, uid, "extensions.vectorized", data.entries[uid].vectorized);
+        saveWorldInfo(name, data);
+    });
+    vectorizedInput.prop("checked", !!entry.vectorized);
+
+    // timed effects
+    for (const effect of ['sticky', 'cooldown', 'delay']) {
+        const effectInput = template.find(`input[name="${effect}"]`);
+        effectInput.data("uid", entry.uid);
+        effectInput.on("input", function () {
+            const uid = $(this).data("uid");
+            const value = Number($(this).val());
+            data.entries[uid][effect] = !isNaN(value) ? Math.max(0, Math.floor(value)) : 0;
+            setOriginalDataValue(data, uid, `extensions.${effect}`, data.entries[uid][effect]);
+            saveWorldInfo(name, data);
+        });
+        effectInput.val(entry[effect] ?? 0);
+        effectInput.css('width', 'calc(3em + 15px)');
+    }
+
+    template.find(".world_entry_timed_status").text(getTimedEffectsStatus(name, entry.uid));
+
+    // inclusion group
+    const groupInput = template.find('input[name="group"]');
+    groupInput.data("uid", entry.uid);
+    groupInput.on("input", function () {
+        const uid = $(this).data("uid");
+        const value = String($(this).val()).trim();
+        data.entries[uid].group = value;
+        setOriginalDataValue(data, uid, "extensions.group", data.entries[uid].group);
+        renderGroupStats(name, data);
+        saveWorldInfo(name, data);
+    });
+    groupInput.val(entry.group ?? '');
+
+    const groupWeightInput = template.find('input[name="groupWeight"]');
+    groupWeightInput.data("uid", entry.uid);
+    groupWeightInput.on("input", function () {
+        const uid = $(this).data("uid");
+        const value = Number($(this).val());
+        data.entries[uid].groupWeight = !isNaN(value) ? Math.max(0, value) : DEFAULT_GROUP_WEIGHT;
+        setOriginalDataValue(data, uid, "extensions.groupWeight", data.entries[uid].groupWeight);
+        renderGroupStats(name, data);
+        saveWorldInfo(name, data);
+    });
+    groupWeightInput.val(entry.groupWeight ?? DEFAULT_GROUP_WEIGHT);
+    groupWeightInput.css('width', 'calc(3em + 15px)');
+    groupWeightInput.parent().toggle(world_info_group_strategy_value === world_info_group_strategy.weighted_random);
+
+    // scan scope
+    const scanSourceInput = template.find('select[name="scanSource"]');
+    scanSourceInput.data("uid", entry.uid);
+    scanSourceInput.on("input", function () {
+        const uid = $(this).data("uid");
+        const value = Number($(this).val());
+        data.entries[uid].scanSource = value;
+        setOriginalDataValue(data, uid, "extensions.scanSource", data.entries[uid].scanSource);
+        saveWorldInfo(name, data);
+    });
+    scanSourceInput.val(entry.scanSource ?? world_info_scan_source.all);
+
+    const scanSpeakersInput = template.find('input[name="scanSpeakers"]');
+    scanSpeakersInput.data("uid", entry.uid);
+    scanSpeakersInput.on("input", function () {
+        const uid = $(this).data("uid");
+        const value = String($(this).val());
+        data.entries[uid].scanSpeakers = value.split(",").map((x) => x.trim()).filter((x) => x);
+        setOriginalDataValue(data, uid, "extensions.scanSpeakers", data.entries[uid].scanSpeakers);
+        saveWorldInfo(name, data);
+    });
+    scanSpeakersInput.val((entry.scanSpeakers ?? []).join(", "));
+
     // delete button
     const deleteButton = template.find(".delete_entry_button");
     deleteButton.data("uid", entry.uid);
@@ -1150,6 +1457,14 @@ function createWorldInfoEntry(name, data) {
         excludeRecursion: false,
         probability: 100,
         useProbability: true,
+        sticky: 0,
+        cooldown: 0,
+        delay: 0,
+        group: "",
+        groupWeight: DEFAULT_GROUP_WEIGHT,
+        scanSource: world_info_scan_source.all,
+        scanSpeakers: [],
+        vectorized: false,
     };
     const newUid = getFreeWorldEntryUid(data);
 
@@ -1338,7 +1653,7 @@ async function getCharacterLore() {
         }
 
         const data = await loadWorldInfoData(worldName);
-        const newEntries = data ? Object.keys(data.entries).map((x) => data.entries[x]) : [];
+        const newEntries = data ? Object.keys(data.entries).map((x) => ({ ...data.entries[x], world: worldName })) : [];
         entries = entries.concat(newEntries);
     }
 
@@ -1354,7 +1669,7 @@ async function getGlobalLore() {
     let entries = [];
     for (const worldName of selected_world_info) {
         const data = await loadWorldInfoData(worldName);
-        const newEntries = data ? Object.keys(data.entries).map((x) => data.entries[x]) : [];
+        const newEntries = data ? Object.keys(data.entries).map((x) => ({ ...data.entries[x], world: worldName })) : [];
         entries = entries.concat(newEntries);
     }
 
@@ -1376,18 +1691,39 @@ async function getChatLore() {
     }
 
     const data = await loadWorldInfoData(chatWorld);
-    const entries = data ? Object.keys(data.entries).map((x) => data.entries[x]) : [];
+    const entries = data ? Object.keys(data.entries).map((x) => ({ ...data.entries[x], world: chatWorld })) : [];
 
     console.debug(`Chat lore has ${entries.length} entries`);
 
     return entries;
 }
 
-async function getSortedEntries() {
+async function getSceneLore() {
+    const sceneWorld = getSceneWorldInfo();
+
+    if (!sceneWorld) {
+        return [];
+    }
+
+    if (selected_world_info.includes(sceneWorld) || chat_metadata[METADATA_KEY] === sceneWorld) {
+        console.debug(`Scene world ${sceneWorld} is already activated in global or chat world info! Skipping...`);
+        return [];
+    }
+
+    const data = await loadWorldInfoData(sceneWorld);
+    const entries = data ? Object.keys(data.entries).map((x) => ({ ...data.entries[x], world: sceneWorld })) : [];
+
+    console.debug(`Scene lore has ${entries.length} entries`);
+
+    return entries;
+}
+
+export async function getSortedEntries() {
     try {
         const globalLore = await getGlobalLore();
         const characterLore = await getCharacterLore();
         const chatLore = await getChatLore();
+        const sceneLore = await getSceneLore();
 
         let entries;
 
@@ -1410,8 +1746,8 @@ async function getSortedEntries() {
                 break;
         }
 
-        // Chat lore always goes first
-        entries = [...chatLore.sort(sortFn), ...entries];
+        // Chat lore always goes first, then the lore of the group scene location
+        entries = [...chatLore.sort(sortFn), ...sceneLore.sort(sortFn), ...entries];
 
         console.debug(`Sorted ${entries.length} world lore entries using strategy ${world_info_character_strategy}`);
 
@@ -1424,13 +1760,349 @@ async function getSortedEntries() {
     }
 }
 
-async function checkWorldInfo(chat, maxContext) {
+/**
+ * Creates an empty activation trace for a World Info scan.
+ * @param {object[]} entries Entries that will be scanned
+ * @param {number} budget Token budget
+ * @param {number} maxContext Context size
+ * @returns {object} Activation trace
+ */
+function createActivationTrace(entries, budget, maxContext) {
+    const records = new Map();
+
+    for (const entry of entries) {
+        records.set(entry, {
+            uid: entry.uid,
+            world: entry.world,
+            comment: entry.comment,
+            status: trace_status.no_match,
+            reason: '',
+            pass: 0,
+            primaryMatches: [],
+            secondaryMatches: [],
+            scope: '',
+            selectiveLogic: null,
+            logicResult: null,
+            roll: null,
+            probability: null,
+            tokensBefore: null,
+            tokensAfter: null,
+        });
+    }
+
+    return {
+        timestamp: Date.now(),
+        budget: budget,
+        maxContext: maxContext,
+        passes: 0,
+        overflowed: false,
+        scans: [],
+        groups: {},
+        records: records,
+    };
+}
+
+/**
+ * Sets the activation status of a trace record.
+ * @param {object} record Trace record
+ * @param {number} pass Scan pass number
+ * @param {string} status Status from trace_status
+ * @param {string} reason Optional explanation
+ */
+function setTraceStatus(record, pass, status, reason = '') {
+    record.status = status;
+    record.pass = pass;
+    record.reason = reason;
+}
+
+/**
+ * Records the outcome of the key matching for an entry.
+ * @param {object} record Trace record
+ * @param {number} pass Scan pass number
+ * @param {object} entry World Info entry
+ * @param {boolean} matched Whether the entry was selected for activation
+ */
+function traceKeyMatching(record, pass, entry, matched) {
+    if (record.selectiveLogic !== null) {
+        record.logicResult = matched;
+    }
+
+    if (matched) {
+        setTraceStatus(record, pass, trace_status.matched);
+    } else if (record.primaryMatches.length) {
+        setTraceStatus(record, pass, trace_status.logic_failed);
+    } else {
+        const hasKeys = Array.isArray(entry.key) && entry.key.length > 0;
+        setTraceStatus(record, pass, trace_status.no_match, hasKeys ? '' : 'Entry has no primary keys');
+    }
+}
+
+/**
+ * Stores the trace of the last scan and refreshes the trace panel if it's open.
+ * @param {object} trace Activation trace
+ */
+function setActivationTrace(trace) {
+    lastActivationTrace = trace;
+
+    if ($('#world_info_trace_panel').is(':visible')) {
+        renderTracePanel();
+    }
+}
+
+/**
+ * Gets the activation trace of the last World Info scan.
+ * @returns {object|null} Activation trace or null if nothing was scanned yet
+ */
+function getWorldInfoTrace() {
+    return lastActivationTrace;
+}
+
+/**
+ * Renders an activation trace to HTML.
+ * @param {object|null} trace Activation trace
+ * @param {string} filter Only show entries with a matching UID or title
+ * @returns {string} Rendered HTML
+ */
+function renderActivationTrace(trace, filter = '') {
+    if (!trace) {
+        return renderTemplate('worldInfoTrace', { hasTrace: false });
+    }
+
+    const needle = filter.trim().toLowerCase();
+    const records = [...trace.records.values()].filter(x => !needle || String(x.uid) === needle || String(x.comment ?? '').toLowerCase().includes(needle));
+    const activated = records.filter(x => x.status === trace_status.activated || x.status === trace_status.constant);
+    const unmatched = [trace_status.no_match, trace_status.disabled, trace_status.recursion_excluded, trace_status.filtered_character, trace_status.filtered_tag];
+
+    const entries = records.map(record => {
+        const details = [];
+
+        if (record.pass > 0) {
+            details.push(`Pass ${record.pass}`);
+        }
+
+        if (record.scope) {
+            details.push(record.scope);
+        }
+
+        if (record.primaryMatches.length) {
+            details.push(`Keys matched: ${record.primaryMatches.join(', ')}`);
+        }
+
+        if (record.selectiveLogic !== null) {
+            const logicLabel = selective_logic_labels[record.selectiveLogic] ?? record.selectiveLogic;
+            const secondary = record.secondaryMatches.length ? ` (secondary matched: ${record.secondaryMatches.join(', ')})` : '';
+            details.push(`${logicLabel} logic ${record.logicResult ? 'passed' : 'failed'}${secondary}`);
+        }
+
+        if (record.roll !== null) {
+            details.push(`Rolled ${record.roll.toFixed(1)} of ${record.probability}%`);
+        }
+
+        if (record.tokensAfter !== null) {
+            details.push(`Budget ${record.tokensBefore} → ${record.tokensAfter} of ${trace.budget} tokens`);
+        }
+
+        return {
+            uid: record.uid,
+            world: record.world,
+            comment: record.comment,
+            status: record.status,
+            statusLabel: trace_status_labels[record.status],
+            reason: record.reason,
+            details: details.join(' · '),
+            unmatched: unmatched.includes(record.status),
+        };
+    });
+
+    return renderTemplate('worldInfoTrace', {
+        hasTrace: true,
+        date: timestampToMoment(trace.timestamp).format('LL LTS'),
+        budget: trace.budget,
+        tokens: Math.max(0, ...activated.map(x => x.tokensAfter ?? 0)),
+        passes: trace.passes,
+        overflowed: trace.overflowed,
+        activatedCount: activated.length,
+        total: records.length,
+        scans: trace.scans.map(x => ({ pass: x.pass, text: x.text, length: x.text.length })),
+        entries: entries,
+    });
+}
+
+/**
+ * Renders the last activation trace into the panel of the World Info editor.
+ */
+function renderTracePanel() {
+    const panel = $('#world_info_trace_panel');
+    const matchedOnly = panel.find('.world_info_trace').hasClass('matched_only');
+    panel.html(renderActivationTrace(lastActivationTrace));
+    panel.find('.world_info_trace').toggleClass('matched_only', matchedOnly);
+    panel.find('.world_info_trace_matched_only').prop('checked', matchedOnly);
+}
+
+/**
+ * Shows the activation trace of the last World Info scan in a popup.
+ * @param {object} _ Named arguments
+ * @param {string} filter Entry UID or title to look for
+ * @returns {string} Empty string
+ */
+function onWorldInfoTraceCommand(_, filter) {
+    const content = $(renderActivationTrace(lastActivationTrace, String(filter ?? '')));
+    callPopup(content, 'text', '', { wide: true, large: true, okButton: 'Close' });
+    return '';
+}
+
+/**
+ * Gets the inclusion group of an entry.
+ * @param {object} entry World Info entry
+ * @returns {string} Group name or an empty string if the entry is not grouped
+ */
+function getEntryGroup(entry) {
+    return String(entry.group ?? '').trim();
+}
+
+/**
+ * Gets the weight of an entry for the weighted random group selection.
+ * @param {object} entry World Info entry
+ * @returns {number} Non-negative weight
+ */
+function getEntryGroupWeight(entry) {
+    const weight = Number(entry.groupWeight ?? DEFAULT_GROUP_WEIGHT);
+    return Number.isFinite(weight) ? Math.max(0, weight) : DEFAULT_GROUP_WEIGHT;
+}
+
+/**
+ * Picks the entry that gets inserted from each inclusion group of the matched entries that passed their probability roll.
+ * The rest of the group is removed from the matched set and won't be considered again during this scan.
+ * @param {Set<object>} activatedNow Entries matched in the current pass
+ * @param {Set<object>} allActivatedEntries Entries activated in the previous passes
+ * @param {Set<object>} stickyEntries Entries kept active by their sticky effect
+ * @param {Set<object>} groupExcluded Entries that lost their group
+ * @param {object} trace Activation trace
+ * @param {number} pass Scan pass number
+ */
+function filterByInclusionGroups(activatedNow, allActivatedEntries, stickyEntries, groupExcluded, trace, pass) {
+    const groups = new Map();
+
+    for (const entry of activatedNow) {
+        const group = getEntryGroup(entry);
+
+        if (!group) {
+            continue;
+        }
+
+        if (!groups.has(group)) {
+            groups.set(group, []);
+        }
+
+        groups.get(group).push(entry);
+    }
+
+    for (const [group, candidates] of groups) {
+        const active = [...allActivatedEntries].find(x => getEntryGroup(x) === group);
+        let winner = null;
+
+        if (active) {
+            console.debug(`WI group ${group} already has an active entry ${active.uid}`);
+        } else if (candidates.length === 1) {
+            continue;
+        } else if (candidates.some(x => stickyEntries.has(x))) {
+            winner = candidates.find(x => stickyEntries.has(x));
+        } else if (world_info_group_strategy_value === world_info_group_strategy.weighted_random) {
+            const totalWeight = candidates.reduce((sum, x) => sum + getEntryGroupWeight(x), 0);
+            let roll = Math.random() * totalWeight;
+            winner = candidates.find(x => (roll -= getEntryGroupWeight(x)) < 0) ?? candidates[0];
+        } else {
+            // Candidates come in the sorted order, so the first one wins a tie
+            winner = candidates.reduce((best, x) => x.order > best.order ? x : best);
+        }
+
+        const kept = active ?? winner;
+        console.debug(`WI group ${group}: picked entry ${kept.uid} from ${candidates.length} candidates`);
+        trace.groups[group] = { uid: kept.uid, world: kept.world, comment: kept.comment, candidates: candidates.length };
+
+        for (const entry of candidates) {
+            if (entry === winner) {
+                continue;
+            }
+
+            activatedNow.delete(entry);
+            groupExcluded.add(entry);
+            setTraceStatus(trace.records.get(entry), pass, trace_status.group_lost, `Group "${group}" went to ${kept.world} #${kept.uid}`);
+        }
+    }
+}
+
+/**
+ * Gets the text scanned for an entry that only looks at some of the speakers.
+ * @param {object} entry World Info entry
+ * @param {object[]|null} messages Chat message objects, newest first
+ * @param {{start: number, end: number}} range Indices of the scanned messages
+ * @param {Map<string, string>} cache Scan texts built during the current pass
+ * @returns {string|null} Text to scan or null if the entry scans everything
+ */
+function getRestrictedScanText(entry, messages, range, cache) {
+    const source = Number(entry.scanSource ?? world_info_scan_source.all);
+    const speakers = (Array.isArray(entry.scanSpeakers) ? entry.scanSpeakers : []).map(x => String(x).trim().toLowerCase()).filter(x => x);
+
+    if (source === world_info_scan_source.all && speakers.length === 0) {
+        return null;
+    }
+
+    if (!Array.isArray(messages)) {
+        console.debug(`WI entry ${entry.uid} has a speaker filter, but no messages were provided. Scanning everything.`);
+        return null;
+    }
+
+    const cacheKey = `${source}|${speakers.join(',')}`;
+
+    if (cache.has(cacheKey)) {
+        return cache.get(cacheKey);
+    }
+
+    const text = messages
+        .slice(range.start, range.end)
+        .filter(x => x && (source !== world_info_scan_source.user || x.is_user))
+        .filter(x => x && (source !== world_info_scan_source.character || !x.is_user))
+        .filter(x => speakers.length === 0 || speakers.includes(String(x.name ?? '').trim().toLowerCase()))
+        .map(x => x.mes)
+        .join('\n');
+
+    const result = transformString(text);
+    cache.set(cacheKey, result);
+    return result;
+}
+
+/**
+ * Describes the speaker filter of an entry.
+ * @param {object} entry World Info entry
+ * @returns {string} Description or an empty string if the entry scans everything
+ */
+function getScanScopeDescription(entry) {
+    const source = Number(entry.scanSource ?? world_info_scan_source.all);
+    const speakers = Array.isArray(entry.scanSpeakers) ? entry.scanSpeakers.filter(x => x) : [];
+    const parts = [];
+
+    if (source === world_info_scan_source.user) {
+        parts.push('user messages');
+    } else if (source === world_info_scan_source.character) {
+        parts.push('character messages');
+    }
+
+    if (speakers.length) {
+        parts.push(`from ${speakers.join(', ')}`);
+    }
+
+    return parts.length ? `Scanned ${parts.join(' ')} only` : '';
+}
+
+async function checkWorldInfo(chat, maxContext, messages = null, isDryRun = false) {
     const context = getContext();
     const messagesToLookBack = world_info_depth * 2 || 1;
 
     // Combine the chat
     let textToScan = chat.slice(0, messagesToLookBack).join("");
     let minActivationMsgIndex = messagesToLookBack; // tracks chat index to satisfy `world_info_min_activations`
+    let scanRange = { start: 0, end: messagesToLookBack };
 
     // Add the depth or AN if enabled
     // Put this code here since otherwise, the chat reference is modified
@@ -1458,6 +2130,7 @@ async function checkWorldInfo(chat, maxContext) {
     let count = 0;
     let allActivatedEntries = new Set();
     let failedProbabilityChecks = new Set();
+    let groupExcluded = new Set();
     let allActivatedText = '';
 
     let budget = Math.round(world_info_budget * maxContext / 100) || 1;
@@ -1469,18 +2142,31 @@ async function checkWorldInfo(chat, maxContext) {
 
     console.debug(`Context size: ${maxContext}; WI budget: ${budget} (max% = ${world_info_budget}%, cap = ${world_info_budget_cap})`);
     const sortedEntries = await getSortedEntries();
+    const trace = createActivationTrace(sortedEntries, budget, maxContext);
+    const chatLength = context.chat.length;
+    const timedEffects = getTimedEffects(chatLength);
+    const stickyEntries = new Set();
 
     if (sortedEntries.length === 0) {
+        if (!isDryRun) {
+            setActivationTrace(trace);
+            externalActivations.clear();
+        }
+
         return { worldInfoBefore: '', worldInfoAfter: '' };
     }
 
     while (needsToScan) {
         // Track how many times the loop has run
         count++;
+        trace.scans.push({ pass: count, text: textToScan });
 
         let activatedNow = new Set();
+        const restrictedScanCache = new Map();
 
         for (let entry of sortedEntries) {
+            const record = trace.records.get(entry);
+
             // Check if this entry applies to the character or if it's excluded
             if (entry.characterFilter && entry.characterFilter?.names?.length > 0) {
                 const nameIncluded = entry.characterFilter.names.includes(getCharaFilename());
@@ -1488,6 +2174,7 @@ async function checkWorldInfo(chat, maxContext) {
 
                 if (filtered) {
                     console.debug(`WI entry ${entry.uid} filtered out by character`);
+                    setTraceStatus(record, count, trace_status.filtered_character);
                     continue;
                 }
             }
@@ -1505,26 +2192,75 @@ async function checkWorldInfo(chat, maxContext) {
 
                         if (filtered) {
                             console.debug(`WI entry ${entry.uid} filtered out by tag`);
+                            setTraceStatus(record, count, trace_status.filtered_tag);
                             continue;
                         }
                     }
                 }
             }
 
-            if (failedProbabilityChecks.has(entry)) {
+            if (failedProbabilityChecks.has(entry) || groupExcluded.has(entry)) {
+                continue;
+            }
+
+            if (allActivatedEntries.has(entry)) {
+                continue;
+            }
+
+            if (entry.disable == true) {
+                setTraceStatus(record, count, trace_status.disabled);
+                continue;
+            }
+
+            if (count > 1 && world_info_recursive && entry.excludeRecursion) {
+                if (record.status === trace_status.no_match) {
+                    setTraceStatus(record, count, trace_status.recursion_excluded, 'Not matched in the chat, skipped in recursive scans');
+                }
+                continue;
+            }
+
+            if (entry.delay > 0 && chatLength < entry.delay) {
+                setTraceStatus(record, count, trace_status.delayed, `Can't activate until message #${entry.delay}`);
                 continue;
             }
 
-            if (allActivatedEntries.has(entry) || entry.disable == true || (count > 1 && world_info_recursive && entry.excludeRecursion)) {
+            const entryKey = getEntryKey(entry.world, entry.uid);
+
+            if (timedEffects.sticky[entryKey]) {
+                activatedNow.add(entry);
+                stickyEntries.add(entry);
+                setTraceStatus(record, count, trace_status.matched, `Sticky until message #${timedEffects.sticky[entryKey].end}`);
+                continue;
+            }
+
+            const cooldown = timedEffects.cooldown[entryKey];
+            if (cooldown && cooldown.start < chatLength) {
+                setTraceStatus(record, count, trace_status.cooldown, `Can't activate until message #${cooldown.end + 1}`);
                 continue;
             }
 
             if (entry.constant) {
                 entry.content = substituteParams(entry.content)
                 activatedNow.add(entry);
+                setTraceStatus(record, count, trace_status.constant);
+                continue;
+            }
+
+            if (externalActivations.has(entryKey)) {
+                activatedNow.add(entry);
+                setTraceStatus(record, count, trace_status.matched, 'Activated by an extension (vector similarity)');
                 continue;
             }
 
+            record.primaryMatches = [];
+            record.secondaryMatches = [];
+            record.selectiveLogic = null;
+            record.logicResult = null;
+            record.scope = getScanScopeDescription(entry);
+
+            // Entries restricted to some speakers don't see the recursion and Author's Note text
+            const entryScanText = getRestrictedScanText(entry, messages, scanRange, restrictedScanCache) ?? textToScan;
+
             if (Array.isArray(entry.key) && entry.key.length) { //check for keywords existing
                 // If selectiveLogic isn't found, assume it's AND, only do this once per entry
                 const selectiveLogic = entry.selectiveLogic ?? 0;
@@ -1532,8 +2268,9 @@ async function checkWorldInfo(chat, maxContext) {
                 primary: for (let key of entry.key) {
                     const substituted = substituteParams(key);
                     console.debug(`${entry.uid}: ${substituted}`)
-                    if (substituted && matchKeys(textToScan, substituted.trim())) {
+                    if (substituted && matchKeys(entryScanText, substituted.trim())) {
                         console.debug(`${entry.uid}: got primary match`)
+                        record.primaryMatches.push(substituted.trim());
                         //selective logic begins
                         if (
                             entry.selective && //all entries are selective now
@@ -1541,14 +2278,16 @@ async function checkWorldInfo(chat, maxContext) {
                             entry.keysecondary.length //ignore empties
                         ) {
                             console.debug(`uid:${entry.uid}: checking logic: ${entry.selectiveLogic}`)
+                            record.selectiveLogic = selectiveLogic;
                             secondary: for (let keysecondary of entry.keysecondary) {
                                 const secondarySubstituted = substituteParams(keysecondary);
                                 console.debug(`uid:${entry.uid}: filtering ${secondarySubstituted}`);
                                 //AND operator
                                 if (selectiveLogic === 0) {
                                     console.debug('saw AND logic, checking..')
-                                    if (secondarySubstituted && matchKeys(textToScan, secondarySubstituted.trim())) {
+                                    if (secondarySubstituted && matchKeys(entryScanText, secondarySubstituted.trim())) {
                                         console.debug(`activating entry ${entry.uid} with AND found`)
+                                        record.secondaryMatches.push(secondarySubstituted.trim());
                                         activatedNow.add(entry);
                                         break secondary;
                                     }
@@ -1556,8 +2295,9 @@ async function checkWorldInfo(chat, maxContext) {
                                 //NOT operator
                                 if (selectiveLogic === 1) {
                                     console.debug(`uid ${entry.uid}: checking NOT logic for ${secondarySubstituted}`)
-                                    if (secondarySubstituted && matchKeys(textToScan, secondarySubstituted.trim())) {
+                                    if (secondarySubstituted && matchKeys(entryScanText, secondarySubstituted.trim())) {
                                         console.debug(`uid ${entry.uid}: canceled; filtered out by ${secondarySubstituted}`)
+                                        record.secondaryMatches.push(secondarySubstituted.trim());
                                         notFlag = false;
                                         break primary;
                                     }
@@ -1577,29 +2317,51 @@ async function checkWorldInfo(chat, maxContext) {
                     activatedNow.add(entry);
                 }
             }
+
+            traceKeyMatching(record, count, entry, activatedNow.has(entry));
         }
 
-        needsToScan = world_info_recursive && activatedNow.size > 0;
-        const newEntries = [...activatedNow]
-            .sort((a, b) => sortedEntries.indexOf(a) - sortedEntries.indexOf(b));
-        let newContent = "";
-        const textToScanTokens = getTokenCount(allActivatedText);
-        const probabilityChecksBefore = failedProbabilityChecks.size;
+        // Rolled before the inclusion groups, so that a group goes to one of the entries that passed
         console.debug(`-- PROBABILITY CHECKS BEGIN --`)
-        for (const entry of newEntries) {
+        for (const entry of activatedNow) {
             const rollValue = Math.random() * 100;
+            const record = trace.records.get(entry);
 
+            // Sticky entries already passed their roll when they were activated
+            const isRolled = entry.useProbability && !stickyEntries.has(entry);
+
+            if (isRolled) {
+                record.roll = rollValue;
+                record.probability = entry.probability;
+            }
 
-            if (entry.useProbability && rollValue > entry.probability) {
+            if (isRolled && rollValue > entry.probability) {
                 console.debug(`WI entry ${entry.uid} ${entry.key} failed probability check, skipping`);
                 failedProbabilityChecks.add(entry);
-                continue;
+                activatedNow.delete(entry);
+                setTraceStatus(record, count, trace_status.probability_failed);
             } else { console.debug(`uid:${entry.uid} passed probability check, inserting to prompt`) }
+        }
+
+        filterByInclusionGroups(activatedNow, allActivatedEntries, stickyEntries, groupExcluded, trace, count);
 
+        // Stops when nothing passed the probability checks either
+        needsToScan = world_info_recursive && activatedNow.size > 0;
+        const newEntries = [...activatedNow]
+            .sort((a, b) => sortedEntries.indexOf(a) - sortedEntries.indexOf(b));
+        let newContent = "";
+        const textToScanTokens = getTokenCount(allActivatedText);
+        for (const entry of newEntries) {
+            const record = trace.records.get(entry);
+
+            record.tokensBefore = textToScanTokens + getTokenCount(newContent);
             newContent += `${substituteParams(entry.content)}\n`;
+            record.tokensAfter = textToScanTokens + getTokenCount(newContent);
 
-            if (textToScanTokens + getTokenCount(newContent) >= budget) {
+            if (record.tokensAfter >= budget) {
                 console.debug(`WI budget reached, stopping`);
+                newEntries.slice(newEntries.indexOf(entry))
+                    .forEach(x => setTraceStatus(trace.records.get(x), count, trace_status.budget_exceeded));
                 if (world_info_overflow_alert) {
                     console.log("Alerting");
                     toastr.warning(`World info budget reached after ${allActivatedEntries.size} entries.`, 'World Info');
@@ -1610,20 +2372,16 @@ async function checkWorldInfo(chat, maxContext) {
             }
 
             allActivatedEntries.add(entry);
-            console.debug('WI entry activated:', entry);
-        }
-
-        const probabilityChecksAfter = failedProbabilityChecks.size;
+            if (!isDryRun) {
+                startTimedEffects(timedEffects, entry, chatLength);
+            }
 
-        if ((probabilityChecksAfter - probabilityChecksBefore) === activatedNow.size) {
-            console.debug(`WI probability checks failed for all activated entries, stopping`);
-            needsToScan = false;
+            setTraceStatus(record, count, entry.constant ? trace_status.constant : trace_status.activated, record.reason);
+            console.debug('WI entry activated:', entry);
         }
 
         if (needsToScan) {
-            const text = newEntries
-                .filter(x => !failedProbabilityChecks.has(x))
-                .map(x => x.content).join('\n');
+            const text = newEntries.map(x => x.content).join('\n');
             const currentlyActivatedText = transformString(text);
             textToScan = (currentlyActivatedText + '\n' + textToScan);
             allActivatedText = (currentlyActivatedText + '\n' + allActivatedText);
@@ -1640,12 +2398,23 @@ async function checkWorldInfo(chat, maxContext) {
                 if (!over_max) {
                     needsToScan = true
                     textToScan = transformString(chat.slice(minActivationMsgIndex, minActivationMsgIndex + 1).join(""));
+                    scanRange = { start: minActivationMsgIndex, end: minActivationMsgIndex + 1 };
                     minActivationMsgIndex += 1
                 }
             }
         }
     }
 
+    trace.passes = count;
+    trace.overflowed = token_budget_overflowed;
+
+    // Dry runs and quiet prompts don't count as activations
+    if (!isDryRun) {
+        setActivationTrace(trace);
+        saveTimedEffects(timedEffects);
+        externalActivations.clear();
+    }
+
     // Forward-sorted list of entries for joining
     const WIBeforeEntries = [];
     const WIAfterEntries = [];
@@ -1695,7 +2464,80 @@ async function checkWorldInfo(chat, maxContext) {
     return { worldInfoBefore, worldInfoAfter, WIDepthEntries };
 }
 
+/**
+ * Parses a World Info key written as a regular expression literal, e.g. /dragons?/i.
+ * Unless the scan is case-sensitive, the scanned text is lowercased, so the expression is made case-insensitive too.
+ * @param {string} key Key to parse
+ * @returns {RegExp|null} Regular expression or null if the key is a plain string
+ */
+function parseRegexKey(key) {
+    if (!REGEX_KEY_LITERAL.test(key)) {
+        return null;
+    }
+
+    const cacheKey = `${world_info_case_sensitive}:${key}`;
+
+    if (regexKeyCache.has(cacheKey)) {
+        return regexKeyCache.get(cacheKey);
+    }
+
+    let regex = regexFromString(key) ?? null;
+
+    if (regex) {
+        // Global and sticky flags make test() stateful
+        let flags = regex.flags.replace(/[gy]/g, '');
+
+        if (!world_info_case_sensitive && !flags.includes('i')) {
+            flags += 'i';
+        }
+
+        regex = new RegExp(regex.source, flags);
+    } else {
+        console.warn(`Invalid regular expression in World Info key: ${key}`);
+    }
+
+    regexKeyCache.set(cacheKey, regex);
+    return regex;
+}
+
+/**
+ * Splits a comma-separated list of keys, keeping commas inside regular expression keys.
+ * Only keys that form a whole /…/flags literal are kept together, so a plain key like "/me" is split as usual.
+ * @param {string} value Keys separated by commas
+ * @returns {string[]} Trimmed non-empty keys
+ */
+function splitWorldInfoKeys(value) {
+    const parts = value.split(',');
+    const keys = [];
+
+    for (let i = 0; i < parts.length; i++) {
+        let key = parts[i];
+
+        if (key.trim().startsWith('/') && !REGEX_KEY_LITERAL.test(key.trim())) {
+            for (let j = i + 1; j < parts.length; j++) {
+                const joined = parts.slice(i, j + 1).join(',');
+
+                if (REGEX_KEY_LITERAL.test(joined.trim())) {
+                    key = joined;
+                    i = j;
+                    break;
+                }
+            }
+        }
+
+        keys.push(key);
+    }
+
+    return keys.map((x) => x.trim()).filter((x) => x);
+}
+
 function matchKeys(haystack, needle) {
+    const regexKey = parseRegexKey(needle);
+
+    if (regexKey) {
+        return regexKey.test(haystack);
+    }
+
     const transformedString = transformString(needle);
 
     if (world_info_match_whole_words) {
@@ -1828,6 +2670,14 @@ function convertCharacterBook(characterBook) {
             useProbability: entry.extensions?.useProbability ?? false,
             depth: entry.extensions?.depth ?? DEFAULT_DEPTH,
             selectiveLogic: entry.extensions?.selectiveLogic ?? 0,
+            sticky: entry.extensions?.sticky ?? 0,
+            cooldown: entry.extensions?.cooldown ?? 0,
+            delay: entry.extensions?.delay ?? 0,
+            group: entry.extensions?.group ?? '',
+            groupWeight: entry.extensions?.groupWeight ?? DEFAULT_GROUP_WEIGHT,
+            scanSource: entry.extensions?.scanSource ?? world_info_scan_source.all,
+            scanSpeakers: entry.extensions?.scanSpeakers ?? [],
+            vectorized: entry.extensions?.vectorized ?? false,
         };
     });
 
@@ -2079,6 +2929,7 @@ jQuery(() => {
 
     $(document).ready(function () {
         registerSlashCommand('world', onWorldInfoChange, [], '<span class="monospace">(optional name)</span> – sets active World, or unsets if no args provided', true, true);
+        registerSlashCommand('wi-trace', onWorldInfoTraceCommand, ['witrace'], '<span class="monospace">(optional entry UID or title)</span> – shows why World Info entries did or didn\'t activate during the last generation', true, true);
     })
 
 
@@ -2188,6 +3039,12 @@ jQuery(() => {
         saveSettings();
     });
 
+    $('#world_info_group_strategy').on('change', function () {
+        world_info_group_strategy_value = Number($(this).val());
+        saveSettings();
+        updateEditor(navigation_option.previous);
+    });
+
     $('#world_button').on('click', async function (event) {
         const chid = $('#set_character_world').data('chid');
 
@@ -2219,6 +3076,26 @@ jQuery(() => {
         updateEditor(navigation_option.previous);
     });
 
+    $('#world_info_trace_button').on('click', () => {
+        const panel = $('#world_info_trace_panel');
+        panel.toggleClass('displayNone');
+        $('#world_info_trace_button').toggleClass('active', !panel.hasClass('displayNone'));
+
+        if (!panel.hasClass('displayNone')) {
+            renderTracePanel();
+        }
+    });
+
+    eventSource.on(event_types.WORLDINFO_FORCE_ACTIVATE, (entries) => {
+        for (const entry of entries) {
+            externalActivations.add(getEntryKey(entry.world, entry.uid));
+        }
+    });
+
+    $(document).on('input', '.world_info_trace_matched_only', function () {
+        $(this).closest('.world_info_trace').toggleClass('matched_only', !!$(this).prop('checked'));
+    });
+
     $('#world_info_sort_order').on('change', function () {
         const value = String($(this).find(":selected").val());
         localStorage.setItem(SORT_ORDER_KEY, value);
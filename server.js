@@ -59,6 +59,8 @@ const { delay, getVersion, deepMerge, getConfigValue, color } = require('./src/u
 const { invalidateThumbnail, ensureThumbnailCache } = require('./src/thumbnails');
 const { getTokenizerModel, getTiktokenTokenizer, loadTokenizers, TEXT_COMPLETION_MODELS, getSentencepiceTokenizer, sentencepieceTokenizers } = require('./src/tokenizers');
 const { convertClaudePrompt } = require('./src/chat-completion');
+const { recordChatRevision, getCharacterChatRef, getGroupChatRef } = require('./src/chat-history');
+const { markCharacterChatChanged, markGroupChatChanged } = require('./src/chat-search');
 
 // Work around a node v20.0.0, v20.1.0, and v20.2.0 bug. The issue was fixed in v20.3.0.
 // https://github.com/nodejs/node/issues/47822#issuecomment-1564708870
@@ -735,7 +737,8 @@ app.post("/savechat", jsonParser, function (request, response) {
         let chat_data = request.body.chat;
         let jsonlData = chat_data.map(JSON.stringify).join('\n');
         writeFileAtomicSync(`${chatsPath + sanitize(dir_name)}/${sanitize(String(request.body.file_name))}.jsonl`, jsonlData, 'utf8');
-        backupChat(dir_name, jsonlData)
+        recordChatRevision(getCharacterChatRef(dir_name, String(request.body.file_name)), chat_data);
+        markCharacterChatChanged(dir_name, String(request.body.file_name));
         return response.send({ result: "ok" });
     } catch (error) {
         response.send(error);
@@ -1860,6 +1863,14 @@ function convertWorldInfoToCharacterBook(name, entries) {
                 useProbability: entry.useProbability ?? false,
                 depth: entry.depth ?? 4,
                 selectiveLogic: entry.selectiveLogic ?? 0,
+                sticky: entry.sticky ?? 0,
+                cooldown: entry.cooldown ?? 0,
+                delay: entry.delay ?? 0,
+                group: entry.group ?? '',
+                groupWeight: entry.groupWeight ?? 100,
+                scanSource: entry.scanSource ?? 0,
+                scanSpeakers: entry.scanSpeakers ?? [],
+                vectorized: entry.vectorized ?? false,
             },
         };
 
@@ -2632,6 +2643,9 @@ app.post('/creategroup', jsonParser, (request, response) => {
         avatar_url: request.body.avatar_url,
         allow_self_responses: !!request.body.allow_self_responses,
         activation_strategy: request.body.activation_strategy ?? 0,
+        director_context: request.body.director_context ?? 10,
+        parallel_candidates: request.body.parallel_candidates ?? 1,
+        auto_mode: request.body.auto_mode ?? {},
         generation_mode: request.body.generation_mode ?? 0,
         disabled_members: request.body.disabled_members ?? [],
         chat_metadata: request.body.chat_metadata ?? {},
@@ -2713,7 +2727,8 @@ app.post('/savegroupchat', jsonParser, (request, response) => {
     let chat_data = request.body.chat;
     let jsonlData = chat_data.map(JSON.stringify).join('\n');
     writeFileAtomicSync(pathToFile, jsonlData, 'utf8');
-    backupChat(String(id), jsonlData);
+    recordChatRevision(getGroupChatRef(String(id)), chat_data);
+    markGroupChatChanged(String(id));
     return response.send({ ok: true });
 });
 
@@ -3609,6 +3624,15 @@ require('./src/caption').registerEndpoints(app, jsonParser);
 // Web search extension
 require('./src/serpapi').registerEndpoints(app, jsonParser);
 
+// Full-text chat search
+require('./src/chat-search').registerEndpoints(app, jsonParser);
+
+// Chat revision history
+require('./src/chat-history').registerEndpoints(app, jsonParser);
+
+// Data bank file storage
+require('./src/files').registerEndpoints(app, jsonParser);
+
 const tavernUrl = new URL(
     (cliArguments.ssl ? 'https://' : 'http://') +
     (listen ? '0.0.0.0' : '127.0.0.1') +
@@ -3698,35 +3722,6 @@ function generateTimestamp() {
     return `${year}${month}${day}-${hours}${minutes}${seconds}`;
 }
 
-/**
- *
- * @param {string} name
- * @param {string} chat
- */
-function backupChat(name, chat) {
-    try {
-        const isBackupDisabled = getConfigValue('disableChatBackup', false);
-
-        if (isBackupDisabled) {
-            return;
-        }
-
-        if (!fs.existsSync(DIRECTORIES.backups)) {
-            fs.mkdirSync(DIRECTORIES.backups);
-        }
-
-        // replace non-alphanumeric characters with underscores
-        name = sanitize(name).replace(/[^a-z0-9]/gi, '_').toLowerCase();
-
-        const backupFile = path.join(DIRECTORIES.backups, `chat_${name}_${generateTimestamp()}.jsonl`);
-        writeFileAtomicSync(backupFile, chat, 'utf-8');
-
-        removeOldBackups(`chat_${name}_`);
-    } catch (err) {
-        console.log(`Could not backup chat for ${name}`, err);
-    }
-}
-
 function backupSettings() {
     try {
         if (!fs.existsSync(DIRECTORIES.backups)) {
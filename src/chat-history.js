@@ -0,0 +1,539 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const sanitize = require('sanitize-filename');
+const writeFileAtomicSync = require('write-file-atomic').sync;
+const { DIRECTORIES } = require('./constants');
+const { getConfigValue } = require('./util');
+
+// Every N-th revision is stored as a full snapshot to keep reconstruction cheap
+const SNAPSHOT_INTERVAL = 25;
+// Number of chats to keep the latest state of in memory
+const STATE_CACHE_SIZE = 20;
+// Largest LCS table to build for a diff, bigger changes are compared message by message
+const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * Latest known state of recently saved chats, keyed by the history file path.
+ * @type {Map<string, {id: number, lines: string[]}>}
+ */
+const stateCache = new Map();
+
+/**
+ * @typedef {object} ChatRef
+ * @property {'character'|'group'} type Chat type
+ * @property {string} owner Character directory name or group chat ID
+ * @property {string} chatPath Path to the chat file
+ * @property {string} historyPath Path to the revision log of the chat
+ */
+
+/**
+ * @typedef {object} Revision
+ * @property {number} id Revision ID, increasing with each save
+ * @property {number} timestamp Save time in milliseconds
+ * @property {number} count Number of lines in the chat file after the save
+ * @property {object[]} [snapshot] Full chat contents (snapshot revisions only)
+ * @property {{start: number, end: number, insert: object[]}} [delta] Lines kept from the start and the end of the previous revision, and lines inserted between them
+ */
+
+/**
+ * Gets the reference to a character chat file.
+ * @param {string} characterDirectory Character directory name (avatar without extension)
+ * @param {string} fileName Chat file name without extension
+ * @returns {ChatRef} Chat reference
+ */
+function getCharacterChatRef(characterDirectory, fileName) {
+    const directory = sanitize(characterDirectory);
+    const file = `${sanitize(fileName)}.jsonl`;
+
+    return {
+        type: 'character',
+        owner: directory,
+        chatPath: path.join(DIRECTORIES.chats, directory, file),
+        historyPath: path.join(DIRECTORIES.chatHistory, 'chats', directory, file),
+    };
+}
+
+/**
+ * Gets the reference to a group chat file.
+ * @param {string} chatId Group chat ID
+ * @returns {ChatRef} Chat reference
+ */
+function getGroupChatRef(chatId) {
+    const file = `${sanitize(chatId)}.jsonl`;
+
+    return {
+        type: 'group',
+        owner: sanitize(chatId),
+        chatPath: path.join(DIRECTORIES.groupChats, file),
+        historyPath: path.join(DIRECTORIES.chatHistory, 'group chats', file),
+    };
+}
+
+/**
+ * Reads all revisions of the chat.
+ * @param {ChatRef} ref Chat reference
+ * @returns {Revision[]} Revisions, oldest first
+ */
+function readRevisions(ref) {
+    if (!fs.existsSync(ref.historyPath)) {
+        return [];
+    }
+
+    return fs.readFileSync(ref.historyPath, 'utf8')
+        .split('\n')
+        .map(line => { try { return JSON.parse(line); } catch { return null; } })
+        .filter(x => x && typeof x.id === 'number');
+}
+
+/**
+ * Writes the revisions of the chat, replacing the existing log.
+ * @param {ChatRef} ref Chat reference
+ * @param {Revision[]} revisions Revisions to write
+ */
+function writeRevisions(ref, revisions) {
+    fs.mkdirSync(path.dirname(ref.historyPath), { recursive: true });
+    writeFileAtomicSync(ref.historyPath, revisions.map(x => JSON.stringify(x)).join('\n') + '\n', 'utf8');
+}
+
+/**
+ * Applies a revision on top of the previous chat state.
+ * @param {string[]} lines Previous chat lines
+ * @param {Revision} revision Revision to apply
+ * @returns {string[]} Chat lines after the revision
+ */
+function applyRevision(lines, revision) {
+    if (Array.isArray(revision.snapshot)) {
+        return revision.snapshot.map(x => JSON.stringify(x));
+    }
+
+    const { start, end, insert } = revision.delta;
+    return [
+        ...lines.slice(0, start),
+        ...insert.map(x => JSON.stringify(x)),
+        ...lines.slice(lines.length - end),
+    ];
+}
+
+/**
+ * Reconstructs the chat lines at the given revision.
+ * @param {Revision[]} revisions All revisions of the chat
+ * @param {number} revisionId Revision ID to reconstruct
+ * @returns {string[]|null} Chat lines or null if the revision doesn't exist
+ */
+function reconstructRevision(revisions, revisionId) {
+    const targetIndex = revisions.findIndex(x => x.id === revisionId);
+
+    if (targetIndex === -1) {
+        return null;
+    }
+
+    let snapshotIndex = targetIndex;
+    while (snapshotIndex > 0 && !Array.isArray(revisions[snapshotIndex].snapshot)) {
+        snapshotIndex--;
+    }
+
+    let lines = [];
+    for (let i = snapshotIndex; i <= targetIndex; i++) {
+        lines = applyRevision(lines, revisions[i]);
+    }
+
+    return lines;
+}
+
+/**
+ * Counts the lines that are the same at the start and at the end of two chat states.
+ * @param {string[]} before Previous chat lines
+ * @param {string[]} after New chat lines
+ * @returns {{start: number, end: number}} Number of common lines at the start and at the end
+ */
+function getCommonEnds(before, after) {
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) {
+        start++;
+    }
+
+    let end = 0;
+    while (end < before.length - start && end < after.length - start && before[before.length - 1 - end] === after[after.length - 1 - end]) {
+        end++;
+    }
+
+    return { start, end };
+}
+
+/**
+ * Computes a line delta between two chat states.
+ * @param {string[]} before Previous chat lines
+ * @param {string[]} after New chat lines
+ * @returns {{start: number, end: number, insert: object[]}} Delta
+ */
+function getDelta(before, after) {
+    const { start, end } = getCommonEnds(before, after);
+    const insert = after.slice(start, after.length - end).map(x => JSON.parse(x));
+    return { start, end, insert };
+}
+
+/**
+ * Gets the latest state of the chat from the cache or the revision log.
+ * @param {ChatRef} ref Chat reference
+ * @returns {{id: number, lines: string[]}} Latest state
+ */
+function getLatestState(ref) {
+    const cached = stateCache.get(ref.historyPath);
+
+    if (cached) {
+        return cached;
+    }
+
+    const revisions = readRevisions(ref);
+
+    if (!revisions.length) {
+        return { id: 0, lines: [] };
+    }
+
+    const last = revisions[revisions.length - 1];
+    return { id: last.id, lines: reconstructRevision(revisions, last.id) };
+}
+
+/**
+ * Remembers the latest state of the chat.
+ * @param {ChatRef} ref Chat reference
+ * @param {number} id Revision ID
+ * @param {string[]} lines Chat lines
+ */
+function cacheState(ref, id, lines) {
+    stateCache.delete(ref.historyPath);
+    stateCache.set(ref.historyPath, { id, lines });
+
+    while (stateCache.size > STATE_CACHE_SIZE) {
+        stateCache.delete(stateCache.keys().next().value);
+    }
+}
+
+/**
+ * Drops the oldest revisions above the configured limit. The new oldest revision is converted into a snapshot.
+ * @param {ChatRef} ref Chat reference
+ * @param {Revision[]} revisions All revisions of the chat
+ */
+function pruneRevisions(ref, revisions) {
+    const maxRevisions = Number(getConfigValue('maxChatRevisions', 100));
+
+    if (!maxRevisions || maxRevisions <= 0 || revisions.length <= maxRevisions) {
+        return;
+    }
+
+    const kept = revisions.slice(revisions.length - maxRevisions);
+    const first = kept[0];
+
+    if (!Array.isArray(first.snapshot)) {
+        const lines = reconstructRevision(revisions, first.id);
+        kept[0] = { id: first.id, timestamp: first.timestamp, count: first.count, snapshot: lines.map(x => JSON.parse(x)) };
+    }
+
+    writeRevisions(ref, kept);
+}
+
+/**
+ * Records a new revision of the chat. Does nothing if the chat didn't change since the last revision.
+ * @param {ChatRef} ref Chat reference
+ * @param {object[]} chat Chat contents as saved to the file
+ */
+function recordChatRevision(ref, chat) {
+    try {
+        if (getConfigValue('disableChatBackup', false)) {
+            return;
+        }
+
+        const lines = chat.map(x => JSON.stringify(x));
+        const latest = getLatestState(ref);
+
+        if (latest.lines.length === lines.length && latest.lines.every((x, i) => x === lines[i])) {
+            return;
+        }
+
+        const id = latest.id + 1;
+        /** @type {Revision} */
+        const revision = { id, timestamp: Date.now(), count: lines.length };
+
+        if (latest.id === 0 || id % SNAPSHOT_INTERVAL === 0) {
+            revision.snapshot = chat;
+        } else {
+            revision.delta = getDelta(latest.lines, lines);
+        }
+
+        fs.mkdirSync(path.dirname(ref.historyPath), { recursive: true });
+        fs.appendFileSync(ref.historyPath, JSON.stringify(revision) + '\n', 'utf8');
+        cacheState(ref, id, lines);
+
+        if (id % SNAPSHOT_INTERVAL === 0) {
+            pruneRevisions(ref, readRevisions(ref));
+        }
+    } catch (error) {
+        console.log(`Could not record chat revision for ${ref.chatPath}`, error);
+    }
+}
+
+/**
+ * Gets the edit operations that turn one list of lines into another, using their longest common subsequence.
+ * @param {string[]} before Older lines
+ * @param {string[]} after Newer lines
+ * @returns {{type: 'same'|'added'|'removed', i?: number, j?: number}[]} Operations with the line indexes
+ */
+function getLcsOperations(before, after) {
+    const n = before.length;
+    const m = after.length;
+    const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            table[i][j] = before[i] === after[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+        }
+    }
+
+    const operations = [];
+    let i = 0, j = 0;
+    while (i < n || j < m) {
+        if (i < n && j < m && before[i] === after[j]) {
+            operations.push({ type: 'same', i: i++, j: j++ });
+        } else if (i < n && (j === m || table[i + 1][j] >= table[i][j + 1])) {
+            operations.push({ type: 'removed', i: i++ });
+        } else {
+            operations.push({ type: 'added', j: j++ });
+        }
+    }
+
+    return operations;
+}
+
+/**
+ * Gets the edit operations that turn one list of lines into another by comparing the lines at the same position.
+ * Used when the lists are too long for the LCS table.
+ * @param {string[]} before Older lines
+ * @param {string[]} after Newer lines
+ * @returns {{type: 'same'|'added'|'removed', i?: number, j?: number}[]} Operations with the line indexes
+ */
+function getPositionalOperations(before, after) {
+    const operations = [];
+
+    for (let k = 0; k < Math.max(before.length, after.length); k++) {
+        if (k < before.length && k < after.length && before[k] === after[k]) {
+            operations.push({ type: 'same', i: k, j: k });
+            continue;
+        }
+
+        if (k < before.length) {
+            operations.push({ type: 'removed', i: k });
+        }
+
+        if (k < after.length) {
+            operations.push({ type: 'added', j: k });
+        }
+    }
+
+    return operations;
+}
+
+/**
+ * Computes a message-level diff between two chat states.
+ * @param {string[]} before Chat lines of the older revision
+ * @param {string[]} after Chat lines of the newer revision
+ * @returns {{type: 'same'|'added'|'removed'|'changed', before?: object, after?: object, beforeIndex?: number, afterIndex?: number}[]} Diff entries
+ */
+function diffChats(before, after) {
+    const { start, end } = getCommonEnds(before, after);
+    const middleBefore = before.slice(start, before.length - end);
+    const middleAfter = after.slice(start, after.length - end);
+
+    const n = middleBefore.length;
+    const m = middleAfter.length;
+    const operations = (n + 1) * (m + 1) > MAX_DIFF_CELLS
+        ? getPositionalOperations(middleBefore, middleAfter)
+        : getLcsOperations(middleBefore, middleAfter);
+
+    const result = [];
+    const parse = (line) => JSON.parse(line);
+
+    for (let k = 0; k < start; k++) {
+        result.push({ type: 'same', before: parse(before[k]), after: parse(after[k]), beforeIndex: k, afterIndex: k });
+    }
+
+    for (let k = 0; k < operations.length; k++) {
+        const operation = operations[k];
+        const next = operations[k + 1];
+
+        // A removal immediately followed by an addition is shown as an edit
+        if (operation.type === 'removed' && next && next.type === 'added') {
+            result.push({ type: 'changed', before: parse(middleBefore[operation.i]), after: parse(middleAfter[next.j]), beforeIndex: start + operation.i, afterIndex: start + next.j });
+            k++;
+            continue;
+        }
+
+        switch (operation.type) {
+            case 'same':
+                result.push({ type: 'same', before: parse(middleBefore[operation.i]), after: parse(middleAfter[operation.j]), beforeIndex: start + operation.i, afterIndex: start + operation.j });
+                break;
+            case 'added':
+                result.push({ type: 'added', after: parse(middleAfter[operation.j]), afterIndex: start + operation.j });
+                break;
+            case 'removed':
+                result.push({ type: 'removed', before: parse(middleBefore[operation.i]), beforeIndex: start + operation.i });
+                break;
+        }
+    }
+
+    for (let k = 0; k < end; k++) {
+        const beforeIndex = before.length - end + k;
+        const afterIndex = after.length - end + k;
+        result.push({ type: 'same', before: parse(before[beforeIndex]), after: parse(after[afterIndex]), beforeIndex, afterIndex });
+    }
+
+    return result;
+}
+
+/**
+ * Gets the chat reference from the request body.
+ * @param {any} body Request body
+ * @returns {ChatRef|null} Chat reference or null if the body doesn't identify a chat
+ */
+function getChatRefFromRequest(body) {
+    if (!body) {
+        return null;
+    }
+
+    if (body.group_chat_id) {
+        return getGroupChatRef(String(body.group_chat_id));
+    }
+
+    if (body.avatar_url && body.file_name) {
+        return getCharacterChatRef(String(body.avatar_url).replace('.png', ''), String(body.file_name));
+    }
+
+    return null;
+}
+
+/**
+ * Registers the endpoints for the chat revision history API
+ * @param {express.Express} app Express app
+ * @param {any} jsonParser JSON parser middleware
+ */
+function registerEndpoints(app, jsonParser) {
+    app.post('/api/chats/history/list', jsonParser, (request, response) => {
+        try {
+            const ref = getChatRefFromRequest(request.body);
+
+            if (!ref) {
+                return response.sendStatus(400);
+            }
+
+            const revisions = readRevisions(ref);
+            const result = [];
+            let lines = [];
+
+            for (const revision of revisions) {
+                const previous = lines;
+                lines = applyRevision(lines, revision);
+                const { start, end } = revision.delta ?? getCommonEnds(previous, lines);
+                const added = lines.length - start - end;
+                const removed = previous.length - start - end;
+                result.push({ id: revision.id, timestamp: revision.timestamp, count: revision.count, added, removed });
+            }
+
+            return response.send(result.reverse());
+        } catch (error) {
+            console.error(error);
+            return response.sendStatus(500);
+        }
+    });
+
+    app.post('/api/chats/history/get', jsonParser, (request, response) => {
+        try {
+            const ref = getChatRefFromRequest(request.body);
+
+            if (!ref || request.body.revision === undefined) {
+                return response.sendStatus(400);
+            }
+
+            const lines = reconstructRevision(readRevisions(ref), Number(request.body.revision));
+
+            if (!lines) {
+                return response.sendStatus(404);
+            }
+
+            return response.send(lines.map(x => JSON.parse(x)));
+        } catch (error) {
+            console.error(error);
+            return response.sendStatus(500);
+        }
+    });
+
+    app.post('/api/chats/history/diff', jsonParser, (request, response) => {
+        try {
+            const ref = getChatRefFromRequest(request.body);
+
+            if (!ref || request.body.from === undefined || request.body.to === undefined) {
+                return response.sendStatus(400);
+            }
+
+            const revisions = readRevisions(ref);
+            const before = reconstructRevision(revisions, Number(request.body.from));
+            const after = reconstructRevision(revisions, Number(request.body.to));
+
+            if (!before || !after) {
+                return response.sendStatus(404);
+            }
+
+            return response.send(diffChats(before, after));
+        } catch (error) {
+            console.error(error);
+            return response.sendStatus(500);
+        }
+    });
+
+    app.post('/api/chats/history/restore', jsonParser, (request, response) => {
+        try {
+            const ref = getChatRefFromRequest(request.body);
+
+            if (!ref || request.body.revision === undefined) {
+                return response.sendStatus(400);
+            }
+
+            const lines = reconstructRevision(readRevisions(ref), Number(request.body.revision));
+
+            if (!lines) {
+                return response.sendStatus(404);
+            }
+
+            const chat = lines.map(x => JSON.parse(x));
+            const fork = !!request.body.fork;
+            let targetRef = ref;
+
+            if (fork) {
+                const newName = sanitize(String(request.body.new_name ?? ''));
+
+                if (!newName) {
+                    return response.sendStatus(400);
+                }
+
+                targetRef = ref.type === 'group' ? getGroupChatRef(newName) : getCharacterChatRef(ref.owner, newName);
+
+                if (fs.existsSync(targetRef.chatPath)) {
+                    return response.status(409).send({ error: true, message: 'A chat with this name already exists.' });
+                }
+            }
+
+            writeFileAtomicSync(targetRef.chatPath, lines.join('\n'), 'utf8');
+            recordChatRevision(targetRef, chat);
+
+            return response.send({ ok: true, file_name: path.parse(targetRef.chatPath).name });
+        } catch (error) {
+            console.error(error);
+            return response.sendStatus(500);
+        }
+    });
+}
+
+module.exports = {
+    registerEndpoints,
+    recordChatRevision,
+    getCharacterChatRef,
+    getGroupChatRef,
+};
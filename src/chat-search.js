@@ -0,0 +1,717 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const json5 = require('json5');
+const sanitize = require('sanitize-filename');
+const writeFileAtomic = require('write-file-atomic');
+const { DIRECTORIES } = require('./constants');
+
+const INDEX_VERSION = 3;
+const INDEX_DIRECTORY = path.join(process.cwd(), 'cache', 'chat-search');
+const MANIFEST_PATH = path.join(INDEX_DIRECTORY, 'index.json');
+// Chats saved through the API are re-indexed right away, other changes are picked up by a scan at most this often
+const SCAN_INTERVAL = 60 * 1000;
+const SNIPPET_RADIUS = 80;
+const DEFAULT_LIMIT = 100;
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+/**
+ * In-memory copy of the index manifest. Keyed by chat file path relative to the chats root.
+ * Messages and their word positions are stored in one shard file per chat and only read for the chats that can match.
+ * @type {{version: number, files: Object<string, IndexedFile>} | null}
+ */
+let searchIndex = null;
+
+/**
+ * Inverted index of the words in the manifest: word → keys of the chats that contain it.
+ * @type {Map<string, Set<string>>}
+ */
+const wordIndex = new Map();
+
+/**
+ * Chats saved since the last index update, by key.
+ * @type {Map<string, ChatFile>}
+ */
+const changedChats = new Map();
+
+/**
+ * Time of the last scan of the chat directories.
+ */
+let lastScan = 0;
+
+/**
+ * Index update in progress, shared by concurrent requests.
+ * @type {Promise<{version: number, files: Object<string, IndexedFile>}> | null}
+ */
+let pendingUpdate = null;
+
+/**
+ * @typedef {object} IndexedMessage
+ * @property {number} id Message ID in the chat (0-based, header line excluded)
+ * @property {string} name Sender name
+ * @property {boolean} is_user Whether the message was sent by the user
+ * @property {string} send_date Original send date string
+ * @property {number|null} timestamp Parsed send date in milliseconds
+ * @property {string} text Message text
+ */
+
+/**
+ * @typedef {object} IndexedFile
+ * @property {'character'|'group'} type Chat type
+ * @property {string} owner Character directory name (avatar without extension) or group chat ID
+ * @property {string} file_name Chat file name without extension
+ * @property {number} mtimeMs Last modification time of the indexed file
+ * @property {number} size Size of the indexed file
+ * @property {string} shard Name of the shard file with the indexed messages
+ * @property {string[]} words Words used in the messages
+ * @property {string[]} names Lowercase sender names
+ * @property {number|null} minTimestamp Earliest message send date
+ * @property {number|null} maxTimestamp Latest message send date
+ */
+
+/**
+ * @typedef {object} Shard
+ * @property {IndexedMessage[]} messages Indexed messages
+ * @property {Object<string, number[]>} words IDs of the messages that contain each word
+ */
+
+/**
+ * @typedef {object} ChatFile
+ * @property {string} key Chat file path relative to the chats root
+ * @property {string} pathToFile Path to the chat file
+ * @property {'character'|'group'} type Chat type
+ * @property {string} owner Character directory name or group chat ID
+ * @property {string} file_name Chat file name without extension
+ */
+
+/**
+ * Parses a message send date in any of the formats used by SillyTavern.
+ * @param {string|number} sendDate Message send date
+ * @returns {number|null} Timestamp in milliseconds or null if the date could not be parsed
+ */
+function parseSendDate(sendDate) {
+    if (!sendDate) {
+        return null;
+    }
+
+    if (typeof sendDate === 'number') {
+        return sendDate;
+    }
+
+    const value = String(sendDate);
+
+    // Humanized format: 2023-6-19 @14h 20m 05s 123ms
+    const humanized = /(\d{4})-(\d{1,2})-(\d{1,2}) ?@(\d{1,2})h ?(\d{1,2})m ?(\d{1,2})s(?: ?(\d{1,3})ms)?/.exec(value);
+    if (humanized) {
+        const [, year, month, day, hour, minute, second, ms] = humanized.map(Number);
+        return new Date(year, month - 1, day, hour, minute, second, ms || 0).getTime();
+    }
+
+    // Message timestamp format: June 19, 2023 2:20pm
+    const timestamp = /(\w+)\s(\d{1,2}),\s(\d{4})\s(\d{1,2}):(\d{1,2})(am|pm)/i.exec(value);
+    if (timestamp) {
+        const monthIndex = MONTHS.indexOf(timestamp[1].toLowerCase());
+        if (monthIndex !== -1) {
+            const hour = (Number(timestamp[4]) % 12) + (timestamp[6].toLowerCase() === 'pm' ? 12 : 0);
+            return new Date(Number(timestamp[3]), monthIndex, Number(timestamp[2]), hour, Number(timestamp[5])).getTime();
+        }
+    }
+
+    const parsed = Date.parse(value);
+    return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Splits a text into lowercase words for the word index.
+ * @param {string} text Text to split
+ * @returns {string[]} Words, with repeats
+ */
+function getWords(text) {
+    return String(text).toLowerCase().match(/[\p{L}\p{N}_]+/gu) ?? [];
+}
+
+/**
+ * Adds the words of an indexed chat to the word index, or removes them.
+ * @param {string} key Chat key
+ * @param {IndexedFile} file Indexed chat file
+ * @param {boolean} add Whether to add or remove the words
+ */
+function updateWordIndex(key, file, add) {
+    for (const word of file.words) {
+        if (add) {
+            if (!wordIndex.has(word)) {
+                wordIndex.set(word, new Set());
+            }
+
+            wordIndex.get(word).add(key);
+        } else {
+            wordIndex.get(word)?.delete(key);
+
+            if (wordIndex.get(word)?.size === 0) {
+                wordIndex.delete(word);
+            }
+        }
+    }
+}
+
+/**
+ * Loads the index manifest from disk, creating an empty one if it doesn't exist or is outdated.
+ * @returns {Promise<{version: number, files: Object<string, IndexedFile>}>} Search index
+ */
+async function loadIndex() {
+    if (searchIndex) {
+        return searchIndex;
+    }
+
+    searchIndex = { version: INDEX_VERSION, files: {} };
+
+    try {
+        const data = JSON.parse(await fs.promises.readFile(MANIFEST_PATH, 'utf8'));
+
+        if (data && data.version === INDEX_VERSION && typeof data.files === 'object') {
+            searchIndex = data;
+        } else {
+            console.log('Chat search index is outdated, rebuilding');
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Could not read chat search index, rebuilding', error);
+        }
+    }
+
+    wordIndex.clear();
+
+    for (const [key, file] of Object.entries(searchIndex.files)) {
+        updateWordIndex(key, file, true);
+    }
+
+    return searchIndex;
+}
+
+/**
+ * Writes the index manifest to disk.
+ */
+async function saveIndex() {
+    try {
+        await fs.promises.mkdir(INDEX_DIRECTORY, { recursive: true });
+        await writeFileAtomic(MANIFEST_PATH, JSON.stringify(searchIndex), 'utf8');
+    } catch (error) {
+        console.error('Could not save chat search index', error);
+    }
+}
+
+/**
+ * Gets the shard file name for a chat.
+ * @param {string} key Chat file path relative to the chats root
+ * @returns {string} Shard file name
+ */
+function getShardName(key) {
+    return crypto.createHash('sha1').update(key).digest('hex') + '.json';
+}
+
+/**
+ * Reads the indexed messages of a chat.
+ * @param {IndexedFile} file Indexed chat file
+ * @returns {Promise<Shard>} Shard contents, empty if the shard could not be read
+ */
+async function readShard(file) {
+    try {
+        return JSON.parse(await fs.promises.readFile(path.join(INDEX_DIRECTORY, file.shard), 'utf8'));
+    } catch (error) {
+        console.error(`Could not read chat search index of ${file.file_name}`, error);
+        return { messages: [], words: {} };
+    }
+}
+
+/**
+ * Reads the messages of a chat file for indexing.
+ * @param {string} pathToFile Path to the chat file
+ * @returns {Promise<IndexedMessage[]>} Indexed messages
+ */
+async function readChatMessages(pathToFile) {
+    const lines = (await fs.promises.readFile(pathToFile, 'utf8')).split('\n');
+    const messages = [];
+
+    for (const line of lines) {
+        if (!line.trim()) {
+            continue;
+        }
+
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch {
+            continue;
+        }
+
+        // Skip the chat header with metadata
+        if (!message || typeof message !== 'object' || (message.chat_metadata !== undefined && message.mes === undefined)) {
+            continue;
+        }
+
+        messages.push({
+            id: messages.length,
+            name: String(message.name ?? ''),
+            is_user: !!message.is_user,
+            send_date: String(message.send_date ?? ''),
+            timestamp: parseSendDate(message.send_date),
+            text: String(message.mes ?? ''),
+        });
+    }
+
+    return messages;
+}
+
+/**
+ * Gets the chat file of a character chat.
+ * @param {string} characterDirectory Character directory name (avatar without extension)
+ * @param {string} fileName Chat file name without extension
+ * @returns {ChatFile} Chat file
+ */
+function getCharacterChatFile(characterDirectory, fileName) {
+    const file = `${fileName}.jsonl`;
+
+    return {
+        key: `chats/${characterDirectory}/${file}`,
+        pathToFile: path.join(DIRECTORIES.chats, characterDirectory, file),
+        type: 'character',
+        owner: characterDirectory,
+        file_name: fileName,
+    };
+}
+
+/**
+ * Gets the chat file of a group chat.
+ * @param {string} chatId Group chat ID
+ * @returns {ChatFile} Chat file
+ */
+function getGroupChatFile(chatId) {
+    const file = `${chatId}.jsonl`;
+
+    return {
+        key: `group chats/${file}`,
+        pathToFile: path.join(DIRECTORIES.groupChats, file),
+        type: 'group',
+        owner: chatId,
+        file_name: chatId,
+    };
+}
+
+/**
+ * Marks a character chat to be re-indexed before the next search.
+ * @param {string} characterDirectory Character directory name (avatar without extension)
+ * @param {string} fileName Chat file name without extension
+ */
+function markCharacterChatChanged(characterDirectory, fileName) {
+    const chatFile = getCharacterChatFile(sanitize(characterDirectory), sanitize(fileName));
+    changedChats.set(chatFile.key, chatFile);
+}
+
+/**
+ * Marks a group chat to be re-indexed before the next search.
+ * @param {string} chatId Group chat ID
+ */
+function markGroupChatChanged(chatId) {
+    const chatFile = getGroupChatFile(sanitize(chatId));
+    changedChats.set(chatFile.key, chatFile);
+}
+
+/**
+ * Lists all chat files that should be present in the index.
+ * @returns {Promise<ChatFile[]>} Chat files
+ */
+async function listChatFiles() {
+    const result = [];
+    // Missing directories have no chats
+    const readDirectory = (pathToDirectory, options) => fs.promises.readdir(pathToDirectory, options).catch(() => []);
+
+    const characterDirectories = (await readDirectory(DIRECTORIES.chats, { withFileTypes: true })).filter(x => x.isDirectory());
+
+    for (const directory of characterDirectories) {
+        const files = (await readDirectory(path.join(DIRECTORIES.chats, directory.name))).filter(x => path.extname(x) === '.jsonl');
+        result.push(...files.map(x => getCharacterChatFile(directory.name, path.parse(x).name)));
+    }
+
+    const groupChatFiles = (await readDirectory(DIRECTORIES.groupChats)).filter(x => path.extname(x) === '.jsonl');
+    result.push(...groupChatFiles.map(x => getGroupChatFile(path.parse(x).name)));
+
+    return result;
+}
+
+/**
+ * Brings the index up to date. Saved chats are re-indexed on every update,
+ * the chat directories are scanned for other changes at most once per SCAN_INTERVAL.
+ * @param {boolean} [forceScan] Scan the chat directories even if the last scan is recent
+ * @returns {Promise<{version: number, files: Object<string, IndexedFile>}>} Updated search index
+ */
+function updateIndex(forceScan = false) {
+    pendingUpdate ??= refreshIndex(forceScan).finally(() => pendingUpdate = null);
+    return pendingUpdate;
+}
+
+/**
+ * Re-indexes a chat file, or drops it from the index if it no longer exists.
+ * @param {{version: number, files: Object<string, IndexedFile>}} index Search index
+ * @param {ChatFile} chatFile Chat file
+ * @returns {Promise<boolean>} True if the index changed
+ */
+async function indexChatFile(index, chatFile) {
+    const existing = index.files[chatFile.key];
+    const stat = await fs.promises.stat(chatFile.pathToFile).catch(() => null);
+
+    if (!stat) {
+        if (!existing) {
+            return false;
+        }
+
+        updateWordIndex(chatFile.key, existing, false);
+        delete index.files[chatFile.key];
+        await fs.promises.rm(path.join(INDEX_DIRECTORY, existing.shard), { force: true });
+        return true;
+    }
+
+    if (existing && existing.mtimeMs === stat.mtimeMs && existing.size === stat.size) {
+        return false;
+    }
+
+    const messages = await readChatMessages(chatFile.pathToFile);
+    const words = {};
+
+    for (const message of messages) {
+        for (const word of new Set(getWords(message.text))) {
+            (words[word] ??= []).push(message.id);
+        }
+    }
+
+    const timestamps = messages.map(x => x.timestamp).filter(x => x !== null);
+    const shard = getShardName(chatFile.key);
+
+    await fs.promises.mkdir(INDEX_DIRECTORY, { recursive: true });
+    await writeFileAtomic(path.join(INDEX_DIRECTORY, shard), JSON.stringify({ messages, words }), 'utf8');
+
+    if (existing) {
+        updateWordIndex(chatFile.key, existing, false);
+    }
+
+    index.files[chatFile.key] = {
+        type: chatFile.type,
+        owner: chatFile.owner,
+        file_name: chatFile.file_name,
+        mtimeMs: stat.mtimeMs,
+        size: stat.size,
+        shard: shard,
+        words: Object.keys(words),
+        names: [...new Set(messages.map(x => x.name.toLowerCase()))],
+        minTimestamp: timestamps.length ? Math.min(...timestamps) : null,
+        maxTimestamp: timestamps.length ? Math.max(...timestamps) : null,
+    };
+    updateWordIndex(chatFile.key, index.files[chatFile.key], true);
+    return true;
+}
+
+/**
+ * Re-indexes the changed chat files. Use updateIndex to avoid concurrent updates.
+ * @param {boolean} forceScan Scan the chat directories even if the last scan is recent
+ * @returns {Promise<{version: number, files: Object<string, IndexedFile>}>} Updated search index
+ */
+async function refreshIndex(forceScan) {
+    const index = await loadIndex();
+    const chatFiles = new Map(changedChats);
+    const isScan = forceScan || Date.now() - lastScan > SCAN_INTERVAL;
+    let changed = false;
+
+    changedChats.clear();
+
+    if (isScan) {
+        lastScan = Date.now();
+        const existingFiles = await listChatFiles();
+        existingFiles.forEach(x => chatFiles.set(x.key, x));
+
+        // Files that were not found are dropped by indexChatFile
+        for (const [key, file] of Object.entries(index.files)) {
+            if (!chatFiles.has(key)) {
+                chatFiles.set(key, { key, pathToFile: '', type: file.type, owner: file.owner, file_name: file.file_name });
+            }
+        }
+    }
+
+    for (const chatFile of chatFiles.values()) {
+        try {
+            changed = await indexChatFile(index, chatFile) || changed;
+        } catch (error) {
+            console.error(`Could not index chat file ${chatFile.pathToFile}`, error);
+        }
+    }
+
+    if (changed) {
+        await saveIndex();
+    }
+
+    return index;
+}
+
+/**
+ * Splits the search query into lowercase terms. Double-quoted phrases are kept together.
+ * @param {string} query Search query
+ * @returns {string[]} Search terms
+ */
+function getSearchTerms(query) {
+    const terms = [];
+    const pattern = /"([^"]+)"|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(query)) !== null) {
+        const term = (match[1] ?? match[2]).trim().toLowerCase();
+
+        if (term) {
+            terms.push(term);
+        }
+    }
+
+    return terms;
+}
+
+/**
+ * Makes a short excerpt of the message text around the first matched term.
+ * @param {string} text Message text
+ * @param {string[]} terms Search terms
+ * @returns {string} Snippet
+ */
+function getSnippet(text, terms) {
+    const lowerText = text.toLowerCase();
+    const position = terms.length ? Math.max(0, lowerText.indexOf(terms[0])) : 0;
+    const start = Math.max(0, position - SNIPPET_RADIUS);
+    const end = Math.min(text.length, position + SNIPPET_RADIUS);
+
+    return (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+}
+
+/**
+ * Gets the chat IDs that belong to the group.
+ * @param {string} groupId Group ID
+ * @returns {Promise<string[]>} Group chat IDs
+ */
+async function getGroupChatIds(groupId) {
+    const pathToGroup = path.join(DIRECTORIES.groups, sanitize(`${groupId}.json`));
+
+    const data = await fs.promises.readFile(pathToGroup, 'utf8').catch(() => null);
+
+    if (data === null) {
+        return [];
+    }
+
+    const group = json5.parse(data);
+    return Array.isArray(group.chats) ? group.chats.map(String) : [];
+}
+
+/**
+ * Gets the keys of the chats that contain a word starting with each of the query words.
+ * @param {string[]} queryWords Words of the search terms
+ * @returns {Set<string>|null} Chat keys, or null if there are no query words to look up
+ */
+function findChatsWithWords(queryWords) {
+    let result = null;
+
+    for (const queryWord of queryWords) {
+        const keys = new Set();
+
+        for (const [word, wordKeys] of wordIndex) {
+            if (word.startsWith(queryWord)) {
+                wordKeys.forEach(x => keys.add(x));
+            }
+        }
+
+        result = result ? new Set([...result].filter(x => keys.has(x))) : keys;
+
+        if (result.size === 0) {
+            break;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Gets the IDs of the messages that contain a word starting with each of the query words.
+ * @param {Shard} shard Shard of the chat
+ * @param {string[]} queryWords Words of the search terms
+ * @returns {Set<number>|null} Message IDs, or null if there are no query words to look up
+ */
+function findMessagesWithWords(shard, queryWords) {
+    let result = null;
+
+    for (const queryWord of queryWords) {
+        const ids = new Set();
+
+        for (const [word, wordIds] of Object.entries(shard.words)) {
+            if (word.startsWith(queryWord)) {
+                wordIds.forEach(x => ids.add(x));
+            }
+        }
+
+        result = result ? new Set([...result].filter(x => ids.has(x))) : ids;
+    }
+
+    return result;
+}
+
+/**
+ * Searches all indexed chats. The word index narrows the search to the chats and messages
+ * that contain words starting with the query words, and only their shards are read.
+ * @param {object} options Search options
+ * @param {string} [options.query] Text to find in the message
+ * @param {string} [options.name] Sender name filter (partial match)
+ * @param {number|null} [options.dateFrom] Lower send date bound in milliseconds
+ * @param {number|null} [options.dateTo] Upper send date bound in milliseconds
+ * @param {string} [options.character] Character directory name to limit the search to
+ * @param {string[]} [options.groupChats] Group chat IDs to limit the search to
+ * @param {number} [options.limit] Maximum number of results
+ * @returns {Promise<{total: number, results: object[]}>} Search results
+ */
+async function searchChats({ query = '', name = '', dateFrom = null, dateTo = null, character = '', groupChats = null, limit = DEFAULT_LIMIT }) {
+    const index = await updateIndex();
+    const terms = getSearchTerms(query);
+    const queryWords = [...new Set(terms.flatMap(getWords))];
+    const chatKeys = findChatsWithWords(queryWords);
+    const nameFilter = name.trim().toLowerCase();
+    const results = [];
+
+    for (const [key, file] of Object.entries(index.files)) {
+        if (chatKeys && !chatKeys.has(key)) {
+            continue;
+        }
+
+        if (character && (file.type !== 'character' || file.owner !== character)) {
+            continue;
+        }
+
+        if (Array.isArray(groupChats) && (file.type !== 'group' || !groupChats.includes(file.owner))) {
+            continue;
+        }
+
+        if (nameFilter && !file.names.some(x => x.includes(nameFilter))) {
+            continue;
+        }
+
+        if ((dateFrom !== null || dateTo !== null) && file.minTimestamp === null) {
+            continue;
+        }
+
+        if ((dateFrom !== null && file.maxTimestamp < dateFrom) || (dateTo !== null && file.minTimestamp > dateTo)) {
+            continue;
+        }
+
+        const shard = await readShard(file);
+        const messageIds = findMessagesWithWords(shard, queryWords);
+        const messages = messageIds ? shard.messages.filter(x => messageIds.has(x.id)) : shard.messages;
+
+        for (const message of messages) {
+            if (nameFilter && !message.name.toLowerCase().includes(nameFilter)) {
+                continue;
+            }
+
+            if ((dateFrom !== null || dateTo !== null) && message.timestamp === null) {
+                continue;
+            }
+
+            if (dateFrom !== null && message.timestamp < dateFrom) {
+                continue;
+            }
+
+            if (dateTo !== null && message.timestamp > dateTo) {
+                continue;
+            }
+
+            // Phrases and terms with punctuation are only narrowed down by their words
+            const lowerText = message.text.toLowerCase();
+
+            if (!terms.every(term => lowerText.includes(term))) {
+                continue;
+            }
+
+            results.push({
+                type: file.type,
+                owner: file.owner,
+                file_name: file.file_name,
+                mesId: message.id,
+                name: message.name,
+                is_user: message.is_user,
+                send_date: message.send_date,
+                timestamp: message.timestamp,
+                snippet: getSnippet(message.text, terms),
+            });
+        }
+    }
+
+    results.sort((a, b) => (b.timestamp ?? 0) - (a.timestamp ?? 0));
+    return { total: results.length, results: results.slice(0, limit) };
+}
+
+/**
+ * Converts a date filter value from the request into a timestamp.
+ * @param {any} value Date string or timestamp
+ * @returns {number|null} Timestamp in milliseconds or null if not set
+ */
+function getDateFilter(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    const timestamp = typeof value === 'number' ? value : Date.parse(String(value));
+    return isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * Registers the endpoints for the chat search API
+ * @param {express.Express} app Express app
+ * @param {any} jsonParser JSON parser middleware
+ */
+function registerEndpoints(app, jsonParser) {
+    app.post('/api/chats/search', jsonParser, async (request, response) => {
+        try {
+            if (!request.body) {
+                return response.sendStatus(400);
+            }
+
+            const query = String(request.body.query ?? '');
+            const name = String(request.body.name ?? '');
+            const dateFrom = getDateFilter(request.body.dateFrom);
+            const dateTo = getDateFilter(request.body.dateTo);
+
+            if (!query.trim() && !name.trim() && dateFrom === null && dateTo === null) {
+                return response.sendStatus(400);
+            }
+
+            const character = request.body.avatar_url ? String(request.body.avatar_url).replace('.png', '') : '';
+            const groupChats = request.body.group_id ? await getGroupChatIds(String(request.body.group_id)) : null;
+            const limit = Number(request.body.limit) || DEFAULT_LIMIT;
+
+            const result = await searchChats({ query, name, dateFrom, dateTo, character, groupChats, limit });
+            return response.send(result);
+        } catch (error) {
+            console.error('Chat search failed', error);
+            return response.sendStatus(500);
+        }
+    });
+
+    app.post('/api/chats/search/reindex', jsonParser, async (_, response) => {
+        try {
+            await pendingUpdate;
+            searchIndex = { version: INDEX_VERSION, files: {} };
+            wordIndex.clear();
+            const index = await updateIndex(true);
+            return response.send({ files: Object.keys(index.files).length });
+        } catch (error) {
+            console.error('Chat search reindex failed', error);
+            return response.sendStatus(500);
+        }
+    });
+}
+
+module.exports = {
+    registerEndpoints,
+    parseSendDate,
+    markCharacterChatChanged,
+    markGroupChatChanged,
+};
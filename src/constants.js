@@ -21,9 +21,11 @@ const DIRECTORIES = {
     instruct: 'public/instruct',
     context: 'public/context',
     backups: 'backups/',
+    chatHistory: 'backups/history/',
     quickreplies: 'public/QuickReplies',
     assets: 'public/assets',
     comfyWorkflows: 'public/user/workflows',
+    files: 'public/user/files/',
 };
 
 const UNSAFE_EXTENSIONS = [
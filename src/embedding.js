@@ -12,6 +12,16 @@ async function getTransformersVector(text) {
     return vector;
 }
 
+/**
+ * Gets the name of the model used for vectorization, as configured in config.yaml
+ * @returns {Promise<string>} - The model name
+ */
+async function getTransformersModel() {
+    const module = await import('./transformers.mjs');
+    return module.default.getModelForTask(TASK);
+}
+
 module.exports = {
     getTransformersVector,
+    getTransformersModel,
 }
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const sanitize = require('sanitize-filename');
+const writeFileAtomicSync = require('write-file-atomic').sync;
+const { DIRECTORIES, UNSAFE_EXTENSIONS } = require('./constants');
+
+/**
+ * Gets the path of a data bank file from its client URL.
+ * @param {string} url File URL relative to the public folder, e.g. "user/files/notes.txt"
+ * @returns {string} Path to the file or empty string if the URL is invalid
+ */
+function getFilePathFromUrl(url) {
+    const fileName = sanitize(path.basename(String(url)));
+
+    if (!fileName || fileName.startsWith('.')) {
+        return '';
+    }
+
+    return path.join(DIRECTORIES.files, fileName);
+}
+
+/**
+ * Checks if the file name is allowed to be stored in the data bank.
+ * @param {string} fileName File name
+ * @returns {boolean} True if the file name is valid
+ */
+function isValidFileName(fileName) {
+    if (!fileName || fileName.startsWith('.')) {
+        return false;
+    }
+
+    return !UNSAFE_EXTENSIONS.some(ext => fileName.toLowerCase().endsWith(ext));
+}
+
+/**
+ * Registers the endpoints for the data bank file storage.
+ * @param {import('express').Express} app Express app
+ * @param {any} jsonParser JSON parser middleware
+ */
+function registerEndpoints(app, jsonParser) {
+    app.post('/api/files/upload', jsonParser, (request, response) => {
+        try {
+            if (!request.body || !request.body.name || typeof request.body.data !== 'string') {
+                return response.status(400).send('No file name or data specified');
+            }
+
+            const fileName = sanitize(String(request.body.name));
+
+            if (!isValidFileName(fileName)) {
+                return response.status(400).send('Invalid file name');
+            }
+
+            const pathToFile = path.join(DIRECTORIES.files, fileName);
+            writeFileAtomicSync(pathToFile, Buffer.from(request.body.data, 'base64'));
+            const url = path.relative(path.normalize('public'), pathToFile).replace(/\\/g, '/');
+            return response.send({ path: url });
+        } catch (error) {
+            console.error(error);
+            return response.sendStatus(500);
+        }
+    });
+
+    app.post('/api/files/delete', jsonParser, (request, response) => {
+        try {
+            if (!request.body || !request.body.path) {
+                return response.status(400).send('No file path specified');
+            }
+
+            const pathToFile = getFilePathFromUrl(request.body.path);
+
+            if (!pathToFile) {
+                return response.status(400).send('Invalid file path');
+            }
+
+            if (!fs.existsSync(pathToFile)) {
+                return response.sendStatus(404);
+            }
+
+            fs.rmSync(pathToFile);
+            return response.sendStatus(200);
+        } catch (error) {
+            console.error(error);
+            return response.sendStatus(500);
+        }
+    });
+}
+
+module.exports = {
+    registerEndpoints,
+};
@@ -0,0 +1,87 @@
+const fetch = require('node-fetch').default;
+
+/**
+ * Local embedding servers. Most of them implement the OpenAI-compatible /v1/embeddings endpoint,
+ * Ollama uses its own API.
+ */
+const LOCAL_SOURCES = {
+    llamacpp: { name: 'llama.cpp', defaultUrl: 'http://127.0.0.1:8080', format: 'openai' },
+    ooba: { name: 'Text Generation WebUI', defaultUrl: 'http://127.0.0.1:5000', format: 'openai' },
+    koboldcpp: { name: 'KoboldCpp', defaultUrl: 'http://127.0.0.1:5001', format: 'openai' },
+    ollama: { name: 'Ollama', defaultUrl: 'http://127.0.0.1:11434', format: 'ollama' },
+};
+
+/**
+ * Checks if the vector source is served by a local embedding server.
+ * @param {string} source - The source of the vector
+ * @returns {boolean} - True if the source is a local server
+ */
+function isLocalSource(source) {
+    return Object.hasOwn(LOCAL_SOURCES, source);
+}
+
+/**
+ * Removes trailing slashes and the API version suffix from the server URL.
+ * @param {string} url - Server URL as entered by the user
+ * @returns {string} - Base URL of the server
+ */
+function getBaseUrl(url) {
+    return String(url).trim().replace(/\/+$/, '').replace(/\/v1$/, '');
+}
+
+/**
+ * Gets the vector for the given text from a local embedding server
+ * @param {string} source - The source of the vector
+ * @param {string} text - The text to get the vector for
+ * @param {{ url?: string; model?: string; }} options - Server URL and model name
+ * @returns {Promise<number[]>} - The vector for the text
+ */
+async function getLocalVector(source, text, options = {}) {
+    const sourceInfo = LOCAL_SOURCES[source];
+
+    if (!sourceInfo) {
+        throw new Error(`Unknown local vector source ${source}`);
+    }
+
+    const baseUrl = getBaseUrl(options.url || sourceInfo.defaultUrl);
+    const model = String(options.model || '');
+
+    if (sourceInfo.format === 'ollama' && !model) {
+        console.log('Ollama embeddings require a model name');
+        throw new Error('Ollama embeddings require a model name');
+    }
+
+    const isOllama = sourceInfo.format === 'ollama';
+    const url = isOllama ? `${baseUrl}/api/embeddings` : `${baseUrl}/v1/embeddings`;
+    const body = isOllama ? { model: model, prompt: text } : { input: text, model: model || undefined };
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+        const responseText = await response.text();
+        console.log(`${sourceInfo.name} embeddings request failed`, response.statusText, responseText);
+        throw new Error(`${sourceInfo.name} embeddings request failed`);
+    }
+
+    const data = await response.json();
+    const vector = isOllama ? data?.embedding : data?.data?.[0]?.embedding;
+
+    if (!Array.isArray(vector) || vector.length === 0) {
+        console.log(`${sourceInfo.name} response was not an array`);
+        throw new Error(`${sourceInfo.name} response was not an array`);
+    }
+
+    return vector;
+}
+
+module.exports = {
+    LOCAL_SOURCES,
+    isLocalSource,
+    getLocalVector,
+};
@@ -92,4 +92,5 @@ async function getPipeline(task) {
 export default {
     getPipeline,
     getRawImage,
+    getModelForTask,
 }
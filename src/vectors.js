@@ -1,15 +1,27 @@
 const express = require('express');
 const vectra = require('vectra');
+const fs = require('fs');
 const path = require('path');
 const sanitize = require('sanitize-filename');
+const writeFileAtomicSync = require('write-file-atomic').sync;
+const { LOCAL_SOURCES, isLocalSource, getLocalVector } = require('./local-vectors');
+
+const VECTOR_SOURCES = ['transformers', 'openai', 'palm', ...Object.keys(LOCAL_SOURCES)];
+
+// Stored next to the vectra index.json
+const METADATA_FILE = 'collection.json';
+
+// Weight of the keyword score in hybrid search, if not specified in the request
+const DEFAULT_HYBRID_WEIGHT = 0.3;
 
 /**
  * Gets the vector for the given text from the given source.
  * @param {string} source - The source of the vector
  * @param {string} text - The text to get the vector for
+ * @param {{ url?: string; model?: string; }} sourceSettings - Server URL and model for local sources
  * @returns {Promise<number[]>} - The vector for the text
  */
-async function getVector(source, text) {
+async function getVector(source, text, sourceSettings = {}) {
     switch (source) {
         case 'openai':
             return require('./openai-vectors').getOpenAIVector(text);
@@ -19,9 +31,49 @@ async function getVector(source, text) {
             return require('./palm-vectors').getPaLMVector(text);
     }
 
+    if (isLocalSource(source)) {
+        return getLocalVector(source, text, sourceSettings);
+    }
+
     throw new Error(`Unknown vector source ${source}`);
 }
 
+/**
+ * Gets the name of the embedding model used by the source.
+ * @param {string} source - The source of the vector
+ * @param {{ url?: string; model?: string; }} sourceSettings - Server URL and model for local sources
+ * @returns {Promise<string>} - The model name
+ */
+async function getModelName(source, sourceSettings = {}) {
+    switch (source) {
+        case 'openai':
+            return 'text-embedding-ada-002';
+        case 'transformers':
+            return require('./embedding').getTransformersModel();
+        case 'palm':
+            return 'embedding-gecko-001';
+    }
+
+    if (isLocalSource(source)) {
+        // Server default model if not specified
+        return sourceSettings.model || 'default';
+    }
+
+    throw new Error(`Unknown vector source ${source}`);
+}
+
+/**
+ * Gets the settings of the vector source from the request body.
+ * @param {any} body - Request body
+ * @returns {{ url?: string; model?: string; }} - Server URL and model for local sources
+ */
+function getSourceSettings(body) {
+    return {
+        url: body.sourceUrl ? String(body.sourceUrl) : undefined,
+        model: body.sourceModel ? String(body.sourceModel) : undefined,
+    };
+}
+
 /**
  * Gets the index for the vector collection
  * @param {string} collectionId - The collection ID
@@ -39,22 +91,130 @@ async function getIndex(collectionId, source, create = true) {
     return index;
 }
 
+/**
+ * @typedef {object} IndexMetadata
+ * @property {string} source - The source of the vectors
+ * @property {string} model - The embedding model the vectors were made with
+ * @property {number} dimension - The length of the vectors
+ * @property {number} created - Creation timestamp
+ * @property {number} [reembedded] - Timestamp of the last re-embedding
+ */
+
+/**
+ * Reads the metadata of the vector index.
+ * @param {vectra.LocalIndex} index - The index
+ * @returns {IndexMetadata|null} - The metadata or null if the index was created without it
+ */
+function readIndexMetadata(index) {
+    const metadataPath = path.join(index.folderPath, METADATA_FILE);
+
+    if (!fs.existsSync(metadataPath)) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+    } catch (error) {
+        console.warn(`Could not read vector index metadata at ${metadataPath}`, error);
+        return null;
+    }
+}
+
+/**
+ * Writes the metadata of the vector index.
+ * @param {vectra.LocalIndex} index - The index
+ * @param {IndexMetadata} metadata - The metadata
+ */
+function writeIndexMetadata(index, metadata) {
+    writeFileAtomicSync(path.join(index.folderPath, METADATA_FILE), JSON.stringify(metadata, null, 4));
+}
+
+/**
+ * Vectorizes all items of the index again with the current model of the source.
+ * @param {vectra.LocalIndex} index - The index
+ * @param {string} source - The source of the vector
+ * @param {{ url?: string; model?: string; }} sourceSettings - Server URL and model for local sources
+ * @returns {Promise<number>} - The new vector dimension, or 0 if the index is empty
+ */
+async function reembedIndex(index, source, sourceSettings) {
+    const items = await index.listItems();
+    let dimension = 0;
+
+    await index.beginUpdate();
+
+    for (const item of items) {
+        const vector = await getVector(source, String(item.metadata.text ?? ''), sourceSettings);
+        dimension = vector.length;
+        await index.upsertItem({ id: item.id, vector: vector, metadata: item.metadata });
+    }
+
+    await index.endUpdate();
+    return dimension;
+}
+
+/**
+ * Gets the index for the vector collection and makes sure its vectors were made by the current model.
+ * Indexes made by a different model are re-embedded.
+ * @param {string} collectionId - The collection ID
+ * @param {string} source - The source of the vector
+ * @param {{ url?: string; model?: string; }} sourceSettings - Server URL and model for local sources
+ * @param {number} dimension - The length of a vector made by the current model
+ * @returns {Promise<vectra.LocalIndex>} - The index for the collection
+ */
+async function getCheckedIndex(collectionId, source, sourceSettings, dimension) {
+    const index = await getIndex(collectionId, source);
+    const model = await getModelName(source, sourceSettings);
+    const metadata = readIndexMetadata(index);
+    const items = await index.listItems();
+
+    // Indexes made before metadata was stored can only be checked by the vector length
+    const modelChanged = metadata ? metadata.model !== model : false;
+    const storedDimension = metadata?.dimension ?? items[0]?.vector?.length ?? dimension;
+    const isMismatch = modelChanged || storedDimension !== dimension;
+
+    if (isMismatch && items.length > 0) {
+        console.log(`Vector index ${collectionId} was made with ${metadata?.model ?? 'an unknown model'}, re-embedding ${items.length} items with ${model}`);
+        await reembedIndex(index, source, sourceSettings);
+    }
+
+    if (!metadata || isMismatch) {
+        writeIndexMetadata(index, {
+            source,
+            model,
+            dimension,
+            created: metadata?.created ?? Date.now(),
+            reembedded: isMismatch && items.length > 0 ? Date.now() : metadata?.reembedded,
+        });
+    }
+
+    return index;
+}
+
 /**
  * Inserts items into the vector collection
  * @param {string} collectionId - The collection ID
  * @param {string} source - The source of the vector
  * @param {{ hash: number; text: string; }[]} items - The items to insert
+ * @param {{ url?: string; model?: string; }} sourceSettings - Server URL and model for local sources
  */
-async function insertVectorItems(collectionId, source, items) {
-    const index = await getIndex(collectionId, source);
+async function insertVectorItems(collectionId, source, items, sourceSettings) {
+    if (items.length === 0) {
+        return;
+    }
 
-    await index.beginUpdate();
+    const vectors = [];
 
     for (const item of items) {
-        const text = item.text;
-        const hash = item.hash;
-        const vector = await getVector(source, text);
-        await index.upsertItem({ vector: vector, metadata: { hash, text } });
+        vectors.push(await getVector(source, item.text, sourceSettings));
+    }
+
+    const index = await getCheckedIndex(collectionId, source, sourceSettings, vectors[0].length);
+
+    await index.beginUpdate();
+
+    for (let i = 0; i < items.length; i++) {
+        const { text, hash } = items[i];
+        await index.upsertItem({ vector: vectors[i], metadata: { hash, text } });
     }
 
     await index.endUpdate();
@@ -94,21 +254,197 @@ async function deleteVectorItems(collectionId, source, hashes) {
     await index.endUpdate();
 }
 
+/**
+ * Splits the text into lowercase words.
+ * @param {string} text - The text to split
+ * @returns {string[]} - The words
+ */
+function getKeywords(text) {
+    return String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [];
+}
+
+/**
+ * Scores the documents against the query with Okapi BM25.
+ * @param {string[]} documents - The documents to score
+ * @param {string} query - The query text
+ * @param {number} k1 - Term frequency saturation
+ * @param {number} b - Document length normalization
+ * @returns {number[]} - The scores of the documents, in the same order
+ */
+function getBM25Scores(documents, query, k1 = 1.2, b = 0.75) {
+    const terms = getKeywords(query).filter((x, i, arr) => arr.indexOf(x) === i);
+    const documentTerms = documents.map(getKeywords);
+    const averageLength = documentTerms.reduce((sum, x) => sum + x.length, 0) / (documentTerms.length || 1);
+    const termCounts = documentTerms.map(words => {
+        const counts = new Map();
+        words.forEach(word => counts.set(word, (counts.get(word) ?? 0) + 1));
+        return counts;
+    });
+    const documentFrequency = new Map(terms.map(term => [term, termCounts.filter(x => x.has(term)).length]));
+
+    return termCounts.map((counts, i) => {
+        let score = 0;
+
+        for (const term of terms) {
+            const frequency = counts.get(term) ?? 0;
+
+            if (frequency === 0) {
+                continue;
+            }
+
+            const df = documentFrequency.get(term);
+            const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+            const lengthNorm = 1 - b + b * documentTerms[i].length / (averageLength || 1);
+            score += idf * frequency * (k1 + 1) / (frequency + k1 * lengthNorm);
+        }
+
+        return score;
+    });
+}
+
+/**
+ * Gets the weight of the keyword score from the request body. Zero means vector search only.
+ * @param {any} body - Request body
+ * @returns {number} - The weight from 0 to 1
+ */
+function getHybridWeight(body) {
+    if (!body.hybrid) {
+        return 0;
+    }
+
+    const weight = Number(body.hybridWeight ?? DEFAULT_HYBRID_WEIGHT);
+    return Number.isFinite(weight) ? Math.min(Math.max(weight, 0), 1) : DEFAULT_HYBRID_WEIGHT;
+}
+
+/**
+ * Finds the items of the index that are the most similar to the search text.
+ * @param {vectra.LocalIndex} index - The index
+ * @param {number[]} vector - The vector of the search text
+ * @param {string} searchText - The text to search for
+ * @param {number} topK - The number of results to return
+ * @param {number} hybridWeight - The weight of the BM25 keyword score, 0 for vector search only
+ * @returns {Promise<{ hash: number; score: number; }[]>} - The matching items, best first
+ */
+async function searchIndex(index, vector, searchText, topK, hybridWeight) {
+    if (!hybridWeight) {
+        const results = await index.queryItems(vector, topK);
+        return results.map(x => ({ hash: Number(x.item.metadata.hash), score: x.score }));
+    }
+
+    // Keyword scores need every item, normalized to the best match
+    const results = await index.queryItems(vector, Number.MAX_SAFE_INTEGER);
+    const keywordScores = getBM25Scores(results.map(x => String(x.item.metadata.text ?? '')), searchText);
+    const maxKeywordScore = keywordScores.reduce((max, x) => Math.max(max, x), 0);
+
+    return results
+        .map((x, i) => ({
+            hash: Number(x.item.metadata.hash),
+            score: (1 - hybridWeight) * x.score + hybridWeight * (maxKeywordScore > 0 ? keywordScores[i] / maxKeywordScore : 0),
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+}
+
 /**
  * Gets the hashes of the items in the vector collection that match the search text
  * @param {string} collectionId - The collection ID
  * @param {string} source - The source of the vector
  * @param {string} searchText - The text to search for
  * @param {number} topK - The number of results to return
+ * @param {{ url?: string; model?: string; }} sourceSettings - Server URL and model for local sources
+ * @param {number} hybridWeight - The weight of the BM25 keyword score, 0 for vector search only
  * @returns {Promise<number[]>} - The hashes of the items that match the search text
  */
-async function queryCollection(collectionId, source, searchText, topK) {
-    const index = await getIndex(collectionId, source);
-    const vector = await getVector(source, searchText);
+async function queryCollection(collectionId, source, searchText, topK, sourceSettings, hybridWeight = 0) {
+    const vector = await getVector(source, searchText, sourceSettings);
+    const index = await getCheckedIndex(collectionId, source, sourceSettings, vector.length);
 
-    const result = await index.queryItems(vector, topK);
-    const hashes = result.map(x => Number(x.item.metadata.hash));
-    return hashes;
+    const results = await searchIndex(index, vector, searchText, topK, hybridWeight);
+    return results.map(x => x.hash);
+}
+
+/**
+ * Queries multiple collections with the same text and merges the results by similarity score
+ * @param {string[]} collectionIds - The collection IDs
+ * @param {string} source - The source of the vector
+ * @param {string} searchText - The text to search for
+ * @param {number} topK - The number of results to return across all collections
+ * @param {number} threshold - The minimum similarity score of a result
+ * @param {{ url?: string; model?: string; }} sourceSettings - Server URL and model for local sources
+ * @param {number} hybridWeight - The weight of the BM25 keyword score, 0 for vector search only
+ * @returns {Promise<Record<string, number[]>>} - The hashes of the matching items by collection ID
+ */
+async function queryMultipleCollections(collectionIds, source, searchText, topK, threshold, sourceSettings, hybridWeight = 0) {
+    const vector = await getVector(source, searchText, sourceSettings);
+    const results = [];
+
+    for (const collectionId of collectionIds) {
+        const index = await getCheckedIndex(collectionId, source, sourceSettings, vector.length);
+        const items = await searchIndex(index, vector, searchText, topK, hybridWeight);
+
+        for (const item of items) {
+            if (item.score >= threshold) {
+                results.push({ collectionId, ...item });
+            }
+        }
+    }
+
+    results.sort((a, b) => b.score - a.score);
+
+    /** @type {Record<string, number[]>} */
+    const grouped = Object.fromEntries(collectionIds.map(x => [x, []]));
+
+    for (const result of results.slice(0, topK)) {
+        grouped[result.collectionId].push(result.hash);
+    }
+
+    return grouped;
+}
+
+/**
+ * Lists the vector collections stored for all sources.
+ * @param {string} currentSource - The selected source
+ * @param {string} currentModel - The current model of the selected source
+ * @returns {Promise<object[]>} - Collection information
+ */
+async function listCollections(currentSource, currentModel) {
+    const result = [];
+
+    for (const source of VECTOR_SOURCES) {
+        const sourcePath = path.join(process.cwd(), 'vectors', sanitize(source));
+
+        if (!fs.existsSync(sourcePath)) {
+            continue;
+        }
+
+        const collectionIds = fs.readdirSync(sourcePath, { withFileTypes: true }).filter(x => x.isDirectory()).map(x => x.name);
+
+        for (const collectionId of collectionIds) {
+            const index = await getIndex(collectionId, source, false);
+
+            if (!await index.isIndexCreated()) {
+                continue;
+            }
+
+            const stats = await index.getIndexStats();
+            const metadata = readIndexMetadata(index);
+            const size = fs.readdirSync(index.folderPath).reduce((sum, file) => sum + fs.statSync(path.join(index.folderPath, file)).size, 0);
+
+            result.push({
+                collectionId,
+                source,
+                items: stats.items,
+                size,
+                model: metadata?.model ?? null,
+                dimension: metadata?.dimension ?? null,
+                created: metadata?.created ?? null,
+                reembedded: metadata?.reembedded ?? null,
+                outdated: source === currentSource && !!metadata && metadata.model !== currentModel,
+            });
+        }
+    }
+
+    return result;
 }
 
 /**
@@ -128,7 +464,27 @@ async function registerEndpoints(app, jsonParser) {
             const topK = Number(req.body.topK) || 10;
             const source = String(req.body.source) || 'transformers';
 
-            const results = await queryCollection(collectionId, source, searchText, topK);
+            const results = await queryCollection(collectionId, source, searchText, topK, getSourceSettings(req.body), getHybridWeight(req.body));
+            return res.json(results);
+        } catch (error) {
+            console.error(error);
+            return res.sendStatus(500);
+        }
+    });
+
+    app.post('/api/vector/query-multi', jsonParser, async (req, res) => {
+        try {
+            if (!Array.isArray(req.body.collectionIds) || !req.body.searchText) {
+                return res.sendStatus(400);
+            }
+
+            const collectionIds = req.body.collectionIds.map(x => String(x));
+            const searchText = String(req.body.searchText);
+            const topK = Number(req.body.topK) || 10;
+            const threshold = Number(req.body.threshold) || 0;
+            const source = String(req.body.source) || 'transformers';
+
+            const results = await queryMultipleCollections(collectionIds, source, searchText, topK, threshold, getSourceSettings(req.body), getHybridWeight(req.body));
             return res.json(results);
         } catch (error) {
             console.error(error);
@@ -146,7 +502,7 @@ async function registerEndpoints(app, jsonParser) {
             const items = req.body.items.map(x => ({ hash: x.hash, text: x.text }));
             const source = String(req.body.source) || 'transformers';
 
-            await insertVectorItems(collectionId, source, items);
+            await insertVectorItems(collectionId, source, items, getSourceSettings(req.body));
             return res.sendStatus(200);
         } catch (error) {
             console.error(error);
@@ -197,7 +553,8 @@ async function registerEndpoints(app, jsonParser) {
 
             const collectionId = String(req.body.collectionId);
 
-            const sources = ['transformers', 'openai'];
+            // Only the given source, or all of them
+            const sources = req.body.source ? [String(req.body.source)] : VECTOR_SOURCES;
             for (const source of sources) {
                 const index = await getIndex(collectionId, source, false);
 
@@ -218,6 +575,54 @@ async function registerEndpoints(app, jsonParser) {
             return res.sendStatus(500);
         }
     });
+
+    app.post('/api/vector/collections', jsonParser, async (req, res) => {
+        try {
+            const source = String(req.body.source || 'transformers');
+            const currentModel = await getModelName(source, getSourceSettings(req.body));
+
+            const collections = await listCollections(source, currentModel);
+            return res.json({ currentModel, collections });
+        } catch (error) {
+            console.error(error);
+            return res.sendStatus(500);
+        }
+    });
+
+    app.post('/api/vector/reembed', jsonParser, async (req, res) => {
+        try {
+            if (!req.body.collectionId) {
+                return res.sendStatus(400);
+            }
+
+            const collectionId = String(req.body.collectionId);
+            const source = String(req.body.source) || 'transformers';
+            const sourceSettings = getSourceSettings(req.body);
+            const index = await getIndex(collectionId, source, false);
+
+            if (!await index.isIndexCreated()) {
+                return res.sendStatus(404);
+            }
+
+            const metadata = readIndexMetadata(index);
+            const model = await getModelName(source, sourceSettings);
+            const dimension = await reembedIndex(index, source, sourceSettings);
+            console.log(`Re-embedded vector index ${collectionId} with ${model}`);
+
+            writeIndexMetadata(index, {
+                source,
+                model,
+                dimension: dimension || metadata?.dimension || 0,
+                created: metadata?.created ?? Date.now(),
+                reembedded: Date.now(),
+            });
+
+            return res.sendStatus(200);
+        } catch (error) {
+            console.error(error);
+            return res.sendStatus(500);
+        }
+    });
 }
 
 module.exports = { registerEndpoints };